@@ -1,6 +1,7 @@
 /**
  * Development server with CORS proxy for Perplexity AI
- * Serves static files and proxies /api/perplexity requests
+ * Serves static files, proxies /api/perplexity requests, and stores the
+ * local backend's database at /api/local-data
  */
 
 const http = require('http');
@@ -10,6 +11,9 @@ const path = require('path');
 
 const PORT = process.env.PORT || 3000;
 const PERPLEXITY_API = 'https://api.perplexity.ai';
+const LOCAL_DATA_FILE = process.env.LOCAL_DATA_FILE || path.join(__dirname, 'data', 'local-db.json');
+// Largest database the local backend may PUT, in bytes
+const LOCAL_DATA_MAX_BYTES = Number(process.env.LOCAL_DATA_MAX_BYTES) || 50 * 1024 * 1024;
 
 // MIME types for static files
 const MIME_TYPES = {
@@ -64,11 +68,76 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
+    // ─── Local Backend Storage ────────────────────────────────
+    if (req.url === '/api/local-data' && req.method === 'GET') {
+        fs.readFile(LOCAL_DATA_FILE, 'utf8', (err, data) => {
+            if (err && err.code !== 'ENOENT') {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: err.message } }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(data || JSON.stringify({ companies: {}, employees: {} }));
+        });
+        return;
+    }
+
+    if (req.url === '/api/local-data' && req.method === 'PUT') {
+        const tooLarge = () => {
+            res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+            res.end(JSON.stringify({ error: { message: `Local data is larger than ${LOCAL_DATA_MAX_BYTES} bytes` } }));
+        };
+        if (Number(req.headers['content-length']) > LOCAL_DATA_MAX_BYTES) {
+            tooLarge();
+            req.resume();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > LOCAL_DATA_MAX_BYTES) {
+                // Stop buffering; drain the rest of the request
+                req.removeAllListeners('data');
+                req.removeAllListeners('end');
+                req.resume();
+                tooLarge();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            try {
+                JSON.parse(body);
+            } catch (err) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'Invalid JSON: ' + err.message } }));
+                return;
+            }
+
+            // Write to a temp file and rename so a crash never leaves half a file
+            const tmpFile = `${LOCAL_DATA_FILE}.tmp`;
+            fs.mkdir(path.dirname(LOCAL_DATA_FILE), { recursive: true }, () => {
+                fs.writeFile(tmpFile, body, (err) => {
+                    if (!err) return fs.rename(tmpFile, LOCAL_DATA_FILE, (renameErr) => {
+                        res.writeHead(renameErr ? 500 : 204);
+                        res.end();
+                    });
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: { message: err.message } }));
+                });
+            });
+        });
+        return;
+    }
+
     // Handle CORS preflight
     if (req.method === 'OPTIONS') {
         res.writeHead(204, {
             'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
             'Access-Control-Allow-Headers': 'Content-Type, Authorization'
         });
         res.end();
@@ -109,5 +178,6 @@ const server = http.createServer(async (req, res) => {
 server.listen(PORT, () => {
     console.log(`\n🚀 referNconnect dev server running at http://localhost:${PORT}`);
     console.log(`📡 Perplexity API proxy at http://localhost:${PORT}/api/perplexity`);
+    console.log(`🗄️ Local backend data at ${LOCAL_DATA_FILE}`);
     console.log(`\n📝 Press Ctrl+C to stop\n`);
 });
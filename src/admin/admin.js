@@ -3,13 +3,31 @@
  * Handles AI-powered data import and Firebase operations
  */
 
-import { FirebaseService, Storage } from '../services/index.js';
+import { DataService, Storage, MappingPresets, CustomFields, Datasets } from '../services/index.js';
+import { parseCSVRows, parseCSVStream, stringifyCSV, readWorkbook, isSpreadsheet, parseVCard, getTargetFields, suggestMapping, recordHeaders, mapRecords, findHeaderRow, isLinkedInHeader, LINKEDIN_MAPPING } from '../parsers/index.js';
 import { getApiKey, saveApiKey, getGeminiKey, saveGeminiKey, getActiveProvider, parseWithAI } from '../services/ai/index.js';
-import { generateId, findMatchingEmployee, mergeEmployeeData, encryptPhone, decryptPhone } from '../utils/helpers.js';
+import { findMatchingEmployee, mergeEmployeeData, encryptPhone, decryptPhone, escapeHtml, isDeleted, withoutDeleted, downloadFile } from '../utils/helpers.js';
+import { diffDirectories } from '../utils/diff.js';
+import { getCurrentUser } from '../services/auth.js';
+import { toSnapshotFile, parseSnapshotFile, restoreOperations } from '../services/snapshot.js';
+import { IMPORT_GROUPS, planImport, importOperations } from '../services/import-plan.js';
+import { createImportReport, getApprovedGroups } from '../ui/import-report.js';
+import { TRASH, SNAPSHOTS } from '../config/index.js';
+import { CUSTOM_FIELD_TYPES } from '../utils/schema.js';
 
 // State
 let currentDataType = 'text';
 let parsedData = null;
+let importPlan = null; // { data, plan } of the dry run awaiting approval
+let pendingImport = null; // Operations and report of a failed import, kept for resuming
+let restoreSource = null; // { label, companies } of the snapshot being previewed for restore
+let mappingSource = null; // { headers, records } of the CSV/JSON data being mapped
+let workbook = null; // Uploaded .xlsx/.ods workbook, for switching sheets
+let csvFile = null; // Uploaded CSV file, parsed in chunks when the mapping is applied
+let customFieldRows = []; // Custom field definitions being edited; `saved` rows keep their key
+
+/** Bytes of an uploaded CSV file read to suggest the column mapping */
+const CSV_PREVIEW_BYTES = 64 * 1024;
 
 /**
  * Log message to activity log
@@ -73,12 +91,13 @@ const deduplicateDatabase = async () => {
 
     try {
         log('Fetching all companies from Firebase...', 'info');
-        const companies = await FirebaseService.getAll();
+        const companies = await DataService.getAll();
         console.log(`Fetched ${companies.length} companies`);
 
         let totalMergedCount = 0;
 
-        for (const company of companies) {
+        // Trashed records are left alone
+        for (const company of withoutDeleted(companies)) {
             if (!company.employees || company.employees.length <= 1) {
                 console.log(`Skipping ${company.name} - no employees or only one`);
                 continue;
@@ -92,7 +111,7 @@ const deduplicateDatabase = async () => {
                 const match = findMatchingEmployee(uniqueEmployees, emp);
                 if (match) {
                     const index = uniqueEmployees.indexOf(match);
-                    uniqueEmployees[index] = mergeEmployeeData(match, emp);
+                    uniqueEmployees[index] = mergeEmployeeData(match, emp, CustomFields.list('employee').map(field => field.key));
                     log(`Merging record for: ${emp.firstName} ${emp.lastName}`, 'info');
                 } else {
                     uniqueEmployees.push(emp);
@@ -102,13 +121,21 @@ const deduplicateDatabase = async () => {
             if (uniqueEmployees.length < originalCount) {
                 const mergedInThisCompany = originalCount - uniqueEmployees.length;
                 log(`Updating ${company.name} with ${uniqueEmployees.length} unique employees (removed ${mergedInThisCompany})`, 'processing');
-                await FirebaseService.updateCompany(company.id, { employees: uniqueEmployees });
+
+                // Survivors keep their ID and absorb merged fields; the rest go to the trash
+                const keptIds = new Set(uniqueEmployees.map(emp => emp.id));
+                for (const emp of uniqueEmployees) {
+                    await DataService.updateEmployee(company.id, emp.id, emp);
+                }
+                for (const emp of company.employees) {
+                    if (!keptIds.has(emp.id)) await DataService.deleteEmployee(company.id, emp.id);
+                }
                 totalMergedCount += mergedInThisCompany;
             }
         }
 
         log('Syncing local storage cache...', 'info');
-        const allData = await FirebaseService.getAll();
+        const allData = await DataService.getAll();
         Storage.save(allData);
 
         log(`Deduplication complete! Total duplicates removed: ${totalMergedCount}`, 'success');
@@ -134,26 +161,22 @@ const togglePhoneLock = async () => {
     log(`${action} all phone numbers...`, 'processing');
 
     try {
-        const companies = await FirebaseService.getAll();
+        const companies = await DataService.getAll();
         let count = 0;
 
         for (const company of companies) {
             if (!company.employees || company.employees.length === 0) continue;
 
-            const updatedEmployees = company.employees.map(emp => {
-                if (emp.phone) {
-                    count++;
-                    const newPhone = shouldLock ? encryptPhone(emp.phone) : decryptPhone(emp.phone);
-                    return { ...emp, phone: newPhone, phoneLocked: shouldLock };
-                }
-                return emp;
-            });
-
-            await FirebaseService.updateCompany(company.id, { employees: updatedEmployees });
+            for (const emp of company.employees) {
+                if (!emp.phone) continue;
+                count++;
+                const newPhone = shouldLock ? encryptPhone(emp.phone) : decryptPhone(emp.phone);
+                await DataService.updateEmployee(company.id, emp.id, { phone: newPhone, phoneLocked: shouldLock });
+            }
         }
 
         // Sync local cache
-        const allData = await FirebaseService.getAll();
+        const allData = await DataService.getAll();
         Storage.save(allData);
 
         // Flip button label
@@ -168,6 +191,28 @@ const togglePhoneLock = async () => {
     }
 };
 
+/**
+ * One-time migration of legacy `employees` arrays into per-contact documents
+ */
+const migrateEmployees = async () => {
+    setStatus('processing', 'Migrating...');
+    log('Moving embedded contacts into employee subcollections...', 'processing');
+
+    try {
+        const migrated = await DataService.migrateEmployeesToSubcollection();
+
+        const allData = await DataService.getAll();
+        Storage.save(allData);
+
+        log(migrated ? `Migrated contacts for ${migrated} companies` : 'Nothing to migrate — already up to date', 'success');
+        setStatus('success', 'Migration Complete');
+    } catch (error) {
+        console.error('Migration error:', error);
+        log(`Migration Error: ${error.message}`, 'error');
+        setStatus('error', 'Migration Failed');
+    }
+};
+
 /**
  * Setup event listeners
  */
@@ -205,8 +250,13 @@ const setupEventListeners = () => {
 
     // File upload, AI process, Import
     document.getElementById('fileUpload')?.addEventListener('change', handleFileUpload);
+    document.getElementById('dataInput')?.addEventListener('input', () => { csvFile = null; });
+    document.getElementById('sheetSelect')?.addEventListener('change', (e) => loadSheet(e.target.value));
     document.getElementById('btnProcessAI')?.addEventListener('click', processWithAI);
-    document.getElementById('btnImport')?.addEventListener('click', importToFirebase);
+    document.getElementById('btnMapColumns')?.addEventListener('click', openMapping);
+    document.getElementById('btnImport')?.addEventListener('click', previewImport);
+    document.getElementById('btnCancelImport')?.addEventListener('click', cancelImport);
+    document.getElementById('btnConfirmImport')?.addEventListener('click', confirmImport);
 
     // DEDUPLICATE BUTTON
     const btnDedup = document.getElementById('btnDeduplicate');
@@ -223,6 +273,30 @@ const setupEventListeners = () => {
     // LOCK PHONES BUTTON
     document.getElementById('btnLockPhones')?.addEventListener('click', togglePhoneLock);
 
+    // MIGRATE CONTACTS BUTTON
+    document.getElementById('btnMigrateEmployees')?.addEventListener('click', migrateEmployees);
+
+    // COLUMN MAPPING
+    document.getElementById('mappingPreset')?.addEventListener('change', selectPreset);
+    document.getElementById('mappingContent')?.addEventListener('change', updateMappingSummary);
+    document.getElementById('btnCancelMapping')?.addEventListener('click', closeMapping);
+    document.getElementById('btnApplyMapping')?.addEventListener('click', applyMapping);
+    document.getElementById('btnSavePreset')?.addEventListener('click', savePreset);
+    document.getElementById('btnDeletePreset')?.addEventListener('click', deletePreset);
+
+    // SNAPSHOTS
+    document.getElementById('btnCreateSnapshot')?.addEventListener('click', createSnapshot);
+    document.getElementById('snapshotFile')?.addEventListener('change', handleSnapshotFile);
+    document.getElementById('btnCancelRestore')?.addEventListener('click', cancelRestore);
+    document.getElementById('btnRestoreSelected')?.addEventListener('click', restoreSelected);
+
+    // TRASH
+    document.getElementById('btnEmptyTrash')?.addEventListener('click', emptyTrash);
+
+    // CUSTOM FIELDS
+    document.getElementById('btnAddCustomField')?.addEventListener('click', addCustomField);
+    document.getElementById('btnSaveCustomFields')?.addEventListener('click', saveCustomFields);
+
     // Edit Mode Toggle
     const toggleEditMode = document.getElementById('toggleEditMode');
     if (toggleEditMode) {
@@ -246,6 +320,50 @@ const handleFileUpload = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
 
+    csvFile = null;
+    const sheetSelect = document.getElementById('sheetSelect');
+    if (isSpreadsheet(file.name)) {
+        setStatus('processing', 'Reading...');
+        try {
+            workbook = await readWorkbook(file);
+        } catch (error) {
+            log(`Could not read ${file.name}: ${error.message}`, 'error');
+            setStatus('error', 'Error');
+            return;
+        }
+        sheetSelect.innerHTML = workbook.sheetNames
+            .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+            .join('');
+        sheetSelect.style.display = workbook.sheetNames.length > 1 ? '' : 'none';
+        log(`Loaded workbook: ${file.name} (${workbook.sheetNames.length} sheets)`, 'success');
+        setStatus('idle', 'Ready');
+        loadSheet(workbook.sheetNames[0]);
+        return;
+    }
+    workbook = null;
+    sheetSelect.style.display = 'none';
+
+    // vCards map onto contacts directly, so they skip column mapping
+    if (file.name.toLowerCase().endsWith('.vcf')) {
+        parsedData = parseVCard(await file.text());
+        const contacts = parsedData.reduce((sum, c) => sum + c.employees.length, 0);
+        log(`Loaded ${contacts} contacts from ${file.name}`, 'success');
+        renderPreview(parsedData);
+        return;
+    }
+
+    // Large CSV files stay out of the text box; they are parsed in chunks when the mapping is applied
+    if (file.name.toLowerCase().endsWith('.csv')) {
+        csvFile = file;
+        document.getElementById('dataInput').value = '';
+        document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
+        document.querySelector('.tab[data-type="csv"]')?.classList.add('active');
+        currentDataType = 'csv';
+        log(`Loaded file: ${file.name} (${formatBytes(file.size)})`, 'success');
+        openMapping();
+        return;
+    }
+
     const text = await file.text();
     document.getElementById('dataInput').value = text;
 
@@ -253,13 +371,338 @@ const handleFileUpload = async (e) => {
         document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
         document.querySelector('.tab[data-type="json"]')?.classList.add('active');
         currentDataType = 'json';
-    } else if (file.name.endsWith('.csv')) {
-        document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
-        document.querySelector('.tab[data-type="csv"]')?.classList.add('active');
-        currentDataType = 'csv';
     }
 
     log(`Loaded file: ${file.name}`, 'success');
+
+    // Structured files go through column mapping before import
+    if (currentDataType !== 'text') openMapping();
+};
+
+/**
+ * Put one sheet of the uploaded workbook into the input as CSV and map its columns
+ * @param {string} sheetName
+ */
+const loadSheet = (sheetName) => {
+    if (!workbook) return;
+
+    csvFile = null;
+    const rows = workbook.rows(sheetName);
+    document.getElementById('dataInput').value = stringifyCSV(rows);
+    document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
+    document.querySelector('.tab[data-type="csv"]')?.classList.add('active');
+    currentDataType = 'csv';
+
+    log(`Sheet "${sheetName}": ${Math.max(rows.length - 1, 0)} rows`, 'info');
+    if (rows.length) openMapping();
+};
+
+/**
+ * Read the input as flat records for column mapping
+ * @returns {{ headers: Array<string>, records: Array<Object> }|null} Null if the input cannot be mapped
+ */
+const readMappingSource = () => {
+    const input = document.getElementById('dataInput').value.trim();
+    if (!input) {
+        log('No data to map', 'error');
+        return null;
+    }
+
+    if (currentDataType === 'json' || /^[[{]/.test(input)) {
+        let data;
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            log(`Invalid JSON: ${error.message}`, 'error');
+            return null;
+        }
+        const records = Array.isArray(data) ? data : [data];
+        if (records.some(r => Array.isArray(r?.employees))) {
+            log('Data is already grouped into companies — no mapping needed', 'info');
+            return null;
+        }
+        return { headers: recordHeaders(records), records };
+    }
+
+    return csvMappingSource(parseCSVRows(input));
+};
+
+/**
+ * Turn CSV rows into flat records for column mapping, skipping any preamble
+ * @param {Array<Array<string>>} allRows
+ * @returns {{ headers: Array<string>, records: Array<Object> }|null} Null if there are no data rows
+ */
+const csvMappingSource = (allRows) => {
+    const { index, linkedin } = findHeaderRow(allRows);
+    const [headerRow, ...rows] = allRows.slice(index);
+    if (!headerRow || !rows.length) {
+        log('No CSV rows found — the first row must hold the column headers', 'error');
+        return null;
+    }
+    if (linkedin) log(`Recognised a LinkedIn connections export${index ? ` — skipped ${index} rows of notes` : ''}`, 'info');
+    const headers = headerRow.map(h => h.trim());
+    const records = rows.map(row => Object.fromEntries(headers.map((h, i) => [h, row[i] ?? ''])));
+    return { headers, records };
+};
+
+/**
+ * Read the start of an uploaded CSV file for column mapping. The records are
+ * only a sample; the whole file is parsed when the mapping is applied.
+ * @param {File} file
+ * @returns {Promise<{ headers: Array<string>, records: Array<Object>, file: File }|null>}
+ */
+const readCSVFileSource = async (file) => {
+    const rows = parseCSVRows(await file.slice(0, CSV_PREVIEW_BYTES).text());
+    // The last row may be cut off mid-way
+    if (file.size > CSV_PREVIEW_BYTES) rows.pop();
+    const source = csvMappingSource(rows);
+    return source && { ...source, file };
+};
+
+/**
+ * Human-readable file size
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatBytes = (bytes) => bytes < 1024 * 1024
+    ? `${Math.ceil(bytes / 1024)} KB`
+    : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/**
+ * Show the upload progress bar, or hide it
+ * @param {number|null} fraction - 0 to 1, or null to hide
+ */
+const showProgress = (fraction) => {
+    const bar = document.getElementById('uploadProgress');
+    if (!bar) return;
+    bar.hidden = fraction === null;
+    bar.value = fraction ?? 0;
+};
+
+/**
+ * Mapping to start from: the preset's choices over the suggested ones
+ * (or over LINKEDIN_MAPPING for a LinkedIn connections export)
+ * @param {Array<string>} headers
+ * @param {Object|null} preset
+ * @returns {Object} Header to field value
+ */
+const initialMapping = (headers, preset) => {
+    const mapping = isLinkedInHeader(headers)
+        ? Object.fromEntries(headers.map(header => [header, LINKEDIN_MAPPING[header] || '']))
+        : suggestMapping(headers);
+    Object.entries(preset?.mapping || {}).forEach(([header, value]) => {
+        if (header in mapping) mapping[header] = value;
+    });
+    return mapping;
+};
+
+/**
+ * Fill the preset dropdown
+ * @param {string} [selected] - Preset name to select
+ */
+const renderPresetOptions = (selected = '') => {
+    const select = document.getElementById('mappingPreset');
+    if (!select) return;
+    select.innerHTML = '<option value="">Suggested mapping</option>' + MappingPresets.list()
+        .map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`)
+        .join('');
+    select.value = selected;
+    document.getElementById('mappingPresetName').value = selected;
+    document.getElementById('btnDeletePreset').disabled = !selected;
+};
+
+/**
+ * Render one row per source column with sample values and a field picker
+ * @param {Object} mapping - Header to field value
+ */
+const renderMapping = (mapping) => {
+    const content = document.getElementById('mappingContent');
+    if (!content || !mappingSource) return;
+
+    const optionsFor = (value) => ['company', 'employee'].map(type => `
+        <optgroup label="${type === 'company' ? 'Company' : 'Contact'}">
+            ${getTargetFields().filter(f => f.type === type).map(f =>
+                `<option value="${f.value}" ${f.value === value ? 'selected' : ''}>${escapeHtml(f.label)}</option>`
+            ).join('')}
+        </optgroup>
+    `).join('');
+
+    content.innerHTML = `
+        <table class="parsed-table">
+            <thead><tr><th>Column</th><th>Sample values</th><th>Import as</th></tr></thead>
+            <tbody>
+                ${mappingSource.headers.map(header => {
+                    const samples = mappingSource.records
+                        .map(r => String(r?.[header] ?? '').trim())
+                        .filter(Boolean)
+                        .slice(0, 3);
+                    return `
+                        <tr class="mapping-row" data-header="${escapeHtml(header)}">
+                            <td><strong>${escapeHtml(header)}</strong></td>
+                            <td class="mapping-sample" title="${escapeHtml(samples.join('\n'))}">${escapeHtml(samples.join(' · ')) || '-'}</td>
+                            <td>
+                                <select class="input mapping-select">
+                                    <option value="">— Don't import —</option>
+                                    ${optionsFor(mapping[header])}
+                                </select>
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+    updateMappingSummary();
+};
+
+/**
+ * Read the mapping currently chosen on screen
+ * @returns {Object} Header to field value
+ */
+const currentMapping = () => Object.fromEntries(
+    [...document.querySelectorAll('#mappingContent tr[data-header]')]
+        .map(row => [row.dataset.header, row.querySelector('select').value])
+);
+
+/**
+ * Flag ignored columns and fields chosen for more than one column
+ */
+const updateMappingSummary = () => {
+    const mapping = currentMapping();
+    const counts = {};
+    Object.values(mapping).filter(Boolean).forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+
+    document.querySelectorAll('#mappingContent tr[data-header]').forEach(row => {
+        const value = mapping[row.dataset.header];
+        row.classList.toggle('mapping-row--ignored', !value);
+        row.classList.toggle('mapping-row--duplicate', counts[value] > 1);
+    });
+
+    const ignored = Object.values(mapping).filter(v => !v).length;
+    const duplicates = Object.keys(counts).filter(v => counts[v] > 1).length;
+    const size = mappingSource.file
+        ? `${mappingSource.file.name} (${formatBytes(mappingSource.file.size)})`
+        : `${mappingSource.records.length} rows`;
+    const parts = [`${size}, ${Object.keys(mapping).length} columns`];
+    if (ignored) parts.push(`${ignored} will not be imported`);
+    if (duplicates) parts.push(`${duplicates} field(s) chosen for more than one column — the last column wins`);
+
+    const summary = document.getElementById('mappingSummary');
+    if (summary) summary.textContent = parts.join(' · ');
+};
+
+/**
+ * Show the column mapping step for the current input
+ */
+const openMapping = async () => {
+    mappingSource = csvFile ? await readCSVFileSource(csvFile) : readMappingSource();
+    if (!mappingSource) return;
+
+    const preset = MappingPresets.findFor(mappingSource.headers);
+    renderPresetOptions(preset?.name);
+    renderMapping(initialMapping(mappingSource.headers, preset));
+
+    const section = document.getElementById('mappingSection');
+    section.style.display = 'block';
+    section.scrollIntoView({ behavior: 'smooth' });
+    log(preset
+        ? `Using mapping preset "${preset.name}" for ${mappingSource.headers.length} columns`
+        : `Suggested a mapping for ${mappingSource.headers.length} columns — check it before applying`, 'info');
+};
+
+/**
+ * Switch to a saved preset, or back to the suggested mapping
+ */
+const selectPreset = () => {
+    const name = document.getElementById('mappingPreset').value;
+    renderPresetOptions(name);
+    renderMapping(initialMapping(mappingSource.headers, name ? MappingPresets.get(name) : null));
+};
+
+/**
+ * Save the on-screen mapping as a named preset
+ */
+const savePreset = () => {
+    const name = document.getElementById('mappingPresetName').value.trim();
+    if (!name) {
+        log('Enter a name for the mapping preset', 'error');
+        return;
+    }
+    if (MappingPresets.get(name) && !confirm(`Replace the mapping preset "${name}"?`)) return;
+
+    MappingPresets.save(name, currentMapping());
+    renderPresetOptions(name);
+    log(`Saved mapping preset "${name}"`, 'success');
+};
+
+/**
+ * Delete the selected preset
+ */
+const deletePreset = () => {
+    const name = document.getElementById('mappingPreset').value;
+    if (!name || !confirm(`Delete the mapping preset "${name}"?`)) return;
+
+    MappingPresets.remove(name);
+    renderPresetOptions();
+    log(`Deleted mapping preset "${name}"`, 'info');
+};
+
+/**
+ * Hide the column mapping step
+ */
+const closeMapping = () => {
+    mappingSource = null;
+    document.getElementById('mappingSection').style.display = 'none';
+    document.getElementById('mappingContent').innerHTML = '';
+};
+
+/**
+ * Group the mapped rows into companies and show them in the import preview
+ */
+const applyMapping = async () => {
+    if (!mappingSource) return;
+
+    const mapping = currentMapping();
+    if (!Object.values(mapping).some(Boolean)) {
+        log('Map at least one column before applying', 'error');
+        return;
+    }
+
+    const ignored = Object.keys(mapping).filter(header => !mapping[header]);
+    if (ignored.length) log(`Not importing columns: ${ignored.join(', ')}`, 'info');
+
+    if (mappingSource.file) {
+        const { file } = mappingSource;
+        const button = document.getElementById('btnApplyMapping');
+        button.disabled = true;
+        setStatus('processing', 'Parsing...');
+        showProgress(0);
+        try {
+            let rows = 0;
+            parsedData = await parseCSVStream(file, {
+                mapping,
+                onProgress: (progress) => {
+                    rows = progress.rows;
+                    showProgress(progress.totalBytes ? progress.bytes / progress.totalBytes : 1);
+                    setStatus('processing', `Parsing... ${rows} rows`);
+                }
+            });
+            log(`Mapped ${rows} rows of ${file.name} into ${parsedData.length} companies`, 'success');
+        } catch (error) {
+            log(`Could not parse ${file.name}: ${error.message}`, 'error');
+            setStatus('error', 'Error');
+            return;
+        } finally {
+            button.disabled = false;
+            showProgress(null);
+        }
+    } else {
+        parsedData = mapRecords(mappingSource.records, mapping);
+        log(`Mapped ${mappingSource.records.length} rows into ${parsedData.length} companies`, 'success');
+    }
+    setStatus('success', 'Mapping Applied');
+    closeMapping();
+    renderPreview(parsedData);
 };
 
 /**
@@ -297,7 +740,7 @@ const renderPreview = (data) => {
  * Process data with AI
  */
 const processWithAI = async () => {
-    const input = document.getElementById('dataInput').value.trim();
+    const input = csvFile ? (await csvFile.text()).trim() : document.getElementById('dataInput').value.trim();
     if (!input) {
         log('No data to process', 'error');
         return;
@@ -318,77 +761,677 @@ const processWithAI = async () => {
 };
 
 /**
- * Import to Firebase
+ * Render the bundled datasets, each with a button that imports it
+ * @param {Array} datasets - From Datasets.list()
+ */
+const renderDatasets = (datasets) => {
+    const content = document.getElementById('datasetList');
+    if (!content) return;
+
+    if (!datasets.length) {
+        content.innerHTML = '<p class="help-text">No bundled datasets.</p>';
+        return;
+    }
+
+    content.innerHTML = `
+        <table class="parsed-table">
+            <thead><tr><th>Dataset</th><th>Files</th><th></th></tr></thead>
+            <tbody>
+                ${datasets.map((dataset, i) => `
+                    <tr data-index="${i}">
+                        <td>
+                            <strong>${escapeHtml(dataset.name)}</strong>${dataset.version ? ` <span style="color: var(--text-dim);">v${escapeHtml(dataset.version)}</span>` : ''}
+                            ${dataset.description ? `<br><span style="color: var(--text-dim);">${escapeHtml(dataset.description)}</span>` : ''}
+                        </td>
+                        <td>${dataset.files.map(file => escapeHtml(file.path)).join('<br>')}</td>
+                        <td><button class="btn btn-secondary btn-dataset-import">Import</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    content.querySelectorAll('tr[data-index]').forEach(row => {
+        row.querySelector('.btn-dataset-import')?.addEventListener('click', () => importDataset(datasets[Number(row.dataset.index)]));
+    });
+};
+
+/**
+ * Load the bundled dataset list from the manifest
+ */
+const loadDatasets = async () => {
+    try {
+        renderDatasets(await Datasets.list());
+    } catch (error) {
+        const content = document.getElementById('datasetList');
+        if (content) content.innerHTML = `<p class="help-text">Could not load bundled datasets: ${escapeHtml(error.message)}</p>`;
+        console.warn('Could not load dataset manifest:', error.message);
+    }
+};
+
+/**
+ * Load a bundled dataset and take it straight to the import dry run
+ * @param {Object} dataset - From Datasets.list()
  */
-const importToFirebase = async () => {
+const importDataset = async (dataset) => {
+    setStatus('processing', 'Loading dataset...');
+    try {
+        log(`Loading dataset ${dataset.name}${dataset.version ? ` v${dataset.version}` : ''}...`, 'processing');
+        parsedData = await Datasets.load(dataset);
+    } catch (error) {
+        log(`Dataset not loaded: ${error.message}`, 'error');
+        setStatus('error', 'Error');
+        return;
+    }
+
+    log(`Loaded ${parsedData.length} companies from ${dataset.name}`, 'success');
+    renderPreview(parsedData);
+    await previewImport();
+};
+
+/**
+ * Dry run: compare the parsed data with the directory and show what the
+ * import would do, with a checkbox per group. Nothing is written yet.
+ * A failed import is resumed directly instead.
+ */
+const previewImport = async () => {
     if (!parsedData || parsedData.length === 0) {
         log('No data to import', 'error');
         return;
     }
 
+    if (pendingImport?.data === parsedData) {
+        await runImport(pendingImport);
+        return;
+    }
+
+    setStatus('processing', 'Checking...');
+    try {
+        const existing = await DataService.getAll();
+        importPlan = { data: parsedData, plan: planImport(parsedData, existing) };
+    } catch (error) {
+        log(`Dry run failed: ${error.message}`, 'error');
+        setStatus('error', 'Error');
+        return;
+    }
+
+    const { plan } = importPlan;
+    document.getElementById('importReportContent').innerHTML = createImportReport(plan);
+    const section = document.getElementById('importReportSection');
+    section.style.display = 'block';
+    section.scrollIntoView({ behavior: 'smooth' });
+
+    log(`Dry run: ${plan.newCompanies.length} new companies, ${plan.matchedCompanies.length} matched, ` +
+        `${plan.contactsToAdd.length} contacts to add, ${plan.contactsToMerge.length} to merge, ${plan.rejected.length} rejected, ${plan.warnings.length} warnings`, 'info');
+    setStatus('idle', 'Review Import');
+};
+
+/**
+ * Hide the dry-run report without importing
+ */
+const cancelImport = () => {
+    importPlan = null;
+    document.getElementById('importReportSection').style.display = 'none';
+    document.getElementById('importReportContent').innerHTML = '';
+    setStatus('idle', 'Ready');
+};
+
+/**
+ * Write the groups approved in the dry-run report
+ */
+const confirmImport = async () => {
+    if (!importPlan) return;
+
+    const approved = getApprovedGroups(document.getElementById('importReportContent'));
+    const operations = importOperations(importPlan.plan, approved);
+    const skipped = IMPORT_GROUPS.filter(({ key }) => importPlan.plan[key].length && !approved[key]).map(g => g.label);
+    if (skipped.length) log(`Not importing: ${skipped.join(', ')}`, 'info');
+
+    const { data } = importPlan;
+    cancelImport();
+    if (!operations.length) {
+        log('Nothing approved to import', 'info');
+        return;
+    }
+
+    await runImport({ data, operations, report: null });
+};
+
+/**
+ * Import to Firebase
+ * Writes go out in chunked batches. If a chunk fails, the planned operations are
+ * kept so the next click resumes after the last committed chunk.
+ * @param {{ data: Array, operations: Array, report: Object|null }} job - Operations to write
+ */
+const runImport = async (job) => {
     setStatus('processing', 'Importing...');
-    log('Starting Firebase import...', 'processing');
 
     try {
-        const existing = await FirebaseService.getAll();
-        const existingMap = new Map(existing.map(c => [c.name.toLowerCase(), c]));
-
-        let updated = 0, created = 0, employeesUpdated = 0;
-
-        for (const company of parsedData) {
-            const key = company.name.toLowerCase();
-            console.log(`Processing company: ${company.name} (key: ${key})`);
-
-            if (existingMap.has(key)) {
-                const existingCompany = existingMap.get(key);
-                console.log(`Found existing company: ${existingCompany.name} with ID: ${existingCompany.id}`);
-                // Build the full updated employee list in memory
-                const employeeList = [...(existingCompany.employees || [])];
-
-                for (const newEmp of (company.employees || [])) {
-                    const match = findMatchingEmployee(employeeList, newEmp);
-
-                    if (match) {
-                        // Merge and replace in-place in the array
-                        const mergedEmp = mergeEmployeeData(match, newEmp);
-                        // Ensure the merged employee keeps the existing ID (or gets one)
-                        mergedEmp.id = match.id || mergedEmp.id || generateId();
-                        const idx = employeeList.indexOf(match);
-                        employeeList[idx] = mergedEmp;
-                        console.log(`Merged employee: ${mergedEmp.firstName} ${mergedEmp.lastName} | phone: ${mergedEmp.phone}`);
-                        employeesUpdated++;
-                        log(`Updated: ${mergedEmp.firstName} ${mergedEmp.lastName}`, 'info');
-                    } else {
-                        // Ensure new employee has an ID
-                        const newEmployee = { ...newEmp, id: newEmp.id || generateId() };
-                        employeeList.push(newEmployee);
-                        updated++;
-                        log(`Added: ${newEmployee.firstName} ${newEmployee.lastName}`, 'info');
-                    }
-                }
+        if (job.report) {
+            log(`Resuming import — ${job.report.committedChunks.length}/${job.report.totalChunks} batches already committed`, 'processing');
+        } else {
+            log(`Starting Firebase import of ${job.operations.length} writes...`, 'processing');
+        }
 
-                // Single write per company with the full updated employee list
-                await FirebaseService.updateCompany(existingCompany.id, { employees: employeeList });
-                console.log(`✅ Wrote ${employeeList.length} employees for ${existingCompany.name}`);
-            } else {
-                console.log(`Creating new company: ${company.name}`);
-                await FirebaseService.addCompany(company);
-                created++;
-                log(`Created: ${company.name}`, 'info');
+        const report = await DataService.batchWrite(job.operations, {
+            skipChunks: job.report?.committedChunks || [],
+            onProgress: ({ chunk, totalChunks, done, total }) => {
+                log(`Committed batch ${chunk + 1}/${totalChunks} (${done}/${total} writes)`, 'processing');
+                setStatus('processing', `Importing ${Math.round((done / total) * 100)}%`);
             }
-        }
+        });
+        pendingImport = null;
 
-        const allData = await FirebaseService.getAll();
+        const allData = await DataService.getAll();
         Storage.save(allData);
 
-        log(`Import complete: ${created} new, ${updated} added, ${employeesUpdated} updated`, 'success');
+        log(`Import complete: ${job.operations.length} writes (${report.totalChunks} batches)`, 'success');
         setStatus('success', 'Import Complete');
     } catch (error) {
         log(`Import Error: ${error.message}`, 'error');
+        if (error.code === 'batch-failed') {
+            pendingImport = { ...job, report: error.report };
+            const { committedChunks, totalChunks } = error.report;
+            log(`${committedChunks.length}/${totalChunks} batches committed — click Import again to resume`, 'info');
+        }
         setStatus('error', 'Import Failed');
     }
 };
 
+/**
+ * Turn a label into a field key, e.g. "Referral Status" → "referralStatus"
+ * @param {string} label
+ * @returns {string}
+ */
+const toFieldKey = (label) => label
+    .replace(/[^a-zA-Z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map((word, i) => i === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1))
+    .join('')
+    .replace(/^[^a-zA-Z]+/, '');
+
+/**
+ * Render the custom field definitions being edited. Saved fields keep their
+ * key, since values are stored under it.
+ */
+const renderCustomFields = () => {
+    const content = document.getElementById('customFieldsContent');
+    if (!content) return;
+
+    if (!customFieldRows.length) {
+        content.innerHTML = '<p class="help-text">No custom fields yet.</p>';
+        return;
+    }
+
+    const option = (value, label, selected) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+
+    content.innerHTML = `
+        <table class="parsed-table">
+            <thead><tr><th>Label</th><th>Key</th><th>On</th><th>Type</th><th></th></tr></thead>
+            <tbody>
+                ${customFieldRows.map((field, i) => `
+                    <tr data-index="${i}">
+                        <td><input type="text" class="input custom-field-label" value="${escapeHtml(field.label)}" placeholder="e.g. Referral Status"></td>
+                        <td><input type="text" class="input custom-field-key" value="${escapeHtml(field.key)}" ${field.saved ? 'disabled' : ''}></td>
+                        <td>
+                            <select class="input custom-field-target" ${field.saved ? 'disabled' : ''}>
+                                ${option('company', 'Company', field.target)}
+                                ${option('employee', 'Contact', field.target)}
+                            </select>
+                        </td>
+                        <td>
+                            <select class="input custom-field-type">
+                                ${CUSTOM_FIELD_TYPES.map(type => option(type, type === 'string' ? 'text' : type, field.type)).join('')}
+                            </select>
+                        </td>
+                        <td><button class="btn btn-secondary btn-custom-field-remove">Remove</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    content.querySelectorAll('tr[data-index]').forEach(row => {
+        const field = customFieldRows[Number(row.dataset.index)];
+        const keyInput = row.querySelector('.custom-field-key');
+        row.querySelector('.custom-field-label').addEventListener('input', (e) => {
+            // New fields take their key from the label until it is edited by hand
+            if (!field.saved && (!field.key || field.key === toFieldKey(field.label))) {
+                field.key = toFieldKey(e.target.value);
+                keyInput.value = field.key;
+            }
+            field.label = e.target.value;
+        });
+        keyInput.addEventListener('input', (e) => { field.key = e.target.value; });
+        row.querySelector('.custom-field-target').addEventListener('change', (e) => { field.target = e.target.value; });
+        row.querySelector('.custom-field-type').addEventListener('change', (e) => { field.type = e.target.value; });
+        row.querySelector('.btn-custom-field-remove').addEventListener('click', () => {
+            if (field.saved && !confirm(`Remove "${field.label}"? Values already stored stay on the records but are no longer shown.`)) return;
+            customFieldRows.splice(customFieldRows.indexOf(field), 1);
+            renderCustomFields();
+        });
+    });
+};
+
+/**
+ * Load the custom field definitions into the editor
+ */
+const refreshCustomFields = async () => {
+    const fields = await CustomFields.load();
+    customFieldRows = fields.map(field => ({ ...field, saved: true }));
+    renderCustomFields();
+};
+
+/**
+ * Add an empty custom field row
+ */
+const addCustomField = () => {
+    customFieldRows.push({ key: '', label: '', target: 'employee', type: 'string', saved: false });
+    renderCustomFields();
+    document.querySelector('#customFieldsContent tr:last-child .custom-field-label')?.focus();
+};
+
+/**
+ * Save the edited custom field definitions
+ */
+const saveCustomFields = async () => {
+    setStatus('processing', 'Saving fields...');
+    try {
+        const saved = await CustomFields.save(customFieldRows);
+        customFieldRows = saved.map(field => ({ ...field, saved: true }));
+        renderCustomFields();
+        log(`Saved ${saved.length} custom fields`, 'success');
+        setStatus('success', 'Fields Saved');
+    } catch (error) {
+        log(`Custom fields not saved: ${error.message}`, 'error');
+        setStatus('error', 'Save Failed');
+    }
+};
+
+/**
+ * Render the trash: trashed companies, and trashed contacts of live companies
+ * @param {Array} companies - All companies, including trashed ones
+ */
+const renderTrash = (companies) => {
+    const content = document.getElementById('trashContent');
+    const emptyBtn = document.getElementById('btnEmptyTrash');
+    if (!content) return;
+
+    const items = companies.flatMap(company => isDeleted(company)
+        ? [{ companyId: company.id, label: company.name, detail: `Company · ${(company.employees || []).length} contacts`, record: company }]
+        : (company.employees || []).filter(isDeleted).map(emp => ({
+            companyId: company.id,
+            employeeId: emp.id,
+            label: `${emp.firstName || ''} ${emp.lastName || ''}`.trim() || 'Contact',
+            detail: `Contact at ${company.name}`,
+            record: emp
+        }))
+    ).sort((a, b) => b.record.deletedAt.localeCompare(a.record.deletedAt));
+
+    if (emptyBtn) emptyBtn.disabled = items.length === 0;
+    if (!items.length) {
+        content.innerHTML = '<p class="help-text">Trash is empty.</p>';
+        return;
+    }
+
+    content.innerHTML = `
+        <table class="parsed-table">
+            <thead><tr><th>Item</th><th>Deleted</th><th></th></tr></thead>
+            <tbody>
+                ${items.map(item => `
+                    <tr data-company="${escapeHtml(item.companyId)}" data-employee="${escapeHtml(item.employeeId || '')}">
+                        <td><strong>${escapeHtml(item.label)}</strong><br><span style="color: var(--text-dim);">${escapeHtml(item.detail)}</span></td>
+                        <td>${escapeHtml(new Date(item.record.deletedAt).toLocaleString())}<br><span style="color: var(--text-dim);">${escapeHtml(item.record.deletedBy || '')}</span></td>
+                        <td style="white-space: nowrap;">
+                            <button class="btn btn-secondary btn-trash-restore">Restore</button>
+                            <button class="btn btn-secondary btn-trash-purge">Delete Forever</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    content.querySelectorAll('tr[data-company]').forEach(row => {
+        const target = { companyId: row.dataset.company, employeeId: row.dataset.employee || null };
+        row.querySelector('.btn-trash-restore')?.addEventListener('click', () => restoreFromTrash(target));
+        row.querySelector('.btn-trash-purge')?.addEventListener('click', () => purgeFromTrash([target]));
+    });
+};
+
+/**
+ * Reload all data, refresh the trash view and the local cache
+ */
+const refreshTrash = async () => {
+    const allData = await DataService.getAll();
+    Storage.save(allData);
+    renderTrash(allData);
+    return allData;
+};
+
+/**
+ * Take one record out of the trash
+ * @param {Object} target - `{ companyId, employeeId? }`
+ */
+const restoreFromTrash = async ({ companyId, employeeId }) => {
+    setStatus('processing', 'Restoring...');
+    try {
+        await DataService.restoreDeleted(companyId, employeeId);
+        await refreshTrash();
+        log('Restored from trash', 'success');
+        setStatus('success', 'Restored');
+    } catch (error) {
+        console.error('Restore from trash error:', error);
+        log(`Restore Error: ${error.message}`, 'error');
+        setStatus('error', 'Restore Failed');
+    }
+};
+
+/**
+ * Permanently delete records from the trash
+ * @param {Array<Object>} targets - `{ companyId, employeeId? }` records
+ */
+const purgeFromTrash = async (targets) => {
+    if (!targets.length) return;
+    if (!confirm(`Permanently delete ${targets.length} item${targets.length === 1 ? '' : 's'}? This cannot be undone.`)) return;
+
+    setStatus('processing', 'Purging...');
+    try {
+        await DataService.purge(targets, {
+            onProgress: ({ done, total }) => setStatus('processing', `Purging ${done}/${total}`)
+        });
+        await refreshTrash();
+        log(`Permanently deleted ${targets.length} item${targets.length === 1 ? '' : 's'}`, 'success');
+        setStatus('success', 'Purged');
+    } catch (error) {
+        console.error('Purge error:', error);
+        log(`Purge Error: ${error.message}`, 'error');
+        setStatus('error', 'Purge Failed');
+    }
+};
+
+/**
+ * Permanently delete everything in the trash
+ */
+const emptyTrash = async () => {
+    const companies = await DataService.getAll();
+    // A trashed company takes its contacts with it, so list it on its own
+    const targets = companies.flatMap(company => isDeleted(company)
+        ? [{ companyId: company.id }]
+        : (company.employees || []).filter(isDeleted).map(emp => ({ companyId: company.id, employeeId: emp.id }))
+    );
+    await purgeFromTrash(targets);
+};
+
+/**
+ * Render the list of saved snapshots
+ * @param {Array} snapshots - Snapshot metadata, newest first
+ */
+const renderSnapshots = (snapshots) => {
+    const content = document.getElementById('snapshotList');
+    if (!content) return;
+
+    if (!snapshots.length) {
+        content.innerHTML = '<p class="help-text">No snapshots yet.</p>';
+        return;
+    }
+
+    content.innerHTML = `
+        <table class="parsed-table">
+            <thead><tr><th>Snapshot</th><th>Contents</th><th></th></tr></thead>
+            <tbody>
+                ${snapshots.map(snap => `
+                    <tr data-id="${escapeHtml(snap.id)}">
+                        <td>
+                            <strong>${escapeHtml(snap.name)}</strong>${snap.auto ? ' <span style="color: var(--text-dim);">(auto)</span>' : ''}<br>
+                            <span style="color: var(--text-dim);">${escapeHtml(new Date(snap.createdAt).toLocaleString())} · ${escapeHtml(snap.createdBy || '')}</span>
+                        </td>
+                        <td>${snap.companyCount} companies<br><span style="color: var(--text-dim);">${snap.contactCount} contacts</span></td>
+                        <td style="white-space: nowrap;">
+                            <button class="btn btn-secondary btn-snapshot-restore">Restore…</button>
+                            <button class="btn btn-secondary btn-snapshot-download" title="Download as JSON">⬇️</button>
+                            <button class="btn btn-secondary btn-snapshot-delete" title="Delete snapshot">🗑️</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    content.querySelectorAll('tr[data-id]').forEach(row => {
+        const id = row.dataset.id;
+        row.querySelector('.btn-snapshot-restore')?.addEventListener('click', () => previewSnapshotRestore(id));
+        row.querySelector('.btn-snapshot-download')?.addEventListener('click', () => downloadSnapshot(id));
+        row.querySelector('.btn-snapshot-delete')?.addEventListener('click', () => deleteSnapshot(id));
+    });
+};
+
+/** Reload and render the snapshot list */
+const loadSnapshots = async () => {
+    const snapshots = await DataService.listSnapshots();
+    renderSnapshots(snapshots);
+    return snapshots;
+};
+
+/**
+ * Take an on-demand snapshot named from the input (or the current time)
+ */
+const createSnapshot = async () => {
+    const input = document.getElementById('snapshotName');
+    setStatus('processing', 'Snapshotting...');
+    try {
+        const meta = await DataService.createSnapshot({ name: input?.value });
+        if (input) input.value = '';
+        await loadSnapshots();
+        log(`Snapshot "${meta.name}" saved (${meta.companyCount} companies, ${meta.contactCount} contacts)`, 'success');
+        setStatus('success', 'Snapshot Saved');
+    } catch (error) {
+        console.error('Snapshot error:', error);
+        log(`Snapshot Error: ${error.message}`, 'error');
+        setStatus('error', 'Snapshot Failed');
+    }
+};
+
+/**
+ * Take an automatic snapshot if the last one is older than the schedule
+ * allows, then delete automatic snapshots beyond the number kept
+ */
+const runScheduledSnapshot = async () => {
+    const schedule = document.getElementById('snapshotSchedule');
+    if (schedule) {
+        schedule.textContent = `A snapshot is taken automatically every ${SNAPSHOTS.AUTO_INTERVAL_HOURS} hours when this page is opened; the last ${SNAPSHOTS.KEEP_AUTO} are kept.`;
+    }
+
+    let snapshots = await DataService.listSnapshots();
+    const lastAuto = snapshots.find(snap => snap.auto);
+    const age = lastAuto ? Date.now() - new Date(lastAuto.createdAt).getTime() : Infinity;
+
+    if (age > SNAPSHOTS.AUTO_INTERVAL_HOURS * 60 * 60 * 1000) {
+        const meta = await DataService.createSnapshot({ name: `Auto ${new Date().toLocaleString()}`, auto: true });
+        log(`Automatic snapshot saved (${meta.companyCount} companies)`, 'info');
+        snapshots = await DataService.listSnapshots();
+    }
+
+    for (const old of snapshots.filter(snap => snap.auto).slice(SNAPSHOTS.KEEP_AUTO)) {
+        await DataService.deleteSnapshot(old.id);
+    }
+    await loadSnapshots();
+};
+
+/**
+ * Download a saved snapshot as a JSON file
+ * @param {string} snapshotId
+ */
+const downloadSnapshot = async (snapshotId) => {
+    try {
+        const { meta, companies } = await DataService.getSnapshot(snapshotId);
+        const filename = `${meta.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'snapshot'}.json`;
+        downloadFile(filename, toSnapshotFile(meta, companies));
+        log(`Downloaded snapshot "${meta.name}"`, 'success');
+    } catch (error) {
+        log(`Download Error: ${error.message}`, 'error');
+    }
+};
+
+/**
+ * Delete a saved snapshot after confirmation
+ * @param {string} snapshotId
+ */
+const deleteSnapshot = async (snapshotId) => {
+    if (!confirm('Delete this snapshot? This cannot be undone.')) return;
+    try {
+        await DataService.deleteSnapshot(snapshotId);
+        await loadSnapshots();
+        log('Snapshot deleted', 'success');
+    } catch (error) {
+        log(`Delete Error: ${error.message}`, 'error');
+    }
+};
+
+/** Labels for diff statuses */
+const DIFF_LABELS = { added: 'Add', changed: 'Change', removed: 'Remove' };
+
+/**
+ * Show what restoring a snapshot would do, company by company, with a
+ * checkbox per company to choose what gets restored
+ * @param {string} label - Snapshot name for the heading
+ * @param {Object} diff - Result of diffDirectories(current, snapshot)
+ */
+const renderRestorePreview = (label, diff) => {
+    const section = document.getElementById('restorePreviewSection');
+    const title = document.getElementById('restorePreviewTitle');
+    const content = document.getElementById('restorePreviewContent');
+    const restoreBtn = document.getElementById('btnRestoreSelected');
+    if (!section || !content) return;
+
+    if (title) title.textContent = `Restore "${label}"`;
+    if (restoreBtn) restoreBtn.disabled = diff.companies.length === 0;
+
+    const { companies: c, contacts: e } = diff.summary;
+    const contactLine = (contact) => `<li><span class="diff-status diff-status--${contact.status}">${DIFF_LABELS[contact.status]}</span> ${escapeHtml(contact.name)}${contact.changedFields.length ? ` — ${escapeHtml(contact.changedFields.join(', '))}` : ''}</li>`;
+
+    content.innerHTML = `
+        <p style="margin-bottom: 0.75rem; color: var(--text-dim);">
+            Companies: <strong>${c.added}</strong> to add, <strong>${c.changed}</strong> to change, <strong>${c.removed}</strong> to remove.
+            Contacts: <strong>${e.added}</strong> to add, <strong>${e.changed}</strong> to change, <strong>${e.removed}</strong> to remove.
+            Removed records go to the trash.
+        </p>
+        ${diff.companies.length ? `
+            <table class="parsed-table">
+                <thead><tr><th><input type="checkbox" id="restoreSelectAll" checked title="Select all"></th><th>Company</th><th>Changes</th></tr></thead>
+                <tbody>
+                    ${diff.companies.map(company => `
+                        <tr>
+                            <td><input type="checkbox" class="restore-select" value="${escapeHtml(company.id)}" checked></td>
+                            <td><span class="diff-status diff-status--${company.status}">${DIFF_LABELS[company.status]}</span> <strong>${escapeHtml(company.name)}</strong></td>
+                            <td>
+                                ${company.changedFields.length ? `Fields: ${escapeHtml(company.changedFields.join(', '))}` : ''}
+                                ${company.contacts.length ? `
+                                    <details class="diff-details">
+                                        <summary>${company.contacts.length} contact${company.contacts.length === 1 ? '' : 's'}</summary>
+                                        <ul>${company.contacts.map(contactLine).join('')}</ul>
+                                    </details>
+                                ` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="help-text">The directory already matches this snapshot.</p>'}
+    `;
+
+    content.querySelector('#restoreSelectAll')?.addEventListener('change', (e) => {
+        content.querySelectorAll('.restore-select').forEach(box => { box.checked = e.target.checked; });
+    });
+
+    section.style.display = 'block';
+    section.scrollIntoView({ behavior: 'smooth' });
+};
+
+/**
+ * Diff a snapshot's companies against the live directory and show the preview
+ * @param {string} label - Snapshot name
+ * @param {Array} companies - Snapshot contents
+ */
+const previewRestore = async (label, companies) => {
+    setStatus('processing', 'Comparing...');
+    try {
+        const diff = diffDirectories(await DataService.getAll(), companies);
+        restoreSource = { label, companies };
+        renderRestorePreview(label, diff);
+        setStatus('idle', 'Ready');
+    } catch (error) {
+        log(`Preview Error: ${error.message}`, 'error');
+        setStatus('error', 'Preview Failed');
+    }
+};
+
+/** @param {string} snapshotId - Saved snapshot to preview */
+const previewSnapshotRestore = async (snapshotId) => {
+    try {
+        const { meta, companies } = await DataService.getSnapshot(snapshotId);
+        await previewRestore(meta.name, companies);
+    } catch (error) {
+        log(`Snapshot Error: ${error.message}`, 'error');
+    }
+};
+
+/** @param {Event} e - Change event of the snapshot file input */
+const handleSnapshotFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        const { meta, companies } = parseSnapshotFile(await file.text());
+        await previewRestore(meta.name || file.name, companies);
+    } catch (error) {
+        log(`Snapshot File Error: ${error.message}`, 'error');
+    }
+};
+
+/** Close the restore preview */
+const cancelRestore = () => {
+    restoreSource = null;
+    const section = document.getElementById('restorePreviewSection');
+    if (section) section.style.display = 'none';
+};
+
+/**
+ * Restore the companies ticked in the preview. The diff is recomputed right
+ * before writing, so it accounts for changes made since the preview was shown.
+ */
+const restoreSelected = async () => {
+    if (!restoreSource) return;
+    const ids = [...document.querySelectorAll('#restorePreviewContent .restore-select:checked')].map(box => box.value);
+    if (!ids.length) {
+        log('Select at least one company to restore', 'error');
+        return;
+    }
+    if (!confirm(`Restore ${ids.length} compan${ids.length === 1 ? 'y' : 'ies'} from "${restoreSource.label}"?`)) return;
+
+    setStatus('processing', 'Restoring...');
+    try {
+        const diff = diffDirectories(await DataService.getAll(), restoreSource.companies);
+        const user = getCurrentUser();
+        const operations = restoreOperations(diff, ids, user?.email || user?.uid || 'anonymous');
+
+        await DataService.batchWrite(operations, {
+            onProgress: ({ done, total }) => setStatus('processing', `Restoring ${done}/${total}`)
+        });
+
+        log(`Restored ${ids.length} companies from "${restoreSource.label}" (${operations.length} writes)`, 'success');
+        setStatus('success', 'Restore Complete');
+        cancelRestore();
+        await refreshTrash();
+    } catch (error) {
+        console.error('Snapshot restore error:', error);
+        log(`Restore Error: ${error.message}`, 'error');
+        setStatus('error', 'Restore Failed');
+    }
+};
+
 /**
  * Initialize admin page
  */
@@ -399,7 +1442,7 @@ const init = async () => {
 
     // Sync Lock Phones button label with current Firebase state
     try {
-        const companies = await FirebaseService.getAll();
+        const companies = await DataService.getAll();
         const anyLocked = companies.some(c =>
             (c.employees || []).some(emp => emp.phoneLocked)
         );
@@ -409,6 +1452,33 @@ const init = async () => {
         console.warn('Could not sync phone lock state:', e.message);
     }
 
+    // Purge trash past its retention period, then show what is left
+    const retention = document.getElementById('trashRetention');
+    if (retention) {
+        retention.textContent = `Deleted companies and contacts stay here for ${TRASH.RETENTION_DAYS} days, then are purged automatically.`;
+    }
+    try {
+        const purged = await DataService.purgeExpired(TRASH.RETENTION_DAYS);
+        if (purged) log(`Purged ${purged} items older than ${TRASH.RETENTION_DAYS} days from the trash`, 'info');
+        await refreshTrash();
+    } catch (e) {
+        console.warn('Could not load trash:', e.message);
+    }
+
+    loadDatasets();
+
+    try {
+        await refreshCustomFields();
+    } catch (e) {
+        console.warn('Could not load custom fields:', e.message);
+    }
+
+    try {
+        await runScheduledSnapshot();
+    } catch (e) {
+        console.warn('Could not load snapshots:', e.message);
+    }
+
     log('Admin panel ready', 'info');
 };
 
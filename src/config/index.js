@@ -17,6 +17,15 @@ export const FIREBASE_CONFIG = {
 // Firebase SDK version — used for CDN imports
 export const FIREBASE_VERSION = '10.8.0';
 
+// SheetJS build used to read and write spreadsheets, loaded on first use
+export const SHEETJS_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
+
+// Data Backend — 'firebase' (Firestore) or 'local' (in-memory, saved to a JSON file by server.js)
+export const BACKEND = {
+    TYPE: 'firebase',
+    LOCAL_DATA_URL: '/api/local-data'
+};
+
 // API Endpoints
 export const API = {
     PERPLEXITY: 'https://api.perplexity.ai/chat/completions',
@@ -27,11 +36,38 @@ export const API = {
 
 // Local Storage Keys
 export const STORAGE_KEYS = {
-    COMPANIES: 'referNconnect_companies',
+    COMPANIES: 'referNconnect_companies', // Legacy cache, moved to IndexedDB on first load
+    OUTBOX: 'referNconnect_outbox',
+    MAPPING_PRESETS: 'referNconnect_mapping_presets',
+    CUSTOM_FIELDS: 'referNconnect_custom_fields', // Last loaded definitions, for offline starts
+    SAVED_SEARCHES: 'referNconnect_saved_searches', // Last loaded saved searches, for offline starts
+    SAVED_SEARCH_VIEWS: 'referNconnect_saved_search_views', // This user's pins and last-opened matches
     API_KEY: 'perplexity_api_key',
     GEMINI_API_KEY: 'gemini_api_key'
 };
 
+// IndexedDB cache (replaces the single localStorage key)
+export const CACHE_DB = {
+    NAME: 'referNconnect_cache',
+    VERSION: 1
+};
+
+// Trash (soft-deleted companies and contacts)
+export const TRASH = {
+    RETENTION_DAYS: 30 // Purged for good after this many days
+};
+
+// Offline outbox, kept in localStorage (about 5 MB per site)
+export const OUTBOX = {
+    MAX_BATCH_BYTES: 1024 * 1024 // bulkImport/batchWrite payloads larger than this as UTF-8 JSON are not queued
+};
+
+// Whole-directory snapshots (admin page)
+export const SNAPSHOTS = {
+    AUTO_INTERVAL_HOURS: 24, // Take an automatic snapshot when the last one is older
+    KEEP_AUTO: 7 // Automatic snapshots kept; older ones are deleted
+};
+
 // Field Mappings for data normalization
 export const FIELD_MAPPINGS = {
     company: {
@@ -50,7 +86,32 @@ export const FIELD_MAPPINGS = {
         'Phone': 'phone',
         'Job title': 'jobTitle',
         'LinkedIn': 'linkedin',
-        'Location': 'location'
+        'Location': 'location',
+        'Connected on': 'connectedOn'
+    }
+};
+
+// Other header names for each field, used to suggest column mappings on import.
+// Matching ignores case, spaces and punctuation.
+export const FIELD_SYNONYMS = {
+    company: {
+        name: ['company', 'organization', 'organisation', 'employer', 'account', 'account name', 'business', 'firm'],
+        domain: ['website', 'web', 'url', 'company website', 'site', 'domain'],
+        industry: ['sector', 'vertical', 'industry'],
+        size: ['employees count', 'headcount', 'company size', 'number of employees', 'size'],
+        type: ['company type', 'ownership', 'type'],
+        headquarters: ['hq', 'head office', 'company location', 'company address', 'headquarters'],
+        linkedin: ['company linkedin url', 'company linkedin profile']
+    },
+    employee: {
+        firstName: ['first', 'given name', 'forename', 'first name'],
+        lastName: ['last', 'surname', 'family name', 'last name'],
+        email: ['e-mail', 'e-mail address', 'email address', 'mail', 'work email'],
+        phone: ['phone number', 'mobile', 'mobile phone', 'telephone', 'tel', 'cell', 'contact number'],
+        jobTitle: ['title', 'position', 'role', 'designation', 'job', 'job title'],
+        linkedin: ['linkedin url', 'linkedin profile', 'profile url'],
+        location: ['city', 'address', 'region', 'based in', 'location'],
+        connectedOn: ['connected', 'connection date', 'date connected', 'connected since']
     }
 };
 
@@ -58,7 +119,11 @@ export const FIELD_MAPPINGS = {
 export const UI = {
     DEBOUNCE_DELAY: 300,
     ANIMATION_DURATION: 200,
-    MAX_PREVIEW_EMPLOYEES: 5
+    MAX_PREVIEW_EMPLOYEES: 5,
+    MAX_REPORT_ROWS: 100, // Rows listed per group in the import dry-run report
+    SEARCH_CHUNK_SIZE: 60, // Directory cards sent to the grid at a time by the search worker
+    FACET_VALUES: 8, // Values listed per filter facet before "Show more"
+    SYNCED_BADGE_DURATION: 4000
 };
 
 // Error Messages
@@ -67,16 +132,26 @@ export const ERRORS = {
     API_KEY_MISSING: 'Please enter your Perplexity API key',
     NO_DATA: 'No data to process',
     IMPORT_FAILED: 'Failed to import data',
-    SAVE_FAILED: 'Failed to save changes'
+    EXPORT_FAILED: 'Failed to export data',
+    SAVE_FAILED: 'Failed to save changes',
+    OUTBOX_FULL: 'Not enough local storage to queue this change offline',
+    OUTBOX_TOO_LARGE: 'This import is too large to queue offline. Run it again once you are back online.'
 };
 
 // Default export for convenience
 export default {
     FIREBASE_CONFIG,
     FIREBASE_VERSION,
+    SHEETJS_URL,
+    BACKEND,
     API,
     STORAGE_KEYS,
+    CACHE_DB,
+    TRASH,
+    OUTBOX,
+    SNAPSHOTS,
     FIELD_MAPPINGS,
+    FIELD_SYNONYMS,
     UI,
     ERRORS
 };
@@ -11,6 +11,9 @@ import { state } from './state.js';
 import * as UI from '../ui/index.js';
 import * as Handlers from '../handlers/index.js';
 import { handleJobSearch } from './job-search.js';
+import { isDeleted, debounce } from '../utils/helpers.js';
+import { CustomFields, SearchIndex, SavedSearches } from '../services/index.js';
+import { UI as UI_CONFIG } from '../config/index.js';
 
 // ─── Initialization ───────────────────────────────────────────
 
@@ -22,13 +25,29 @@ const init = async () => {
 
     // Always fetch from Firebase and show directory
     await Handlers.initializeData(state);
+    SearchIndex.sync(state.data);
 
     // Apply global settings
     if (localStorage.getItem('editMode') === 'true') {
         document.body.classList.add('edit-mode');
     }
 
+    UI.renderSortOptions(state.sort);
     UI.showView('viewDirectory', renderDirectory);
+
+    // Cached custom field definitions are shown until the current ones arrive
+    CustomFields.load().then(() => refreshActiveView(null));
+
+    // Likewise the saved searches, with their new matches counted
+    refreshSavedSearches();
+    SavedSearches.load().then(refreshSavedSearches);
+
+    // Pick up changes made by other users without a reload
+    Handlers.startLiveSync(state, refreshActiveView);
+
+    // Send anything queued while offline
+    refreshSyncIndicator();
+    Handlers.replayOutbox(state, refreshActiveView);
 };
 
 // ─── Event Listeners ──────────────────────────────────────────
@@ -37,21 +56,57 @@ const init = async () => {
  * Setup all top-level DOM event listeners.
  */
 const setupEventListeners = () => {
-    // File upload
-    document.getElementById('fileCsv')?.addEventListener('change', (e) => {
-        Handlers.handleFileUpload(e.target.files[0], state, () => {
-            UI.showView('viewDirectory', renderDirectory);
-        });
+    // Search, once typing pauses
+    document.getElementById('searchInput')?.addEventListener('input', debounce((e) => {
+        renderDirectory(e.target.value);
+    }, UI_CONFIG.DEBOUNCE_DELAY));
+
+    document.getElementById('sortSelect')?.addEventListener('change', (e) => {
+        state.sort = e.target.value;
+        renderDirectory(getSearchQuery());
     });
 
-    // Search
-    document.getElementById('searchInput')?.addEventListener('input', (e) => {
-        renderDirectory(e.target.value);
+    document.getElementById('btnSaveSearch')?.addEventListener('click', saveCurrentSearch);
+
+    // Contact filter and vCard export in the detail view
+    document.getElementById('contactFilter')?.addEventListener('input', debounce(() => {
+        const company = state.data.find(c => c.id === state.activeCompanyId);
+        if (company) showCompanyDetail(company);
+    }, UI_CONFIG.DEBOUNCE_DELAY));
+
+    document.getElementById('btnExportVcf')?.addEventListener('click', () => {
+        const company = state.data.find(c => c.id === state.activeCompanyId);
+        if (!company) return;
+        const filter = getContactFilter();
+        const label = filter ? `${company.name} ${filter}` : company.name;
+        Handlers.exportVCard(UI.filterContacts(company, filter), company, label);
+    });
+
+    // Export the directory or the open company, as filtered on screen
+    document.getElementById('btnExport')?.addEventListener('click', () => {
+        const query = getSearchQuery();
+        exportCompanies(UI.filterCompanies(state.data, query, state.facets, state.sort), query ? `directory ${query}` : 'directory');
+    });
+
+    document.getElementById('btnExportDetail')?.addEventListener('click', () => {
+        const company = state.data.find(c => c.id === state.activeCompanyId);
+        if (!company) return;
+        const filter = getContactFilter();
+        const label = filter ? `${company.name} ${filter}` : company.name;
+        exportCompanies([{ ...company, employees: UI.filterContacts(company, filter) }], label);
     });
 
     // Navigation
     document.getElementById('btnBack')?.addEventListener('click', () => {
-        UI.showView('viewDirectory', renderDirectory);
+        state.activeCompanyId = null;
+        UI.showView('viewDirectory', () => renderDirectory(getSearchQuery()));
+    });
+
+    // Offline outbox — replay on reconnect, retry failures on demand
+    window.addEventListener('online', () => Handlers.replayOutbox(state, refreshActiveView));
+    window.addEventListener('offline', refreshSyncIndicator);
+    document.getElementById('syncIndicator')?.addEventListener('click', () => {
+        Handlers.retryFailedWrites(state, refreshActiveView);
     });
 
     // Clear data — reload after clearing
@@ -66,9 +121,11 @@ const setupEventListeners = () => {
     });
 
     document.getElementById('btnSaveEdit')?.addEventListener('click', () => {
-        Handlers.saveEdit(state, (type, parentId) => {
+        Handlers.saveEdit(state, (type, parentId, id) => {
+            refreshSyncIndicator();
+            SearchIndex.update(state.data.find(c => c.id === (type === 'company' ? id : parentId)));
             if (type === 'company') {
-                renderDirectory(document.getElementById('searchInput')?.value || '');
+                renderDirectory(getSearchQuery());
             } else {
                 const company = state.data.find(c => c.id === parentId);
                 showCompanyDetail(company);
@@ -80,27 +137,144 @@ const setupEventListeners = () => {
 // ─── View Rendering ───────────────────────────────────────────
 
 /**
- * Render the company directory grid with an optional search filter.
+ * Current text in the directory search box.
+ * @returns {string}
+ */
+const getSearchQuery = () => document.getElementById('searchInput')?.value || '';
+
+/**
+ * Ask for export options, then download the given companies
+ * @param {Array} companies - Companies with the contacts to export
+ * @param {string} label - Used for the file name
+ */
+const exportCompanies = async (companies, label) => {
+    const contacts = companies.reduce((sum, c) => sum + (c.employees?.length || 0), 0);
+    const options = await UI.openExportModal(`${companies.length} companies, ${contacts} contacts`);
+    if (options) await Handlers.exportDirectory(companies, options, label);
+};
+
+/**
+ * Current text in the detail view's contact filter.
+ * @returns {string}
+ */
+const getContactFilter = () => document.getElementById('contactFilter')?.value || '';
+
+/**
+ * Re-render whichever view is open after state.data changed underneath it.
+ * Keeps the search filter; leaves the detail view if its company was deleted or trashed.
+ * @param {Array<string>|null} [companyIds=[]] - Companies whose data changed, to reindex;
+ *   null reindexes the whole directory
+ */
+const refreshActiveView = (companyIds = []) => {
+    refreshSyncIndicator();
+    reindex(companyIds);
+    const activeView = UI.getActiveView();
+
+    refreshSavedSearches();
+
+    if (activeView === 'viewDirectory') {
+        renderDirectory(getSearchQuery());
+    } else if (activeView === 'viewDetail') {
+        const company = state.data.find(c => c.id === state.activeCompanyId);
+        if (company && !isDeleted(company)) {
+            showCompanyDetail(company);
+        } else {
+            state.activeCompanyId = null;
+            UI.showView('viewDirectory', () => renderDirectory(getSearchQuery()));
+        }
+    }
+};
+
+/**
+ * Bring the search index up to date with state.data.
+ * @param {Array<string>|null} companyIds - Companies that changed; null for all
+ */
+const reindex = (companyIds) => {
+    if (!companyIds) {
+        SearchIndex.sync(state.data);
+        return;
+    }
+    if (!companyIds.length) return;
+    const companies = new Map(state.data.map(company => [company.id, company]));
+    companyIds.forEach(id => {
+        if (companies.has(id)) SearchIndex.update(companies.get(id));
+        else SearchIndex.remove(id);
+    });
+};
+
+/**
+ * Update the header indicator from the outbox.
+ */
+const refreshSyncIndicator = () => {
+    UI.updateSyncIndicator(Handlers.getSyncSummary(), navigator.onLine);
+};
+
+/**
+ * Render the company directory grid with an optional search filter, narrowed
+ * to the selected facet values, and the filter panel with their counts.
+ * The search runs in the search worker; cards are added as results stream in.
  * @param {string} [filter=''] - Search query
  */
 const renderDirectory = (filter = '') => {
-    UI.renderDirectory(state.data, filter, {
+    const callbacks = {
         onEditCompany: (companyId) => openEditModal('company', companyId),
+        onShowHistory: (companyId) => Handlers.showHistory(state, 'company', companyId, null, refreshActiveView),
         onOpenCompany: showCompanyDetail,
-        onSearchJobs: handleJobSearch
+        onSearchJobs: handleJobSearch,
+        getSyncStatus: Handlers.getSyncStatus,
+        onResolveSync: (id) => Handlers.resolveSyncFailure(state, id, refreshActiveView)
+    };
+    const companies = new Map(state.data.map(company => [company.id, company]));
+
+    SearchIndex.search({ text: filter, facets: state.facets, sort: state.sort }, (results, { first }) => {
+        const hits = results
+            .filter(result => companies.has(result.id))
+            .map(result => ({ company: companies.get(result.id), matches: result.matches }));
+        UI.renderDirectory(hits, filter, callbacks, !first);
+    }, (counts) => {
+        UI.renderFacets(counts, state.facets, { onToggle: toggleFacet, onClear: clearFacets });
     });
 };
 
+/**
+ * Select or deselect a directory filter value.
+ * @param {string} name - Facet name
+ * @param {string} value - Value key
+ * @param {boolean} selected
+ */
+const toggleFacet = (name, value, selected) => {
+    const values = (state.facets[name] || []).filter(v => v !== value);
+    state.facets = { ...state.facets, [name]: selected ? [...values, value] : values };
+    renderDirectory(getSearchQuery());
+};
+
+/**
+ * Clear all directory filter values.
+ */
+const clearFacets = () => {
+    state.facets = {};
+    renderDirectory(getSearchQuery());
+};
+
 /**
  * Show the detail view for a company (employees list).
  * @param {Object} company
  */
 const showCompanyDetail = (company) => {
+    // A different company starts filtered by the directory search, showing the people it matched
+    const filterInput = document.getElementById('contactFilter');
+    if (filterInput && state.activeCompanyId !== company.id) filterInput.value = getSearchQuery();
+
+    state.activeCompanyId = company.id;
     UI.showView('viewDetail');
     UI.renderDetail(company, {
         onEditEmployee: (empId, companyId) => openEditModal('employee', empId, companyId),
-        onAskReferral: Handlers.handleAskReferral
-    });
+        onShowHistory: (empId, companyId) => Handlers.showHistory(state, 'employee', empId, companyId, refreshActiveView),
+        onExportContact: (emp) => Handlers.exportVCard([emp], company, `${emp.firstName || ''} ${emp.lastName || ''}`),
+        onAskReferral: Handlers.handleAskReferral,
+        getSyncStatus: Handlers.getSyncStatus,
+        onResolveSync: (id) => Handlers.resolveSyncFailure(state, id, refreshActiveView)
+    }, getContactFilter());
 };
 
 /**
@@ -110,8 +284,6 @@ const showCompanyDetail = (company) => {
  * @param {string|null} [parentId=null] - Parent company ID (for employees)
  */
 const openEditModal = (type, id, parentId = null) => {
-    state.editingTarget = { type, id, pid: parentId };
-
     let targetData;
     if (type === 'company') {
         targetData = state.data.find(c => c.id === id);
@@ -120,11 +292,96 @@ const openEditModal = (type, id, parentId = null) => {
         targetData = company?.employees?.find(e => e.id === id);
     }
 
+    // Remember the version being edited so a stale save can be detected
+    state.editingTarget = { type, id, pid: parentId, version: targetData?.version || 0 };
+
     if (targetData) {
         UI.openEditModal(type, targetData);
     }
 };
 
+// ─── Saved Searches ───────────────────────────────────────────
+
+/**
+ * Re-render the saved searches panel and nav pins, counting each search's
+ * new matches against the current data.
+ */
+const refreshSavedSearches = async () => {
+    const searches = SavedSearches.list();
+    const views = Object.fromEntries(searches.map(search => [search.id, SavedSearches.view(search.id)]));
+    const counts = {};
+    for (const search of searches) {
+        const ids = await SearchIndex.matchingIds(search.query, search.facets);
+        counts[search.id] = SavedSearches.newMatches(search.id, ids);
+    }
+    UI.renderSavedSearches(searches, views, counts, {
+        onOpen: openSavedSearch,
+        onPin: (search, pinned) => {
+            SavedSearches.setPinned(search.id, pinned);
+            refreshSavedSearches();
+        },
+        onDelete: deleteSavedSearch
+    });
+};
+
+/**
+ * Remember that a saved search was opened with the companies it lists now,
+ * so only later arrivals count as new.
+ * @param {Object} search - SavedSearch
+ */
+const markSavedSearchOpened = async (search) => {
+    SavedSearches.markOpened(search.id, await SearchIndex.matchingIds(search.query, search.facets));
+    refreshSavedSearches();
+};
+
+/**
+ * Save the directory's current search, filters and sort under a name.
+ */
+const saveCurrentSearch = async () => {
+    const search = { query: getSearchQuery(), facets: state.facets, sort: state.sort };
+    const choice = await UI.openSaveSearchModal(UI.describeSearch(search));
+    if (!choice) return;
+
+    try {
+        const saved = await SavedSearches.save({ ...search, name: choice.name });
+        SavedSearches.setPinned(saved.id, choice.pinned);
+        await markSavedSearchOpened(saved);
+    } catch (error) {
+        console.error('❌ Saving search failed:', error);
+        alert(`Could not save the search: ${error.message}`);
+    }
+};
+
+/**
+ * Show a saved search in the directory.
+ * @param {Object} search - SavedSearch
+ */
+const openSavedSearch = (search) => {
+    const input = document.getElementById('searchInput');
+    if (input) input.value = search.query;
+    state.facets = { ...search.facets };
+    state.sort = search.sort;
+    UI.renderSortOptions(state.sort);
+    state.activeCompanyId = null;
+    UI.showView('viewDirectory', () => renderDirectory(search.query));
+    markSavedSearchOpened(search);
+};
+
+/**
+ * Delete a saved search for everyone, after confirming.
+ * @param {Object} search - SavedSearch
+ */
+const deleteSavedSearch = async (search) => {
+    if (!confirm(`Delete the saved search "${search.name}"? It is removed for your teammates too.`)) return;
+    try {
+        await SavedSearches.remove(search.id);
+    } catch (error) {
+        console.error('❌ Deleting saved search failed:', error);
+        alert(`Could not delete the search: ${error.message}`);
+    }
+    refreshSavedSearches();
+};
+
 // ─── Bootstrap ────────────────────────────────────────────────
 
 document.addEventListener('DOMContentLoaded', init);
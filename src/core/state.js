@@ -10,8 +10,17 @@ export const state = {
     /** @type {Array} Array of company objects */
     data: [],
 
-    /** @type {Object|null} Current editing target */
-    editingTarget: null
+    /** @type {Object|null} Current editing target { type, id, pid, version } */
+    editingTarget: null,
+
+    /** @type {string|null} ID of the company open in the detail view */
+    activeCompanyId: null,
+
+    /** @type {Object<string, Array<string>>} Directory filter values selected per facet */
+    facets: {},
+
+    /** @type {string} Directory sort order, a key of SORT_ORDERS */
+    sort: 'relevance'
 };
 
 /**
@@ -20,6 +29,9 @@ export const state = {
 export const resetState = () => {
     state.data = [];
     state.editingTarget = null;
+    state.activeCompanyId = null;
+    state.facets = {};
+    state.sort = 'relevance';
 };
 
 export default state;
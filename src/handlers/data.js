@@ -3,32 +3,50 @@
  * Handles data initialization and clearing
  */
 
-import { Storage, FirebaseService } from '../services/index.js';
+import { Storage, DataService } from '../services/index.js';
 import { showView } from '../ui/views.js';
+import { applyPendingWrites } from './sync.js';
 
 /**
- * Initialize app - load data from Firebase or localStorage
+ * Initialize app - load data from the configured backend or the local cache
  * @param {Object} state - Application state
  * @returns {Promise<boolean>} True if data was loaded
  */
 export const initializeData = async (state) => {
     try {
-        console.log('🔄 Fetching data from Firebase...');
-        const firebaseData = await FirebaseService.getAll();
-        if (firebaseData && firebaseData.length > 0) {
-            state.data = firebaseData;
-            Storage.save(firebaseData);
-            console.log(`✅ Loaded ${state.data.length} companies from Firebase`);
+        console.log('🔄 Fetching data from backend...');
+        const backendData = await DataService.getAll();
+        if (backendData && backendData.length > 0) {
+            state.data = applyPendingWrites(backendData);
+            Storage.save(backendData);
+            console.log(`✅ Loaded ${state.data.length} companies from backend`);
             return true;
         }
     } catch (error) {
-        console.warn('⚠️ Firebase fetch failed, using local data:', error.message);
+        console.warn('⚠️ Backend fetch failed, using local data:', error.message);
     }
 
-    // Fallback to local storage
-    state.data = Storage.load();
+    // Fallback to the IndexedDB cache
+    state.data = applyPendingWrites(await Storage.load());
     return state.data.length > 0;
 };
+
+/**
+ * Keep state and the local cache in sync with live backend changes
+ * @param {Object} state - Application state
+ * @param {Function} onUpdate - Called after state.data has been replaced, with the ids of
+ *   the companies that changed (null when all may have)
+ * @returns {Function} Unsubscribe function
+ */
+export const startLiveSync = (state, onUpdate) => DataService.subscribe(
+    (companies, companyIds) => {
+        state.data = applyPendingWrites(companies);
+        Storage.save(companies, companyIds);
+        onUpdate?.(companyIds ?? null);
+    },
+    (error) => console.warn('⚠️ Live sync stopped:', error.message)
+);
+
 /**
  * Handle clear all data
  * @param {Object} state - Application state
@@ -68,8 +86,12 @@ export const handleClear = (state, onComplete) => {
         try {
             executeBtn.innerText = 'Clearing...';
             executeBtn.disabled = true;
-            await FirebaseService.clearAll();
-            Storage.clear();
+            await DataService.clearAll({
+                onProgress: ({ done, total }) => {
+                    executeBtn.innerText = `Clearing... ${done}/${total}`;
+                }
+            });
+            await Storage.clear();
             state.data = [];
             hide();
             onComplete?.();
@@ -3,41 +3,100 @@
  * Handles edit operations for companies and employees
  */
 
-import { Storage, FirebaseService } from '../services/index.js';
-import { getEditFormValues, hideModal } from '../ui/modals.js';
+import { Storage, DataService } from '../services/index.js';
+import { getEditFormValues, hideModal, openConflictModal } from '../ui/modals.js';
+import { isOfflineError, queueWrite } from './sync.js';
+
+/**
+ * Write an edit with a version check
+ * @param {Object} target - Editing target { type, id, pid }
+ * @param {Object} updates - Field values to write
+ * @param {number} expectedVersion - Version the user started editing from
+ * @returns {Promise<number>} New version
+ */
+const persist = ({ type, id, pid }, updates, expectedVersion) => type === 'company'
+    ? DataService.updateCompany(id, updates, { expectedVersion })
+    : DataService.updateEmployee(pid, id, updates, { expectedVersion });
+
+/**
+ * Save an edit, walking the user through conflicts until it lands or they back out.
+ * A stale write opens the conflict dialog; a merged result is retried against
+ * the server's current version, which may itself have moved on again.
+ * @param {Object} target - Editing target { type, id, pid }
+ * @param {Object} updates - Field values to write
+ * @param {number} expectedVersion - Version the user started editing from
+ * @returns {Promise<Object|null>} Values now on the server, or null if the user cancelled
+ */
+const saveWithConflictResolution = async (target, updates, expectedVersion) => {
+    try {
+        const version = await persist(target, updates, expectedVersion);
+        return { ...updates, version };
+    } catch (error) {
+        if (error.code !== 'conflict') throw error;
+
+        const resolution = await openConflictModal(target.type, updates, error.serverData);
+        if (resolution.action === 'cancel') return null;
+        if (resolution.action === 'theirs') {
+            const { id, employees, ...serverData } = error.serverData;
+            return serverData;
+        }
+        return saveWithConflictResolution(target, resolution.values, error.serverData.version);
+    }
+};
 
 /**
  * Save edit (company or employee)
  * @param {Object} state - Application state
- * @param {Function} onComplete - Completion callback
+ * @param {Function} onComplete - Called with the record type, its company id (employees) and its id
  */
 export const saveEdit = async (state, onComplete) => {
     if (!state.editingTarget) return;
-    const { type, id, pid } = state.editingTarget;
+    const { type, id, pid, version } = state.editingTarget;
+    const updates = getEditFormValues(type);
 
-    try {
-        const updates = getEditFormValues(type);
+    // Offline edits go to the outbox and show up immediately
+    const queueEdit = () => queueWrite(state, {
+        kind: type === 'company' ? 'updateCompany' : 'updateEmployee',
+        target: { type, id, pid },
+        payload: updates,
+        expectedVersion: version
+    });
 
-        if (type === 'company') {
-            await FirebaseService.updateCompany(id, updates);
-            const company = state.data.find(c => c.id === id);
-            Object.assign(company, updates);
+    try {
+        if (isOfflineError()) {
+            queueEdit();
         } else {
-            await FirebaseService.updateEmployee(pid, id, updates);
-            const company = state.data.find(c => c.id === pid);
-            const emp = company.employees.find(e => e.id === id);
-            Object.assign(emp, updates);
-        }
+            const saved = await saveWithConflictResolution(state.editingTarget, updates, version);
+            if (!saved) return; // Conflict dialog cancelled — keep the edit form open
 
-        Storage.save(state.data);
-        console.log('✅ Changes saved to Firebase');
+            if (type === 'company') {
+                const company = state.data.find(c => c.id === id);
+                Object.assign(company, saved);
+            } else {
+                const company = state.data.find(c => c.id === pid);
+                const emp = company.employees.find(e => e.id === id);
+                Object.assign(emp, saved);
+            }
+
+            Storage.save(state.data, [type === 'company' ? id : pid]);
+            console.log('✅ Changes saved');
+        }
     } catch (error) {
-        console.error('❌ Save failed:', error);
-        alert('Failed to save changes. Please try again.');
-        return;
+        if (isOfflineError(error)) {
+            try {
+                queueEdit();
+            } catch (queueError) {
+                alert(queueError.message);
+                return;
+            }
+        } else {
+            console.error('❌ Save failed:', error);
+            alert('Failed to save changes. Please try again.');
+            return;
+        }
     }
 
     hideModal();
     state.editingTarget = null;
-    onComplete?.(type, pid);
+    onComplete?.(type, pid, id);
 };
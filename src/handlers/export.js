@@ -0,0 +1,122 @@
+/**
+ * Export Handlers
+ * Downloads directory data as files
+ */
+
+import { stringifyVCard, stringifyCSV, stringifySpreadsheet, getTargetFields } from '../parsers/index.js';
+import { downloadFile } from '../utils/helpers.js';
+import { ERRORS } from '../config/index.js';
+
+/**
+ * File-name-safe version of a label
+ * @param {string} label
+ * @returns {string}
+ */
+const slugify = (label) => (label || 'contacts').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'contacts';
+
+/**
+ * Download contacts as a vCard (.vcf) file. Locked phone numbers are left out.
+ * @param {Array} employees - Contacts to export
+ * @param {Object} company - Company the contacts belong to
+ * @param {string} [label] - Used for the file name; defaults to the company name
+ */
+export const exportVCard = (employees, company, label = company.name) => {
+    if (!employees.length) {
+        alert('No contacts to export');
+        return;
+    }
+
+    const text = stringifyVCard(employees.map(employee => ({ employee, company })));
+    downloadFile(`${slugify(label)}.vcf`, text, 'text/vcard');
+    console.log(`📇 Exported ${employees.length} contacts as vCard`);
+};
+
+/**
+ * Value of one column for a contact (or for a company without contacts)
+ * @param {Object} field - Entry of getTargetFields()
+ * @param {Object} company
+ * @param {Object} [emp]
+ * @param {boolean} excludeLockedPhones
+ * @returns {string}
+ */
+const columnValue = (field, company, emp, excludeLockedPhones) => {
+    if (field.type === 'company') return company[field.key] ?? '';
+    if (!emp) return '';
+    if (field.key === 'phone' && emp.phoneLocked && excludeLockedPhones) return '';
+    return emp[field.key] ?? '';
+};
+
+/**
+ * Rows for CSV/XLSX: the FIELD_MAPPINGS headers, then one row per contact
+ * (one row for a company without contacts)
+ * @param {Array} companies - Companies with the contacts to export
+ * @param {Array<Object>} fields - Columns, as entries of getTargetFields()
+ * @param {boolean} excludeLockedPhones
+ * @returns {Array<Array<string>>}
+ */
+const toRows = (companies, fields, excludeLockedPhones) => [
+    fields.map(field => field.label),
+    ...companies.flatMap(company => {
+        const contacts = company.employees?.length ? company.employees : [null];
+        return contacts.map(emp => fields.map(field => columnValue(field, company, emp, excludeLockedPhones)));
+    })
+];
+
+/**
+ * Company-grouped JSON in the format parseJSON reads back
+ * @param {Array} companies - Companies with the contacts to export
+ * @param {Array<Object>} fields - Columns, as entries of getTargetFields()
+ * @param {boolean} excludeLockedPhones
+ * @returns {string}
+ */
+const toJSON = (companies, fields, excludeLockedPhones) => {
+    const pick = (type, source, emp) => Object.fromEntries(fields
+        .filter(field => field.type === type)
+        .map(field => [field.key, columnValue(field, source, emp, excludeLockedPhones)]));
+
+    const data = companies.map(company => ({
+        id: company.id,
+        ...pick('company', company),
+        employees: (company.employees || []).map(emp => {
+            const contact = { id: emp.id, ...pick('employee', company, emp) };
+            if (emp.phoneLocked && contact.phone) contact.phoneLocked = true;
+            return contact;
+        })
+    }));
+    return JSON.stringify(data, null, 2);
+};
+
+/**
+ * Download companies and their contacts as CSV, JSON or XLSX
+ * @param {Array} companies - Companies with the contacts to export (already filtered)
+ * @param {Object} options
+ * @param {string} options.format - 'csv', 'json' or 'xlsx'
+ * @param {Array<string>} options.columns - Field values (e.g. 'employee.email') to include
+ * @param {boolean} [options.excludeLockedPhones=true] - Leave locked phone numbers out
+ * @param {string} [label] - Used for the file name
+ */
+export const exportDirectory = async (companies, { format, columns, excludeLockedPhones = true }, label = 'directory') => {
+    if (!companies.length) {
+        alert('Nothing to export');
+        return;
+    }
+
+    // Company name is always written so the file can be imported again
+    const fields = getTargetFields().filter(field => field.value === 'company.name' || columns.includes(field.value));
+    const filename = `${slugify(label)}.${format}`;
+
+    try {
+        if (format === 'json') {
+            downloadFile(filename, toJSON(companies, fields, excludeLockedPhones));
+        } else if (format === 'xlsx') {
+            const workbook = await stringifySpreadsheet(toRows(companies, fields, excludeLockedPhones));
+            downloadFile(filename, workbook, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        } else {
+            downloadFile(filename, stringifyCSV(toRows(companies, fields, excludeLockedPhones)), 'text/csv');
+        }
+        console.log(`⬇️ Exported ${companies.length} companies as ${format.toUpperCase()}`);
+    } catch (error) {
+        console.error('❌ Export failed:', error);
+        alert(`${ERRORS.EXPORT_FAILED}: ${error.message}`);
+    }
+};
@@ -0,0 +1,55 @@
+/**
+ * History Handlers
+ * Shows the change history of a company or contact and restores old versions
+ */
+
+import { Storage, DataService } from '../services/index.js';
+import { openHistoryModal } from '../ui/modals.js';
+
+/**
+ * Open the history panel for a company (with its contacts) or one contact
+ * @param {Object} state - Application state
+ * @param {string} type - 'company' or 'employee'
+ * @param {string} id - Company or employee ID
+ * @param {string|null} companyId - Parent company ID (for employees)
+ * @param {Function} [onChange] - Called with `[companyId]` after a restore updated state.data
+ * @returns {Promise<void>}
+ */
+export const showHistory = async (state, type, id, companyId, onChange) => {
+    const company = state.data.find(c => c.id === (type === 'company' ? id : companyId));
+    if (!company) return;
+
+    const employee = type === 'employee' ? company.employees?.find(e => e.id === id) : null;
+    const title = employee
+        ? `History: ${`${employee.firstName || ''} ${employee.lastName || ''}`.trim() || 'Contact'}`
+        : `History: ${company.name}`;
+
+    let entries;
+    try {
+        entries = await DataService.getHistory(company.id, employee ? id : null);
+    } catch (error) {
+        console.error('❌ Failed to load history:', error);
+        alert('Failed to load history: ' + error.message);
+        return;
+    }
+
+    openHistoryModal(title, entries, async (historyId) => {
+        try {
+            await DataService.restoreVersion(historyId);
+
+            // Reload the company so the restored record (and its new version) is in state
+            const restored = await DataService.getById(company.id);
+            const index = state.data.findIndex(c => c.id === company.id);
+            if (restored && index !== -1) state.data[index] = restored;
+
+            Storage.save(state.data, [company.id]);
+            onChange?.([company.id]);
+            console.log('✅ Restored version from history');
+            return true;
+        } catch (error) {
+            console.error('❌ Restore failed:', error);
+            alert('Failed to restore: ' + error.message);
+            return false;
+        }
+    });
+};
@@ -3,7 +3,9 @@
  * Re-exports all handler modules
  */
 
-export { handleFileUpload } from './file.js';
+export { exportVCard, exportDirectory } from './export.js';
 export { saveEdit } from './edit.js';
 export { handleAskReferral } from './referral.js';
-export { initializeData, handleClear } from './data.js';
+export { initializeData, startLiveSync, handleClear } from './data.js';
+export { showHistory } from './history.js';
+export { replayOutbox, retryFailedWrites, getSyncStatus, getSyncSummary, resolveSyncFailure } from './sync.js';
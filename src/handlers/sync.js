@@ -0,0 +1,262 @@
+/**
+ * Sync Handlers
+ * Queues writes while offline, applies them optimistically to state,
+ * and replays them against the backend once connectivity returns.
+ */
+
+import { Storage, DataService, Outbox } from '../services/index.js';
+import { openConflictModal } from '../ui/modals.js';
+import { UI } from '../config/index.js';
+
+/** Firestore error codes that mean "could not reach the server" */
+const OFFLINE_CODES = ['unavailable', 'deadline-exceeded'];
+
+/** Guards against overlapping replays (e.g. startup + 'online' event) */
+let replaying = false;
+
+/**
+ * Whether a write should be queued instead of reported as failed
+ * @param {Error} [error] - Error from a backend call, if any
+ * @returns {boolean} True when offline or the error is a connectivity failure
+ */
+export const isOfflineError = (error) => {
+    if (!navigator.onLine) return true;
+    if (!error) return false;
+    if (OFFLINE_CODES.includes(error.code)) return true;
+    return error.code === 'batch-failed' && OFFLINE_CODES.includes(error.report?.cause?.code);
+};
+
+/**
+ * Apply one set/update write operation to a company list in place
+ * @param {Array} companies - Companies to modify
+ * @param {Object} op - Operation as passed to DataService.batchWrite
+ */
+const applyOperation = (companies, { action, companyId, employeeId, data }) => {
+    const company = companies.find(c => c.id === companyId);
+    if (!employeeId) {
+        if (company) Object.assign(company, data);
+        else if (action === 'set') companies.push({ ...structuredClone(data), id: companyId, employees: [] });
+        return;
+    }
+    if (!company) return;
+    company.employees ||= [];
+    const emp = company.employees.find(e => e.id === employeeId);
+    if (emp) Object.assign(emp, data);
+    else if (action === 'set') company.employees.push({ ...structuredClone(data), id: employeeId });
+};
+
+/**
+ * Apply one queued write to a company list in place
+ * @param {Array} companies - Companies to modify
+ * @param {Object} entry - Outbox entry
+ */
+const applyEntry = (companies, entry) => {
+    if (entry.kind === 'batchWrite') {
+        entry.payload.forEach(op => applyOperation(companies, op));
+        return;
+    }
+
+    if (entry.kind === 'bulkImport') {
+        const known = new Set(companies.map(c => c.id));
+        entry.payload.forEach(company => {
+            if (!known.has(company.id)) companies.push(structuredClone(company));
+        });
+        return;
+    }
+
+    const { type, id, pid } = entry.target;
+    const record = type === 'company'
+        ? companies.find(c => c.id === id)
+        : companies.find(c => c.id === pid)?.employees?.find(e => e.id === id);
+    if (record) Object.assign(record, entry.payload);
+};
+
+/**
+ * Companies an outbox entry writes to
+ * @param {Object} entry - Outbox entry
+ * @returns {Array<string>} Company IDs
+ */
+const entryCompanyIds = (entry) => {
+    if (entry.kind === 'bulkImport') return entry.payload.map(company => company.id);
+    if (entry.kind === 'batchWrite') return [...new Set(entry.payload.map(op => op.companyId))];
+    return [entry.target.type === 'company' ? entry.target.id : entry.target.pid];
+};
+
+/**
+ * Layer unsynced outbox writes over freshly loaded data, so optimistic
+ * changes survive reloads and live snapshots until they reach the server.
+ * @param {Array} companies - Companies from the backend or cache
+ * @returns {Array} The same array, with queued writes applied
+ */
+export const applyPendingWrites = (companies) => {
+    Outbox.list()
+        .filter(entry => entry.status !== 'synced')
+        .forEach(entry => applyEntry(companies, entry));
+    return companies;
+};
+
+/**
+ * Queue a write for later and apply it to state right away
+ * @param {Object} state - Application state
+ * @param {Object} entry - Outbox entry fields (kind, target, payload, expectedVersion)
+ * @returns {Object} Stored outbox entry
+ */
+export const queueWrite = (state, entry) => {
+    const recordIds = {
+        bulkImport: () => entry.payload.flatMap(c => [c.id, ...(c.employees || []).map(e => e.id)]),
+        batchWrite: () => [...new Set(entry.payload.map(op => op.employeeId || op.companyId))]
+    }[entry.kind]?.() || [entry.target.id];
+
+    const stored = Outbox.enqueue({ ...entry, recordIds });
+    applyEntry(state.data, entry);
+    Storage.save(state.data, entryCompanyIds(entry));
+    console.log(`📥 Queued ${entry.kind} for sync`);
+    return stored;
+};
+
+/**
+ * Send one outbox entry to the backend
+ * @param {Object} state - Application state
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<void>}
+ */
+const replayEntry = async (state, entry) => {
+    if (entry.kind === 'bulkImport') {
+        await DataService.bulkImport(entry.payload, { skipChunks: entry.committedChunks || [] });
+        return;
+    }
+
+    if (entry.kind === 'batchWrite') {
+        await DataService.batchWrite(entry.payload, { skipChunks: entry.committedChunks || [] });
+        return;
+    }
+
+    const { type, id, pid } = entry.target;
+    const options = { expectedVersion: entry.expectedVersion };
+    const version = type === 'company'
+        ? await DataService.updateCompany(id, entry.payload, options)
+        : await DataService.updateEmployee(pid, id, entry.payload, options);
+
+    applyEntry(state.data, { ...entry, payload: { version } });
+};
+
+/**
+ * Replay pending outbox entries in order. Stops at the first connectivity
+ * failure (the rest stay pending); other failures mark just that entry failed.
+ * @param {Object} state - Application state
+ * @param {Function} [onChange] - Called whenever an entry's status changes
+ * @returns {Promise<void>}
+ */
+export const replayOutbox = async (state, onChange) => {
+    if (replaying || !navigator.onLine) return;
+    replaying = true;
+
+    const synced = [];
+    try {
+        for (const entry of Outbox.list().filter(e => e.status === 'pending')) {
+            try {
+                await replayEntry(state, entry);
+                Outbox.update(entry.id, { status: 'synced', error: null, code: null });
+                synced.push(entry);
+            } catch (error) {
+                const committedChunks = error.report?.committedChunks ?? entry.committedChunks;
+                if (isOfflineError(error)) {
+                    Outbox.update(entry.id, { committedChunks });
+                    console.warn('⚠️ Still offline, will retry sync later');
+                    break;
+                }
+                console.error(`❌ Sync failed for ${entry.kind}:`, error);
+                Outbox.update(entry.id, {
+                    status: 'failed',
+                    error: error.message,
+                    code: error.code || null,
+                    serverData: error.serverData || null,
+                    committedChunks
+                });
+            }
+            onChange?.();
+        }
+    } finally {
+        replaying = false;
+    }
+
+    if (synced.length) {
+        Storage.save(state.data, [...new Set(synced.flatMap(entryCompanyIds))]);
+        console.log(`✅ Synced ${synced.length} queued writes`);
+        // Show the "synced" badges briefly, then clear them
+        setTimeout(() => {
+            Outbox.removeSynced();
+            onChange?.();
+        }, UI.SYNCED_BADGE_DURATION);
+    }
+};
+
+/**
+ * Move failed entries that were not conflicts back to pending and replay
+ * @param {Object} state - Application state
+ * @param {Function} [onChange] - Status change callback
+ * @returns {Promise<void>}
+ */
+export const retryFailedWrites = (state, onChange) => {
+    Outbox.list()
+        .filter(e => e.status === 'failed' && e.code !== 'conflict')
+        .forEach(e => Outbox.update(e.id, { status: 'pending', error: null, code: null }));
+    onChange?.();
+    return replayOutbox(state, onChange);
+};
+
+/**
+ * Sync status of a record for card badges
+ * @param {string} recordId - Company or employee ID
+ * @returns {string|null} 'pending', 'synced', 'failed' or null
+ */
+export const getSyncStatus = (recordId) => Outbox.statusFor(recordId);
+
+/**
+ * Outbox counts for the header indicator
+ * @returns {{ pending: number, synced: number, failed: number }}
+ */
+export const getSyncSummary = () => Outbox.summary();
+
+/**
+ * Resolve a failed queued write for a record. Conflicts open the conflict
+ * dialog; anything else is retried.
+ * @param {Object} state - Application state
+ * @param {string} recordId - Company or employee ID
+ * @param {Function} [onChange] - Status change callback; given `[companyId]` once the
+ *   conflict resolution changed that company in state
+ * @returns {Promise<void>}
+ */
+export const resolveSyncFailure = async (state, recordId, onChange) => {
+    const entry = Outbox.list().find(e => e.status === 'failed' && e.recordIds?.includes(recordId));
+    if (!entry) return;
+
+    if (entry.code !== 'conflict') {
+        Outbox.update(entry.id, { status: 'pending', error: null, code: null });
+        onChange?.();
+        return replayOutbox(state, onChange);
+    }
+
+    const resolution = await openConflictModal(entry.target.type, entry.payload, entry.serverData);
+    if (resolution.action === 'cancel') return;
+
+    if (resolution.action === 'theirs') {
+        const { id, employees, ...serverData } = entry.serverData;
+        Outbox.remove(entry.id);
+        applyEntry(state.data, { ...entry, payload: serverData });
+    } else {
+        Outbox.update(entry.id, {
+            payload: resolution.values,
+            expectedVersion: entry.serverData.version,
+            status: 'pending',
+            error: null,
+            code: null,
+            serverData: null
+        });
+        applyEntry(state.data, { ...entry, payload: resolution.values });
+    }
+
+    Storage.save(state.data, entryCompanyIds(entry));
+    onChange?.(entryCompanyIds(entry));
+    return replayOutbox(state, onChange);
+};
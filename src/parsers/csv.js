@@ -1,135 +1,259 @@
 /**
  * CSV Parser
- * Handles parsing of CSV files into structured data
+ * Handles parsing of CSV files into structured data.
+ *
+ * Follows RFC 4180: quoted fields may contain delimiters, doubled quotes and
+ * line breaks; rows may end in LF, CRLF or CR. A leading UTF-8 BOM is dropped
+ * and the delimiter (`,` `;` tab `|`) is detected from the first rows.
+ * Large files can be parsed in chunks with `parseStream`.
+ * Columns are matched to fields by a mapping (see mapping.js), suggested
+ * from the headers unless one is given. LinkedIn connection exports are
+ * recognised, their preamble skipped and their columns mapped (see linkedin.js).
  */
 
-import { generateId } from '../utils/helpers.js';
-import { FIELD_MAPPINGS } from '../config/index.js';
+import { createRowGrouper, mapRows } from './mapping.js';
+import { findHeaderRow, LINKEDIN_MAPPING, PREAMBLE_ROWS } from './linkedin.js';
+
+/** Delimiters tried by detectDelimiter, in order of preference on a tie */
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/** Bytes (characters, for strings) read per chunk by parseStream */
+const CHUNK_SIZE = 1024 * 1024;
+
+/** Rows looked at when detecting the delimiter */
+const SAMPLE_ROWS = 10;
 
 /**
- * Parse a single CSV line handling quotes and special characters
- * @param {string} line - CSV line to parse
- * @returns {Array} Array of field values
+ * Create an incremental tokenizer. Text can be pushed in pieces of any size,
+ * even splitting a quoted field or a CRLF; each complete row is passed to `onRow`.
+ * Blank lines are skipped.
+ * @param {string} delimiter - Field separator
+ * @param {Function} onRow - Receives each row as an array of raw field strings
+ * @returns {{ push: Function, end: Function }} `push(text)` to feed, `end()` to flush the last row
  */
-const parseLine = (line) => {
-    const fields = [];
-    let current = '';
+const createTokenizer = (delimiter, onRow) => {
+    let field = '';
+    let row = [];
     let inQuotes = false;
+    let quotePending = false; // Saw a quote inside a quoted field; next char decides
+    let skipLineFeed = false; // Last char was CR, so a following LF belongs to it
+    let atStart = true;
 
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        const nextChar = line[i + 1];
-
-        if (char === '"' && inQuotes && nextChar === '"') {
-            current += '"';
-            i++;
-        } else if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            fields.push(current.trim());
-            current = '';
-        } else {
-            current += char;
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0] !== '') onRow(row);
+        row = [];
+    };
+
+    const push = (text) => {
+        let start = 0;
+        if (atStart) {
+            if (text.charCodeAt(0) === 0xFEFF) start = 1;
+            if (text.length) atStart = false;
         }
-    }
-    fields.push(current.trim());
-    return fields;
+
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+
+            if (skipLineFeed) {
+                skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+
+            if (quotePending) {
+                quotePending = false;
+                if (char === '"') {
+                    field += '"';
+                    continue;
+                }
+                inQuotes = false; // The quote closed the field; handle this char normally
+            }
+
+            if (inQuotes) {
+                if (char === '"') quotePending = true;
+                else field += char;
+                continue;
+            }
+
+            if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                endRow();
+                skipLineFeed = char === '\r';
+            } else {
+                // Includes stray quotes inside unquoted fields, kept as-is
+                field += char;
+            }
+        }
+    };
+
+    const end = () => {
+        quotePending = false;
+        inQuotes = false;
+        if (field !== '' || row.length) endRow();
+    };
+
+    return { push, end };
 };
 
 /**
- * Map a field name to its normalized key
- * @param {string} header - Original header name
- * @returns {string} Normalized key name
+ * Pick the delimiter that splits the first rows into the most columns,
+ * consistently. Quoted text is ignored, so commas inside fields do not count.
+ * @param {string} sample - Start of the file
+ * @returns {string} Detected delimiter (`,` if nothing better is found)
  */
-const normalizeHeader = (header) => {
-    const trimmed = header.trim();
+export const detectDelimiter = (sample) => {
+    let best = DELIMITERS[0];
+    let bestScore = 0;
 
-    // Check company mappings
-    if (FIELD_MAPPINGS.company[trimmed]) {
-        return { key: FIELD_MAPPINGS.company[trimmed], type: 'company' };
-    }
+    for (const delimiter of DELIMITERS) {
+        const widths = [];
+        const tokenizer = createTokenizer(delimiter, (row) => widths.push(row.length));
+        tokenizer.push(sample);
+        // The sample may end mid-row, so only complete rows count
+        const rows = widths.slice(0, SAMPLE_ROWS);
+        if (!rows.length || rows[0] < 2) continue;
 
-    // Check employee mappings
-    if (FIELD_MAPPINGS.employee[trimmed]) {
-        return { key: FIELD_MAPPINGS.employee[trimmed], type: 'employee' };
+        // Columns in the header, if most rows agree with it
+        const consistent = rows.filter(width => width === rows[0]).length / rows.length;
+        const score = consistent >= 0.8 ? rows[0] : 0;
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
     }
 
-    // Return lowercase version as fallback
-    return { key: trimmed.toLowerCase().replace(/\s+/g, '_'), type: 'unknown' };
+    return best;
+};
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @param {string} [delimiter] - Field separator; detected when omitted
+ * @returns {Array<Array<string>>} Rows, header included
+ */
+export const parseRows = (text, delimiter = detectDelimiter(text.slice(0, CHUNK_SIZE))) => {
+    const rows = [];
+    const tokenizer = createTokenizer(delimiter, (row) => rows.push(row));
+    tokenizer.push(text);
+    tokenizer.end();
+    return rows;
+};
+
+/**
+ * Quote a field if it contains the delimiter, a quote or a line break
+ * @param {*} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+const quoteField = (value, delimiter) => {
+    const text = String(value ?? '');
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 };
 
+/**
+ * Write rows as RFC 4180 CSV text (CRLF line endings)
+ * @param {Array<Array<*>>} rows - Rows of field values, header included
+ * @param {string} [delimiter=',']
+ * @returns {string} CSV content
+ */
+export const stringifyRows = (rows, delimiter = ',') =>
+    rows.map(row => row.map(value => quoteField(value, delimiter)).join(delimiter)).join('\r\n');
+
 /**
  * Parse CSV text into structured company/employee data
  * @param {string} text - CSV content
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - Header to field value; suggested when omitted
  * @returns {Array} Array of company objects with employees
  */
-export const parse = (text) => {
-    const lines = text.trim().split('\n').filter(l => l.trim());
-    if (lines.length < 2) return [];
-
-    // Parse headers
-    const rawHeaders = parseLine(lines[0]);
-    const headers = rawHeaders.map(normalizeHeader);
-
-    // Group records by company
-    const companyMap = new Map();
-
-    for (let i = 1; i < lines.length; i++) {
-        const values = parseLine(lines[i]);
-        const record = {};
-        const companyData = {};
-        const employeeData = {};
-
-        headers.forEach((header, idx) => {
-            const value = values[idx] || '';
-            record[header.key] = value;
-
-            if (header.type === 'company') {
-                companyData[header.key] = value;
-            } else if (header.type === 'employee') {
-                employeeData[header.key] = value;
-            }
-        });
-
-        // Get company name and domain for grouping
-        const companyName = companyData.name || record.name || 'N/A';
-        const domain = companyData.domain || '';
-
-        // Use normalized domain as key if available, otherwise name
-        const companyKey = (domain || companyName).toLowerCase()
-            .replace(/^https?:\/\//, '')
-            .replace(/^www\./, '')
-            .replace(/\/$/, '')
-            .trim();
-
-        if (!companyMap.has(companyKey)) {
-            companyMap.set(companyKey, {
-                id: generateId(),
-                name: companyName,
-                domain: domain,
-                industry: companyData.industry || '',
-                size: companyData.size || '',
-                type: companyData.type || '',
-                headquarters: companyData.headquarters || '',
-                linkedin: companyData.linkedin || '',
-                employees: []
-            });
+export const parse = (text, { mapping } = {}) => {
+    const allRows = parseRows(text);
+    const { index, linkedin } = findHeaderRow(allRows);
+    const [headerRow, ...rows] = allRows.slice(index);
+    if (!headerRow || !rows.length) return [];
+    return mapRows(headerRow, rows, mapping || (linkedin ? LINKEDIN_MAPPING : undefined));
+};
+
+/**
+ * Read a File/Blob (or string) as text in chunks, yielding to the browser
+ * between chunks so the page stays responsive.
+ * @param {Blob|string} source
+ * @returns {AsyncGenerator<{ text: string, bytes: number }>} Decoded text and bytes read so far
+ */
+async function* readChunks(source) {
+    if (typeof source === 'string') {
+        for (let i = 0; i < source.length; i += CHUNK_SIZE) {
+            yield { text: source.slice(i, i + CHUNK_SIZE), bytes: Math.min(i + CHUNK_SIZE, source.length) };
+            await new Promise(resolve => setTimeout(resolve, 0));
         }
+        return;
+    }
 
-        // Add employee if they have a name
-        if (employeeData.firstName || employeeData.lastName) {
-            companyMap.get(companyKey).employees.push({
-                id: generateId(),
-                firstName: employeeData.firstName || '',
-                lastName: employeeData.lastName || '',
-                email: employeeData.email || '',
-                phone: employeeData.phone || '',
-                jobTitle: employeeData.jobTitle || '',
-                linkedin: employeeData.linkedin || '',
-                location: employeeData.location || ''
-            });
+    // Decode incrementally so multi-byte characters split across slices survive
+    const decoder = new TextDecoder('utf-8');
+    for (let offset = 0; offset < source.size; offset += CHUNK_SIZE) {
+        const buffer = await source.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+        const bytes = Math.min(offset + CHUNK_SIZE, source.size);
+        yield { text: decoder.decode(buffer, { stream: bytes < source.size }), bytes };
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+/**
+ * Parse a large CSV file in chunks without blocking the page
+ * @param {Blob|string} source - File from an <input type="file">, or CSV text
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Receives `{ bytes, totalBytes, rows }` after each chunk
+ * @param {Object} [options.mapping] - Header to field value; suggested when omitted
+ * @returns {Promise<Array>} Array of company objects with employees
+ */
+export const parseStream = async (source, { onProgress, mapping } = {}) => {
+    const totalBytes = typeof source === 'string' ? source.length : source.size;
+    let tokenizer = null;
+    let grouper = null;
+    let rows = 0;
+    let leading = []; // First rows, held until the header row is known
+
+    const addRow = (row) => {
+        grouper.add(row);
+        rows++;
+    };
+
+    const startGrouping = () => {
+        const { index, linkedin } = findHeaderRow(leading);
+        const [headerRow, ...rest] = leading.slice(index);
+        leading = [];
+        if (!headerRow) return;
+        grouper = createRowGrouper(headerRow, mapping || (linkedin ? LINKEDIN_MAPPING : undefined));
+        rest.forEach(addRow);
+    };
+
+    const onRow = (row) => {
+        if (grouper) {
+            addRow(row);
+            return;
         }
+        leading.push(row);
+        if (leading.length >= PREAMBLE_ROWS) startGrouping();
+    };
+
+    for await (const { text, bytes } of readChunks(source)) {
+        // The first chunk is large enough to detect the delimiter from
+        tokenizer ??= createTokenizer(detectDelimiter(text), onRow);
+        tokenizer.push(text);
+        onProgress?.({ bytes, totalBytes, rows });
     }
+    tokenizer?.end();
+    if (!grouper) startGrouping();
+    onProgress?.({ bytes: totalBytes, totalBytes, rows });
 
-    return Array.from(companyMap.values());
+    return grouper && rows ? grouper.companies() : [];
 };
@@ -1,7 +1,12 @@
 /**
  * @module Parsers
- * Re-exports CSV and JSON parser functions.
+ * Re-exports CSV, JSON, spreadsheet and vCard parser functions, column mapping helpers
+ * and LinkedIn export detection.
  */
 
-export { parse as parseCSV } from './csv.js';
+export { parse as parseCSV, parseStream as parseCSVStream, parseRows as parseCSVRows, stringifyRows as stringifyCSV } from './csv.js';
 export { parse as parseJSON } from './json.js';
+export { parse as parseVCard, stringify as stringifyVCard } from './vcard.js';
+export { parse as parseSpreadsheet, stringify as stringifySpreadsheet, readWorkbook, isSpreadsheet, SPREADSHEET_EXTENSIONS } from './spreadsheet.js';
+export { TARGET_FIELDS, getTargetFields, suggestMapping, recordHeaders, mapRecords } from './mapping.js';
+export { LINKEDIN_MAPPING, isLinkedInHeader, findHeaderRow } from './linkedin.js';
@@ -0,0 +1,45 @@
+/**
+ * LinkedIn Connections Export
+ * Recognises `Connections.csv` from LinkedIn's "Get a copy of your data"
+ * export. The file opens with a few rows of notes before its header row, and
+ * its columns (First Name, Last Name, URL, Email Address, Company, Position,
+ * Connected On) are mapped with LINKEDIN_MAPPING instead of being suggested.
+ */
+
+/** Mapping for the columns of a LinkedIn connections export */
+export const LINKEDIN_MAPPING = {
+    'First Name': 'employee.firstName',
+    'Last Name': 'employee.lastName',
+    'URL': 'employee.linkedin',
+    'Email Address': 'employee.email',
+    'Company': 'company.name',
+    'Position': 'employee.jobTitle',
+    'Connected On': 'employee.connectedOn'
+};
+
+/** Headers that identify the export; the others may be missing in older files */
+const REQUIRED_HEADERS = ['First Name', 'Last Name', 'Connected On'];
+
+/** Rows searched for the header; a file without one starts with its header */
+export const PREAMBLE_ROWS = 10;
+
+/**
+ * Whether a row is the header of a LinkedIn connections export
+ * @param {Array<string>} row
+ * @returns {boolean}
+ */
+export const isLinkedInHeader = (row) => {
+    const headers = row.map(cell => String(cell).trim());
+    return REQUIRED_HEADERS.every(header => headers.includes(header));
+};
+
+/**
+ * Find the header row, skipping LinkedIn's preamble of notes
+ * @param {Array<Array<string>>} rows - Leading rows of the file
+ * @returns {{ index: number, linkedin: boolean }} Index of the header row (0 unless
+ *   a LinkedIn header was found), and whether the file is a LinkedIn export
+ */
+export const findHeaderRow = (rows) => {
+    const index = rows.slice(0, PREAMBLE_ROWS).findIndex(isLinkedInHeader);
+    return index === -1 ? { index: 0, linkedin: false } : { index, linkedin: true };
+};
@@ -0,0 +1,209 @@
+/**
+ * Column Mapping
+ * Maps source columns (CSV headers or JSON keys) to company/employee fields,
+ * suggests mappings for unfamiliar headers and groups mapped rows into companies.
+ *
+ * A mapping is an object of `{ [sourceHeader]: 'company.name' | 'employee.email' | ... }`;
+ * headers mapped to '' (or left out) are not imported.
+ */
+
+import { normalizeString } from '../utils/helpers.js';
+import { normalizeCompany, normalizeEmployee, getCustomFields } from '../utils/schema.js';
+import { FIELD_MAPPINGS, FIELD_SYNONYMS } from '../config/index.js';
+
+/** Lowest similarity (0-1) at which a header is suggested for a field */
+const FUZZY_THRESHOLD = 0.75;
+
+/**
+ * Built-in fields a column can be mapped to, labelled with their standard header
+ * @type {Array<{ value: string, type: string, key: string, label: string }>}
+ */
+export const TARGET_FIELDS = ['company', 'employee'].flatMap(type =>
+    Object.entries(FIELD_MAPPINGS[type]).map(([label, key]) => ({ value: `${type}.${key}`, type, key, label }))
+);
+
+/**
+ * Built-in and custom fields a column can be mapped to, company fields first.
+ * Custom fields are labelled with their own label and marked `custom`.
+ * @returns {Array<{ value: string, type: string, key: string, label: string, custom?: boolean }>}
+ */
+export const getTargetFields = () => ['company', 'employee'].flatMap(type => [
+    ...TARGET_FIELDS.filter(field => field.type === type),
+    ...getCustomFields(type).map(({ key, label }) => ({ value: `${type}.${key}`, type, key, label, custom: true }))
+]);
+
+/**
+ * Reduce a header to lowercase letters and digits for comparison
+ * @param {string} header
+ * @returns {string}
+ */
+const compact = (header) => normalizeString(String(header)).replace(/[^a-z0-9]/g, '');
+
+/**
+ * Similarity of two strings from their Levenshtein distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 1 for identical strings, down to 0
+ */
+const similarity = (a, b) => {
+    if (!a.length || !b.length) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+/**
+ * Score how well a header matches a field
+ * @param {string} header - Compacted source header
+ * @param {Object} field - Entry of TARGET_FIELDS
+ * @returns {number} 1 for the standard header, 0.95 for a synonym, else fuzzy similarity
+ */
+const scoreField = (header, field) => {
+    if (header === compact(field.label)) return 1;
+
+    const names = [field.key, ...(FIELD_SYNONYMS[field.type]?.[field.key] || [])].map(compact);
+    if (names.includes(header)) return 0.95;
+
+    return Math.max(...[field.label, ...names].map(name => similarity(header, compact(name))));
+};
+
+/**
+ * Suggest a field for each header. Every field is used at most once; the
+ * closest header wins it, and headers with no close field are left unmapped.
+ * @param {Array<string>} headers - Source headers
+ * @returns {Object} Mapping of header to field value ('' when unmapped)
+ */
+export const suggestMapping = (headers) => {
+    const candidates = headers.flatMap(header => {
+        const compacted = compact(header);
+        return getTargetFields()
+            .map(field => ({ header, value: field.value, score: scoreField(compacted, field) }))
+            .filter(candidate => candidate.score >= FUZZY_THRESHOLD);
+    }).sort((a, b) => b.score - a.score);
+
+    const mapping = Object.fromEntries(headers.map(header => [header, '']));
+    const used = new Set();
+    for (const { header, value } of candidates) {
+        if (mapping[header] || used.has(value)) continue;
+        mapping[header] = value;
+        used.add(value);
+    }
+    return mapping;
+};
+
+/**
+ * Resolve headers to the `{ key, type }` each column fills.
+ * Unmapped columns get type 'unknown' and are not imported.
+ * @param {Array<string>} headers - Source headers
+ * @param {Object} mapping - Header to field value
+ * @returns {Array<{ key: string, type: string }>}
+ */
+export const resolveFields = (headers, mapping) => headers.map(header => {
+    const [type, key] = (mapping[header] || '').split('.');
+    if (key && FIELD_MAPPINGS[type]) return { key, type };
+    return { key: String(header).trim().toLowerCase().replace(/\s+/g, '_'), type: 'unknown' };
+});
+
+/**
+ * Create a collector that turns rows into companies with employees.
+ * Rows are grouped by normalized domain, or company name if there is none,
+ * and normalized through the schema (utils/schema.js).
+ * @param {Array<{ key: string, type: string }>} fields - Field filled by each column
+ * @returns {{ add: Function, companies: Function }} `add(values)` per row, `companies()` for the result
+ */
+export const createCompanyGrouper = (fields) => {
+    const companyMap = new Map();
+
+    const add = (values) => {
+        const record = {};
+        const companyData = {};
+        const employeeData = {};
+
+        fields.forEach((field, idx) => {
+            const value = String(values[idx] ?? '').trim();
+            record[field.key] = value;
+
+            if (field.type === 'company') {
+                companyData[field.key] = value;
+            } else if (field.type === 'employee') {
+                employeeData[field.key] = value;
+            }
+        });
+
+        // Get company name and domain for grouping
+        const companyName = companyData.name || record.name || '';
+        const domain = companyData.domain || '';
+
+        // Use normalized domain as key if available, otherwise name
+        const companyKey = (domain || companyName).toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/^www\./, '')
+            .replace(/\/$/, '')
+            .trim();
+
+        if (!companyMap.has(companyKey)) {
+            companyMap.set(companyKey, normalizeCompany({ ...companyData, name: companyName }).record);
+        }
+
+        // Add employee if any contact column is filled; the import dry run rejects ones without a name
+        if (Object.values(employeeData).some(Boolean)) {
+            companyMap.get(companyKey).employees.push(normalizeEmployee(employeeData).record);
+        }
+    };
+
+    return { add, companies: () => Array.from(companyMap.values()) };
+};
+
+/**
+ * Create the company grouper for a header row
+ * @param {Array<string>} headerRow - Raw headers
+ * @param {Object} [mapping] - Header to field value; suggested when omitted
+ * @returns {{ add: Function, companies: Function }}
+ */
+export const createRowGrouper = (headerRow, mapping) => {
+    const headers = headerRow.map(header => String(header).trim());
+    return createCompanyGrouper(resolveFields(headers, mapping || suggestMapping(headers)));
+};
+
+/**
+ * Group rows of values (e.g. CSV or spreadsheet rows) into companies
+ * @param {Array<string>} headerRow - Raw headers
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {Object} [mapping] - Header to field value; suggested when omitted
+ * @returns {Array} Array of company objects with employees
+ */
+export const mapRows = (headerRow, rows, mapping) => {
+    const grouper = createRowGrouper(headerRow, mapping);
+    rows.forEach(grouper.add);
+    return grouper.companies();
+};
+
+/**
+ * Keys used across a list of flat records, in first-seen order
+ * @param {Array<Object>} records
+ * @returns {Array<string>}
+ */
+export const recordHeaders = (records) => [...new Set(records.flatMap(record => Object.keys(record || {})))];
+
+/**
+ * Group flat records (e.g. JSON objects) into companies using a mapping
+ * @param {Array<Object>} records - Flat records keyed by source header
+ * @param {Object} [mapping] - Header to field value; suggested when omitted
+ * @returns {Array} Array of company objects with employees
+ */
+export const mapRecords = (records, mapping) => {
+    const headers = recordHeaders(records);
+    const grouper = createCompanyGrouper(resolveFields(headers, mapping || suggestMapping(headers)));
+    records.forEach(record => grouper.add(headers.map(header => record?.[header])));
+    return grouper.companies();
+};
@@ -0,0 +1,130 @@
+/**
+ * Spreadsheet Parser
+ * Reads Excel (.xlsx) and OpenDocument (.ods) workbooks, and writes .xlsx,
+ * with SheetJS, loaded from the CDN the first time a spreadsheet is used.
+ *
+ * Cells are turned into text the way they should be imported: whole numbers
+ * keep every digit (so phone numbers never become 9.19E+11) and dates become
+ * `YYYY-MM-DD`. Rows then go through the same column mapping and company
+ * grouping as CSV.
+ */
+
+import { SHEETJS_URL } from '../config/index.js';
+import { mapRows } from './mapping.js';
+import { findHeaderRow, LINKEDIN_MAPPING } from './linkedin.js';
+
+/** File extensions read by this parser */
+export const SPREADSHEET_EXTENSIONS = ['.xlsx', '.ods'];
+
+/** SheetJS module, once loaded */
+let loading = null;
+
+/**
+ * Load SheetJS on first use
+ * @returns {Promise<Object>} The XLSX module
+ */
+export const loadSheetJS = () => {
+    if (!loading) {
+        loading = import(SHEETJS_URL);
+        loading.catch(() => { loading = null; });
+    }
+    return loading;
+};
+
+/**
+ * Whether a file name is a supported spreadsheet
+ * @param {string} name - File name
+ * @returns {boolean}
+ */
+export const isSpreadsheet = (name) => SPREADSHEET_EXTENSIONS.some(ext => name.toLowerCase().endsWith(ext));
+
+/** @param {number} n @returns {string} Two-digit number */
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Text of a cell, keeping its type
+ * @param {Object} [cell] - SheetJS cell object
+ * @returns {string}
+ */
+const cellText = (cell) => {
+    if (!cell) return '';
+    switch (cell.t) {
+        case 'd': {
+            const date = cell.v;
+            const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            const hasTime = date.getHours() || date.getMinutes() || date.getSeconds();
+            return hasTime ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+        }
+        case 'n':
+            // Whole numbers as plain digits, so long phone numbers stay exact
+            return Number.isInteger(cell.v) ? cell.v.toFixed(0) : String(cell.v);
+        case 'b':
+            return cell.v ? 'TRUE' : 'FALSE';
+        case 'e':
+        case 'z':
+            return '';
+        default:
+            return String(cell.v ?? cell.w ?? '');
+    }
+};
+
+/**
+ * Read a workbook
+ * @param {Blob|ArrayBuffer} source - .xlsx or .ods file
+ * @returns {Promise<{ sheetNames: Array<string>, rows: Function }>} Sheet names, and
+ *   `rows(sheetName)` returning that sheet's non-empty rows as arrays of text
+ */
+export const readWorkbook = async (source) => {
+    const XLSX = await loadSheetJS();
+    const data = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+    const workbook = XLSX.read(data, { type: 'array', cellDates: true });
+
+    const rows = (sheetName) => {
+        const sheet = workbook.Sheets[sheetName];
+        if (!sheet?.['!ref']) return [];
+
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        const result = [];
+        for (let r = range.s.r; r <= range.e.r; r++) {
+            const row = [];
+            for (let c = range.s.c; c <= range.e.c; c++) {
+                row.push(cellText(sheet[XLSX.utils.encode_cell({ r, c })]).trim());
+            }
+            if (row.some(Boolean)) result.push(row);
+        }
+        return result;
+    };
+
+    return { sheetNames: workbook.SheetNames, rows };
+};
+
+/**
+ * Parse one sheet of a workbook into structured company/employee data
+ * @param {{ rows: Function }} workbook - Workbook from readWorkbook
+ * @param {string} sheetName - Sheet to import
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - Header to field value; suggested when omitted
+ * @returns {Array} Array of company objects with employees
+ */
+export const parse = (workbook, sheetName, { mapping } = {}) => {
+    const allRows = workbook.rows(sheetName);
+    const { index, linkedin } = findHeaderRow(allRows);
+    const [headerRow, ...rows] = allRows.slice(index);
+    if (!headerRow || !rows.length) return [];
+    return mapRows(headerRow, rows, mapping || (linkedin ? LINKEDIN_MAPPING : undefined));
+};
+
+/**
+ * Write rows as an .xlsx workbook with a single sheet. Values are written as
+ * text, so phone numbers and IDs keep every digit.
+ * @param {Array<Array<*>>} rows - Rows of field values, header included
+ * @param {string} [sheetName='Contacts']
+ * @returns {Promise<ArrayBuffer>} Workbook file contents
+ */
+export const stringify = async (rows, sheetName = 'Contacts') => {
+    const XLSX = await loadSheetJS();
+    const sheet = XLSX.utils.aoa_to_sheet(rows.map(row => row.map(value => String(value ?? ''))));
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, sheet, sheetName);
+    return XLSX.write(book, { bookType: 'xlsx', type: 'array' });
+};
@@ -0,0 +1,235 @@
+/**
+ * vCard Parser
+ * Reads vCard 3.0/4.0 address books (.vcf) into companies with employees,
+ * grouped by ORG, and writes contacts back out as vCard 3.0.
+ *
+ * Mapped properties: FN/N (name), EMAIL, TEL, TITLE, ORG (company),
+ * ADR (location) and URL or X-SOCIALPROFILE pointing at LinkedIn.
+ *
+ * Cards without an ORG, as most personal address-book entries are, are
+ * grouped by the domain of their email, which becomes the company's name and
+ * domain (so it matches an existing company with that domain). Cards with a
+ * webmail address or no email go under a "No organisation" company.
+ */
+
+import { createCompanyGrouper } from './mapping.js';
+
+/** Columns handed to the company grouper, in the order `cardValues` fills them */
+const VCARD_FIELDS = [
+    { key: 'name', type: 'company' },
+    { key: 'domain', type: 'company' },
+    { key: 'firstName', type: 'employee' },
+    { key: 'lastName', type: 'employee' },
+    { key: 'email', type: 'employee' },
+    { key: 'phone', type: 'employee' },
+    { key: 'jobTitle', type: 'employee' },
+    { key: 'linkedin', type: 'employee' },
+    { key: 'location', type: 'employee' }
+];
+
+/** Company of cards with neither an ORG nor a work email */
+const NO_ORGANISATION = 'No organisation';
+
+/** Email domains of personal mailboxes, which say nothing about the employer */
+const WEBMAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'yahoo.co.uk', 'hotmail.com', 'outlook.com',
+    'live.com', 'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'proton.me', 'protonmail.com',
+    'gmx.com', 'gmx.de', 'mail.com', 'zoho.com', 'yandex.com', 'rediffmail.com'
+];
+
+/**
+ * Company name and domain for a card without an ORG
+ * @param {string} email
+ * @returns {{ name: string, domain: string }}
+ */
+const fallbackCompany = (email) => {
+    const domain = email.split('@')[1]?.toLowerCase().trim() || '';
+    return domain && !WEBMAIL_DOMAINS.includes(domain) ? { name: domain, domain } : { name: NO_ORGANISATION, domain: '' };
+};
+
+/** Longest line written before folding, per RFC 6350 */
+const LINE_LENGTH = 75;
+
+/**
+ * Split on a separator that is not backslash-escaped
+ * @param {string} value
+ * @param {string} separator - `;` or `,`
+ * @returns {Array<string>} Parts, still escaped
+ */
+const splitUnescaped = (value, separator) => {
+    const parts = [''];
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '\\' && i + 1 < value.length) {
+            parts[parts.length - 1] += value[i] + value[i + 1];
+            i++;
+        } else if (value[i] === separator) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += value[i];
+        }
+    }
+    return parts;
+};
+
+/** @param {string} value @returns {string} Text with vCard escapes resolved */
+const unescapeValue = (value) => value.replace(/\\([\\,;nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+/** @param {*} value @returns {string} Text with vCard special characters escaped */
+const escapeValue = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/[,;]/g, char => `\\${char}`);
+
+/**
+ * Parse one content line, e.g. `item1.EMAIL;TYPE=work,pref:jo@acme.com`
+ * @param {string} line - Unfolded line
+ * @returns {{ name: string, params: Object, value: string }|null}
+ */
+const parseLine = (line) => {
+    const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    if (colon === -1) return null;
+
+    const [nameWithGroup, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    rawParams.forEach(param => {
+        const [key, ...rest] = param.split('=');
+        // vCard 2.1-style bare parameters (`TEL;CELL:`) are types
+        const name = rest.length ? key.toUpperCase() : 'TYPE';
+        const values = (rest.length ? rest.join('=') : key).replace(/"/g, '').toLowerCase().split(',');
+        params[name] = [...(params[name] || []), ...values];
+    });
+
+    return { name: nameWithGroup.split('.').pop().toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Pick the preferred value of a repeated property
+ * @param {Array<Object>} props - Parsed lines of one property
+ * @param {Array<string>} [types] - TYPE values to prefer, best first
+ * @returns {Object|undefined}
+ */
+const preferred = (props, types = []) => {
+    const rank = (prop) => {
+        const propTypes = prop.params.TYPE || [];
+        if (prop.params.PREF || propTypes.includes('pref')) return -1;
+        const index = types.findIndex(type => propTypes.includes(type));
+        return index === -1 ? types.length : index;
+    };
+    return [...props].sort((a, b) => rank(a) - rank(b))[0];
+};
+
+/**
+ * Values for VCARD_FIELDS from one card
+ * @param {Array<Object>} lines - Parsed lines between BEGIN and END
+ * @returns {Array<string>}
+ */
+const cardValues = (lines) => {
+    const props = {};
+    lines.forEach(line => { (props[line.name] ||= []).push(line); });
+    const first = (name) => props[name]?.[0]?.value || '';
+
+    // N is "Family;Given;Additional;Prefix;Suffix"; fall back to splitting FN
+    const [lastName = '', firstName = ''] = splitUnescaped(first('N'), ';').map(unescapeValue);
+    const fullName = unescapeValue(first('FN')).trim();
+    const [fnFirst, ...fnRest] = fullName.split(/\s+/);
+
+    const org = unescapeValue(splitUnescaped(first('ORG'), ';')[0] || '');
+
+    // ADR is "PO box;Extended;Street;Locality;Region;Postal code;Country"
+    const adr = preferred(props.ADR || [], ['work', 'home']);
+    const [, , , locality, region, , country] = adr ? splitUnescaped(adr.value, ';').map(unescapeValue) : [];
+    const location = [locality, region, country].map(part => (part || '').trim()).filter(Boolean).join(', ');
+
+    const linkedinProp = [...(props.URL || []), ...(props['X-SOCIALPROFILE'] || [])]
+        .find(prop => /linkedin\.com/i.test(prop.value) || prop.params.TYPE?.includes('linkedin'));
+    const linkedin = linkedinProp ? unescapeValue(linkedinProp.value) : '';
+
+    const email = unescapeValue(preferred(props.EMAIL || [], ['work', 'internet'])?.value || '').replace(/^mailto:/i, '');
+    const phone = unescapeValue(preferred(props.TEL || [], ['cell', 'work', 'voice'])?.value || '').replace(/^tel:/i, '');
+    const company = org.trim() ? { name: org, domain: '' } : fallbackCompany(email);
+
+    return [
+        company.name,
+        company.domain,
+        firstName || (lastName ? '' : fnFirst || ''),
+        lastName || (firstName ? '' : fnRest.join(' ')),
+        email,
+        phone,
+        unescapeValue(first('TITLE')),
+        linkedin,
+        location
+    ];
+};
+
+/**
+ * Parse vCard text into structured company/employee data
+ * @param {string} text - Contents of a .vcf file (one or more cards)
+ * @returns {Array} Array of company objects with employees
+ */
+export const parse = (text) => {
+    // Unfold continuation lines (CRLF followed by a space or tab)
+    const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const grouper = createCompanyGrouper(VCARD_FIELDS);
+    let card = null;
+
+    for (const raw of lines) {
+        const line = parseLine(raw.trim());
+        if (!line) continue;
+
+        if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VCARD') {
+            card = [];
+        } else if (line.name === 'END' && line.value.toUpperCase() === 'VCARD') {
+            if (card) grouper.add(cardValues(card));
+            card = null;
+        } else {
+            card?.push(line);
+        }
+    }
+
+    return grouper.companies();
+};
+
+/**
+ * Fold a content line at LINE_LENGTH characters
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+    const parts = [];
+    for (let i = 0; i < line.length; i += LINE_LENGTH - 1) {
+        parts.push(line.slice(i, i + LINE_LENGTH - 1));
+    }
+    return parts.join('\r\n ');
+};
+
+/**
+ * Write one contact as a vCard 3.0 card. Locked phone numbers are left out.
+ * @param {Object} emp - Employee
+ * @param {Object} [company] - Parent company
+ * @returns {string}
+ */
+const toCard = (emp, company) => {
+    const fullName = `${emp.firstName || ''} ${emp.lastName || ''}`.trim() || emp.email || 'Contact';
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `N:${escapeValue(emp.lastName)};${escapeValue(emp.firstName)};;;`,
+        `FN:${escapeValue(fullName)}`,
+        company?.name && `ORG:${escapeValue(company.name)}`,
+        emp.jobTitle && `TITLE:${escapeValue(emp.jobTitle)}`,
+        emp.email && `EMAIL;TYPE=INTERNET,WORK:${escapeValue(emp.email)}`,
+        emp.phone && !emp.phoneLocked && `TEL;TYPE=CELL:${escapeValue(emp.phone)}`,
+        emp.location && `ADR;TYPE=WORK:;;;${escapeValue(emp.location)};;;`,
+        emp.linkedin && `URL;TYPE=LinkedIn:${escapeValue(emp.linkedin)}`,
+        'END:VCARD'
+    ];
+    return lines.filter(Boolean).map(foldLine).join('\r\n');
+};
+
+/**
+ * Write contacts as a .vcf file
+ * @param {Array<{ employee: Object, company: Object }>} contacts - Contacts with their company
+ * @returns {string} vCard 3.0 text
+ */
+export const stringify = (contacts) =>
+    contacts.map(({ employee, company }) => toCard(employee, company)).join('\r\n') + '\r\n';
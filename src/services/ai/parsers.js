@@ -4,7 +4,7 @@
  * Each parser is tailored to a specific AI use-case response format.
  */
 
-import { generateId } from '../../utils/helpers.js';
+import { normalizeCompanies } from '../../utils/schema.js';
 
 // ─── Company/Employee Data Parser ─────────────────────────────
 
@@ -50,8 +50,8 @@ export const extractAndParseJSON = (content) => {
 };
 
 /**
- * Normalize raw parsed company data into a consistent schema.
- * Ensures every company and employee has an ID and standard field names.
+ * Normalize raw parsed company data into a consistent schema (utils/schema.js).
+ * Every company and employee gets a new ID; IDs invented by the model are ignored.
  * @param {Array} data - Raw parsed company array
  * @returns {Array} Normalized company objects
  * @throws {Error} If data is not an array
@@ -59,26 +59,10 @@ export const extractAndParseJSON = (content) => {
 export const normalizeData = (data) => {
     if (!Array.isArray(data)) throw new Error('Expected array of companies');
 
-    return data.map(company => ({
-        id: generateId(),
-        name: company.name || company.companyName || 'N/A',
-        domain: company.domain || company.companyDomain || '',
-        industry: company.industry || '',
-        size: company.size || '',
-        type: company.type || '',
-        headquarters: company.headquarters || '',
-        linkedin: company.linkedin || company.companyLinkedin || '',
-        employees: (company.employees || []).map(emp => ({
-            id: generateId(),
-            firstName: emp.firstName || emp.first_name || '',
-            lastName: emp.lastName || emp.last_name || '',
-            email: emp.email || '',
-            phone: emp.phone || '',
-            jobTitle: emp.jobTitle || emp.job_title || emp.title || 'Team Member',
-            linkedin: emp.linkedin || '',
-            location: emp.location || ''
-        }))
-    }));
+    return normalizeCompanies(data.map(({ id, employees, ...company }) => ({
+        ...company,
+        employees: (Array.isArray(employees) ? employees : []).map(({ id: _, ...emp }) => emp)
+    })));
 };
 
 // ─── Job Search Parser ────────────────────────────────────────
@@ -0,0 +1,134 @@
+/**
+ * @module Data Backend
+ * Storage-agnostic entry point for directory data.
+ * Handlers call `DataService`, which forwards to the implementation selected by
+ * `BACKEND.TYPE` in config/index.js. Implementations load on first use, so the
+ * Firebase SDK is only fetched when the Firebase backend is selected.
+ */
+
+import { BACKEND } from '../config/index.js';
+
+/**
+ * Contract shared by every backend (firebase.js, local.js).
+ * Reads return company objects with an `employees` array; each company and
+ * contact carries a `version` that versioned updates check against.
+ * Reads include trashed records, marked with `deletedAt` and `deletedBy`.
+ * Every write is recorded as a history entry: `{ id, recordKey, recordType,
+ * companyId, employeeId, operation, actor, timestamp, before, after,
+ * changedFields, restoredFrom }`.
+ *
+ * @typedef {Object} DataBackend
+ * @property {() => Promise<Array>} getAll - All companies with their employees
+ * @property {(companyId: string) => Promise<Object|null>} getById - One company with its employees
+ * @property {(companyData: Object) => Promise<Object>} addCompany - Create a company (and any `employees` given)
+ * @property {(companyId: string, updates: Object, options?: { expectedVersion?: number }) => Promise<number>} updateCompany
+ *   - Update company fields; rejects with `code: 'conflict'` and `serverData` on a version mismatch
+ * @property {(companyId: string) => Promise<boolean>} deleteCompany - Move a company (and so its contacts) to the trash
+ * @property {(companyId: string, employeeData: Object) => Promise<Object>} addEmployee - Create a contact
+ * @property {(companyId: string, employeeId: string, updates: Object, options?: { expectedVersion?: number }) => Promise<number>} updateEmployee
+ *   - Update contact fields; same conflict behaviour as updateCompany
+ * @property {(companyId: string, employeeId: string) => Promise<boolean>} deleteEmployee - Move a contact to the trash
+ * @property {(operations: Array<Object>, options?: Object) => Promise<Object>} batchWrite
+ *   - Apply `{ action, companyId, employeeId?, data? }` operations in atomic chunks; rejects with `code: 'batch-failed'` and a `report`
+ * @property {(companies: Array, options?: Object) => Promise<Object>} bulkImport - Write many companies via batchWrite
+ * @property {(options?: Object) => Promise<Object>} clearAll - Move every company to the trash via batchWrite
+ * @property {(companyId: string, employeeId?: string) => Promise<boolean>} restoreDeleted - Take a record out of the trash
+ * @property {(targets: Array<Object>, options?: Object) => Promise<Object>} purge - Permanently delete `{ companyId, employeeId? }` records
+ * @property {(retentionDays: number) => Promise<number>} purgeExpired - Purge records trashed longer ago than the retention period
+ * @property {(onChange: Function, onError?: Function) => Function} subscribe - Live updates; returns an unsubscribe function.
+ *   `onChange(companies, companyIds)` gets every company, and the ids of those changed since the last call
+ *   (null on the first call)
+ * @property {(companyId: string, employeeId?: string) => Promise<Array>} getHistory
+ *   - Change history of a contact, or of a company and all its contacts, newest first
+ * @property {(historyId: string) => Promise<Object>} restoreVersion - Restore a record to a history entry; resolves `{ companyId, employeeId }`
+ * @property {(options?: { name?: string, auto?: boolean }) => Promise<Object>} createSnapshot - Save a copy of the whole directory; resolves its metadata
+ * @property {() => Promise<Array>} listSnapshots - Snapshot metadata, newest first
+ * @property {(snapshotId: string) => Promise<Object>} getSnapshot - Resolves `{ meta, companies }`
+ * @property {(snapshotId: string) => Promise<boolean>} deleteSnapshot - Remove a saved snapshot
+ * @property {() => Promise<Array>} getCustomFields - Custom field definitions (see utils/schema.js)
+ * @property {(fields: Array<Object>) => Promise<Array>} saveCustomFields - Replace the custom field definitions
+ * @property {() => Promise<Array>} getSavedSearches - Every user's saved searches, most recently updated first
+ * @property {(search: Object) => Promise<Object>} saveSavedSearch - Create (without `id`) or update a saved search; resolves it with its id
+ * @property {(id: string) => Promise<boolean>} deleteSavedSearch - Remove a saved search
+ * @property {() => Promise<number>} migrateEmployeesToSubcollection - Upgrade legacy data layouts (no-op where not applicable)
+ */
+
+/** Backend loaders by config name */
+const LOADERS = {
+    firebase: () => import('./firebase.js').then(m => m.FirebaseService),
+    local: () => import('./local.js').then(m => m.LocalService)
+};
+
+/** @type {Promise<DataBackend>|null} */
+let backendPromise = null;
+
+/**
+ * Resolve the active backend, loading it on first use.
+ * @returns {Promise<DataBackend>}
+ */
+export const getBackend = () => {
+    if (!backendPromise) {
+        const load = LOADERS[BACKEND.TYPE];
+        if (!load) return Promise.reject(new Error(`Unknown backend: ${BACKEND.TYPE}`));
+        backendPromise = load();
+        console.log(`🗄️ Using ${BACKEND.TYPE} backend`);
+    }
+    return backendPromise;
+};
+
+/**
+ * Replace the active backend — e.g. with `createLocalService({ seed })` in tests.
+ * @param {DataBackend} backend
+ */
+export const useBackend = (backend) => {
+    backendPromise = Promise.resolve(backend);
+};
+
+/** Promise-returning methods forwarded as-is */
+const METHODS = [
+    'getAll', 'getById',
+    'addCompany', 'updateCompany', 'deleteCompany',
+    'addEmployee', 'updateEmployee', 'deleteEmployee',
+    'batchWrite', 'bulkImport', 'clearAll',
+    'restoreDeleted', 'purge', 'purgeExpired',
+    'getHistory', 'restoreVersion',
+    'createSnapshot', 'listSnapshots', 'getSnapshot', 'deleteSnapshot',
+    'getCustomFields', 'saveCustomFields',
+    'getSavedSearches', 'saveSavedSearch', 'deleteSavedSearch',
+    'migrateEmployeesToSubcollection'
+];
+
+/**
+ * Facade over the active backend. Same methods as {@link DataBackend}.
+ * @type {DataBackend}
+ */
+export const DataService = {
+    ...Object.fromEntries(METHODS.map(name => [
+        name,
+        async (...args) => (await getBackend())[name](...args)
+    ])),
+
+    /**
+     * Subscribe synchronously even though the backend loads asynchronously.
+     * @param {Function} onChange
+     * @param {Function} [onError]
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe: (onChange, onError) => {
+        let unsubscribe = null;
+        let cancelled = false;
+
+        getBackend()
+            .then(backend => {
+                if (!cancelled) unsubscribe = backend.subscribe(onChange, onError);
+            })
+            .catch(error => onError?.(error));
+
+        return () => {
+            cancelled = true;
+            unsubscribe?.();
+        };
+    }
+};
+
+export default DataService;
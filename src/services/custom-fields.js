@@ -0,0 +1,67 @@
+/**
+ * Custom Fields Service
+ * Admin-defined fields on companies and contacts, stored with the backend so
+ * every user sees the same ones. The last loaded definitions are kept in
+ * localStorage so the app can start offline. Loading registers them with the
+ * schema (utils/schema.js), which keeps their values through import and cache.
+ */
+
+import { STORAGE_KEYS } from '../config/index.js';
+import { safeJsonParse } from '../utils/helpers.js';
+import { setCustomFields, getCustomFields, customFieldProblem } from '../utils/schema.js';
+import { DataService } from './backend.js';
+
+/**
+ * Register definitions and remember them for offline starts
+ * @param {Array<Object>} fields
+ */
+const apply = (fields) => {
+    setCustomFields(fields);
+    localStorage.setItem(STORAGE_KEYS.CUSTOM_FIELDS, JSON.stringify(fields));
+};
+
+// Start from the definitions seen last time, until load() brings the current ones
+setCustomFields(safeJsonParse(localStorage.getItem(STORAGE_KEYS.CUSTOM_FIELDS), []) || []);
+
+/**
+ * Custom field definitions
+ */
+export const CustomFields = {
+    /**
+     * Registered definitions
+     * @param {string} [target] - 'company' or 'employee'; both when omitted
+     * @returns {Array<import('../utils/schema.js').CustomField>}
+     */
+    list: getCustomFields,
+
+    /**
+     * Fetch the definitions from the backend and register them.
+     * Keeps the cached ones if the backend cannot be reached.
+     * @returns {Promise<Array>} Registered definitions
+     */
+    async load() {
+        try {
+            apply(await DataService.getCustomFields());
+        } catch (error) {
+            console.warn('⚠️ Could not load custom fields, using cached definitions:', error.message);
+        }
+        return getCustomFields();
+    },
+
+    /**
+     * Validate and save the full list of definitions
+     * @param {Array<Object>} fields - `{ key, label, target, type }`
+     * @returns {Promise<Array>} Saved definitions
+     * @throws {Error} With the first problem found, before anything is saved
+     */
+    async save(fields) {
+        const cleaned = fields.map(({ key, label, target, type }) => ({ key: key.trim(), label: label.trim(), target, type }));
+        for (const field of cleaned) {
+            const problem = customFieldProblem(field, cleaned);
+            if (problem) throw new Error(problem);
+        }
+        await DataService.saveCustomFields(cleaned);
+        apply(cleaned);
+        return cleaned;
+    }
+};
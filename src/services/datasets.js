@@ -0,0 +1,198 @@
+/**
+ * Bundled Datasets Service
+ * Reads `email_lists/manifest.json`, which lists the contact datasets shipped
+ * with the app, and loads a dataset into parsed companies ready for the normal
+ * import dry run.
+ *
+ * Manifest format (version 2):
+ *
+ *     {
+ *         "manifestVersion": 2,
+ *         "description": "...",
+ *         "lastUpdated": "2026-02-04T02:26:00+05:30",
+ *         "datasets": [{
+ *             "id": "employees-sample",
+ *             "name": "Sample employees",
+ *             "description": "...",
+ *             "version": "1.0.0",
+ *             "files": [{ "path": "employees_sample.json", "sha256": "...", "format": "json" }]
+ *         }]
+ *     }
+ *
+ * File paths are relative to `email_lists/`. `format` (csv, json, vcf, xlsx,
+ * ods) defaults to the file extension; `sha256` is optional and, when given,
+ * the file is rejected if it does not match. A file may also name the `sheet`
+ * of a workbook and a column `mapping` (header to field value) to use instead
+ * of the suggested one. The version 1 format, a top-level `files` list of
+ * `{ name, description }`, is still read: each file becomes a dataset.
+ */
+
+import { parseCSV, parseJSON, parseVCard, parseSpreadsheet, readWorkbook, SPREADSHEET_EXTENSIONS } from '../parsers/index.js';
+
+/** Folder holding the manifest and dataset files, next to the app's root */
+const DATASETS_URL = new URL('../../email_lists/', import.meta.url);
+
+/** Formats a dataset file can have */
+const FORMATS = ['csv', 'json', 'vcf', ...SPREADSHEET_EXTENSIONS.map(ext => ext.slice(1))];
+
+/**
+ * @typedef {Object} DatasetFile
+ * @property {string} path - Relative to email_lists/
+ * @property {string} format - One of FORMATS
+ * @property {string} [sha256] - Hex digest the file must match
+ * @property {string} [sheet] - Workbook sheet; the first when omitted
+ * @property {Object} [mapping] - Header to field value; suggested when omitted
+ */
+
+/**
+ * @typedef {Object} Dataset
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {string} version - Empty when the manifest gives none
+ * @property {Array<DatasetFile>} files
+ */
+
+/**
+ * Fetch a file from the datasets folder
+ * @param {string} path - Relative to email_lists/
+ * @returns {Promise<Response>}
+ * @throws {Error} If the file cannot be fetched
+ */
+const fetchFile = async (path) => {
+    const response = await fetch(new URL(path, DATASETS_URL));
+    if (!response.ok) throw new Error(`Could not load ${path} (HTTP ${response.status})`);
+    return response;
+};
+
+/**
+ * Turn a manifest file entry into a DatasetFile
+ * @param {Object|string} entry - `{ path }` or, in version 1 manifests, `{ name }` or a plain path
+ * @returns {DatasetFile}
+ * @throws {Error} If the entry has no path or an unknown format
+ */
+const toFile = (entry) => {
+    const file = typeof entry === 'string' ? { path: entry } : entry || {};
+    const path = String(file.path || file.name || '').trim();
+    if (!path) throw new Error('Dataset file has no path');
+
+    const format = String(file.format || path.split('.').pop()).toLowerCase();
+    if (!FORMATS.includes(format)) throw new Error(`Unsupported format "${format}" for ${path}`);
+
+    return {
+        path,
+        format,
+        ...(file.sha256 && { sha256: String(file.sha256).toLowerCase() }),
+        ...(file.sheet && { sheet: file.sheet }),
+        ...(file.mapping && { mapping: file.mapping })
+    };
+};
+
+/**
+ * Read the datasets out of a manifest (version 1 or 2). Datasets with a bad
+ * entry are skipped with a console warning rather than hiding the others.
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {Array<Dataset>}
+ * @throws {Error} If the manifest lists no datasets at all
+ */
+export const readManifest = (manifest) => {
+    const entries = Array.isArray(manifest?.datasets)
+        ? manifest.datasets
+        : Array.isArray(manifest?.files)
+            ? manifest.files.map(file => ({ name: file.name, description: file.description, files: [file] }))
+            : null;
+    if (!entries) throw new Error('Manifest has no "datasets" list');
+
+    return entries.flatMap((entry, index) => {
+        try {
+            const files = (Array.isArray(entry.files) ? entry.files : []).map(toFile);
+            if (!files.length) throw new Error('no files');
+            const name = String(entry.name || files[0].path);
+            return [{
+                id: String(entry.id || name),
+                name,
+                description: String(entry.description || ''),
+                version: String(entry.version || ''),
+                files
+            }];
+        } catch (error) {
+            console.warn(`⚠️ Skipping dataset ${entry?.name || index + 1} in manifest: ${error.message}`);
+            return [];
+        }
+    });
+};
+
+/**
+ * Hex SHA-256 of some bytes
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string|null>} Null where Web Crypto is unavailable (non-HTTPS pages)
+ */
+const sha256 = async (buffer) => {
+    if (!globalThis.crypto?.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Fetch, verify and parse one dataset file
+ * @param {DatasetFile} file
+ * @returns {Promise<Array>} Parsed companies
+ * @throws {Error} If the file cannot be loaded or fails its checksum
+ */
+const loadFile = async (file) => {
+    const buffer = await (await fetchFile(file.path)).arrayBuffer();
+
+    if (file.sha256) {
+        const actual = await sha256(buffer);
+        if (actual === null) console.warn(`⚠️ Cannot verify ${file.path} here; Web Crypto needs HTTPS`);
+        else if (actual !== file.sha256) throw new Error(`${file.path} does not match its checksum; it may be corrupt or out of date`);
+    }
+
+    const options = { mapping: file.mapping };
+    if (file.format === 'xlsx' || file.format === 'ods') {
+        const workbook = await readWorkbook(buffer);
+        const sheet = file.sheet || workbook.sheetNames[0];
+        if (!workbook.sheetNames.includes(sheet)) throw new Error(`${file.path} has no sheet "${sheet}"`);
+        return parseSpreadsheet(workbook, sheet, options);
+    }
+
+    const text = new TextDecoder('utf-8').decode(buffer);
+    if (file.format === 'json') return parseJSON(text, options);
+    if (file.format === 'vcf') return parseVCard(text);
+    return parseCSV(text, options);
+};
+
+/**
+ * Bundled datasets
+ */
+export const Datasets = {
+    /**
+     * Datasets listed in the manifest
+     * @returns {Promise<Array<Dataset>>}
+     * @throws {Error} If the manifest cannot be loaded or read
+     */
+    async list() {
+        const response = await fetchFile('manifest.json');
+        let manifest;
+        try {
+            manifest = await response.json();
+        } catch (error) {
+            throw new Error(`manifest.json is not valid JSON: ${error.message}`);
+        }
+        return readManifest(manifest);
+    },
+
+    /**
+     * Load every file of a dataset, in order
+     * @param {Dataset} dataset
+     * @returns {Promise<Array>} Parsed companies of all files, for planImport
+     * @throws {Error} If any file cannot be loaded; nothing is returned partially
+     */
+    async load(dataset) {
+        const companies = [];
+        for (const file of dataset.files) {
+            companies.push(...await loadFile(file));
+        }
+        return companies;
+    }
+};
@@ -2,6 +2,22 @@
  * @module Firebase Service
  * Handles all Firestore database operations for companies and employees.
  * Uses shared Firebase config from config/index.js.
+ *
+ * Layout: each company is a document in `companies/`, and each of its
+ * contacts is a separate document in `companies/{id}/employees/`.
+ * Reads reassemble the `employees` array so callers see the same shape as before.
+ *
+ * Every write also adds an entry to `history/` in the same transaction, with
+ * the record's fields before and after, so any version can be restored.
+ * Deletes are soft (see trash.js) until a record is purged.
+ *
+ * Snapshots are stored as `snapshots/{id}` (metadata) with one document per
+ * company in `snapshots/{id}/companies/` and per contact in
+ * `snapshots/{id}/companies/{companyId}/snapshotEmployees/`. Contacts use
+ * their own collection id so collection-group reads of `employees` never
+ * pick them up.
+ *
+ * Custom field definitions are kept in `settings/customFields`.
  */
 
 import { initializeApp, getApps, getApp } from 'https://www.gstatic.com/firebasejs/10.8.0/firebase-app.js';
@@ -9,21 +25,308 @@ import {
     getFirestore,
     collection,
     doc,
+    collectionGroup,
+    query,
+    where,
     getDocs,
     getDoc,
-    addDoc,
-    updateDoc,
-    deleteDoc
+    setDoc,
+    deleteDoc,
+    deleteField,
+    FieldValue,
+    onSnapshot,
+    runTransaction,
+    writeBatch
 } from 'https://www.gstatic.com/firebasejs/10.8.0/firebase-firestore.js';
 
 import { FIREBASE_CONFIG } from '../config/index.js';
 import { generateId } from '../utils/helpers.js';
+import { getCurrentUser } from './auth.js';
+import { recordKey, historyEntry, operationName } from './history.js';
+import { trashOperation, untrashOperation, expiredTargets } from './trash.js';
+import { snapshotMeta } from './snapshot.js';
 
 // Reuse existing app if already initialized (prevents duplicate-app crashes)
 const app = getApps().length ? getApp() : initializeApp(FIREBASE_CONFIG);
 const db = getFirestore(app);
 
 const COMPANIES_COLLECTION = 'companies';
+const EMPLOYEES_COLLECTION = 'employees';
+const HISTORY_COLLECTION = 'history';
+const SNAPSHOTS_COLLECTION = 'snapshots';
+const SNAPSHOT_EMPLOYEES_COLLECTION = 'snapshotEmployees';
+const SETTINGS_COLLECTION = 'settings';
+const CUSTOM_FIELDS_DOC = 'customFields';
+const SAVED_SEARCHES_COLLECTION = 'savedSearches';
+
+// Firestore rejects transactions with more than 500 writes, and every
+// operation writes its history entry too
+const BATCH_LIMIT = 500;
+const OPS_PER_CHUNK = BATCH_LIMIT / 2;
+
+// ─── Internal Helpers ─────────────────────────────────────────
+
+/** @param {string} companyId @returns {import('firebase/firestore').CollectionReference} */
+const employeesRef = (companyId) =>
+    collection(db, COMPANIES_COLLECTION, companyId, EMPLOYEES_COLLECTION);
+
+/** @param {string} companyId @param {string} employeeId */
+const employeeDoc = (companyId, employeeId) =>
+    doc(db, COMPANIES_COLLECTION, companyId, EMPLOYEES_COLLECTION, employeeId);
+
+/**
+ * Build a company object from its document and employee list. An unmigrated
+ * document's legacy embedded `employees` are included too, except those the
+ * subcollection already has a document for.
+ * @param {import('firebase/firestore').DocumentSnapshot} docSnap
+ * @param {Array} [employees=[]] - Employees read from the subcollection
+ * @returns {Object} Company object
+ */
+const toCompany = (docSnap, employees = []) => {
+    const data = docSnap.data();
+    const ids = new Set(employees.map(emp => emp.id));
+    const legacy = Array.isArray(data.employees) ? data.employees.filter(emp => !ids.has(emp.id)) : [];
+    return { ...data, id: docSnap.id, employees: [...legacy, ...employees] };
+};
+
+/**
+ * Company of a contact document found by a collection-group read
+ * @param {import('firebase/firestore').DocumentReference} ref - Contact document
+ * @returns {string|null} Null unless the contact lives at `companies/{id}/employees/`
+ */
+const liveCompanyId = (ref) => {
+    const company = ref.parent.parent;
+    return company && !company.parent.parent && company.parent.id === COMPANIES_COLLECTION ? company.id : null;
+};
+
+/** @param {import('firebase/firestore').DocumentSnapshot} docSnap @returns {Object} */
+const toEmployee = (docSnap) => ({ ...docSnap.data(), id: docSnap.id });
+
+/**
+ * Build the error thrown when a versioned write finds a newer record on the server.
+ * @param {Object} serverData - Current server copy of the record (with `id` and `version`)
+ * @returns {Error} Error with `code: 'conflict'` and `serverData`
+ */
+const conflictError = (serverData) => {
+    const error = new Error('Record was changed by someone else since it was loaded');
+    error.code = 'conflict';
+    error.serverData = serverData;
+    return error;
+};
+
+/**
+ * Resolve the document a write operation targets.
+ * @param {Object} op - Operation with `companyId` and optional `employeeId`
+ * @returns {import('firebase/firestore').DocumentReference}
+ */
+const toRef = ({ companyId, employeeId }) =>
+    employeeId ? employeeDoc(companyId, employeeId) : doc(db, COMPANIES_COLLECTION, companyId);
+
+/** @returns {string} Email (or UID) of the signed-in user, else 'anonymous' */
+const currentActor = () => {
+    const user = getCurrentUser();
+    return user?.email || user?.uid || 'anonymous';
+};
+
+/**
+ * Apply write data to a record the way Firestore would.
+ * Only `deleteField()` sentinels are expected in operation data.
+ * @param {Object|null} base - Record before the write
+ * @param {Object} [data] - Fields being written
+ * @returns {Object} Record after the write
+ */
+const applyFields = (base, data = {}) => Object.entries(data).reduce((record, [key, value]) => {
+    if (value instanceof FieldValue) delete record[key];
+    else record[key] = value;
+    return record;
+}, { ...base });
+
+/** @returns {import('firebase/firestore').DocumentReference} New history document */
+const newHistoryRef = () => doc(collection(db, HISTORY_COLLECTION));
+
+/**
+ * Update a document inside a transaction, checking its version first.
+ * Every successful write bumps `version` by one; documents written before
+ * versioning existed count as version 0.
+ * @param {Object} target - `{ companyId, employeeId? }` of the record to update
+ * @param {Object} fields - Fields to write
+ * @param {number} [expectedVersion] - Version the caller last saw; omit to skip the check
+ * @returns {Promise<number>} The new version
+ * @throws {Error} `code: 'conflict'` when the server version differs
+ */
+const versionedUpdate = (target, fields, expectedVersion) =>
+    runTransaction(db, async (transaction) => {
+        const ref = toRef(target);
+        const snap = await transaction.get(ref);
+        if (!snap.exists()) throw new Error(`Document not found: ${ref.path}`);
+
+        const before = snap.data();
+        const current = before.version || 0;
+        if (expectedVersion !== undefined && current !== expectedVersion) {
+            throw conflictError({ ...before, id: snap.id, version: current });
+        }
+
+        const version = current + 1;
+        const data = { ...fields, version, updatedAt: new Date().toISOString() };
+        transaction.update(ref, data);
+        transaction.set(newHistoryRef(), historyEntry({
+            ...target, operation: 'update', before, after: applyFields(before, data)
+        }, currentActor()));
+        return version;
+    });
+
+/**
+ * Split operations into batch-sized chunks. Consecutive operations on the same
+ * company stay in one chunk whenever they fit, so a company and its contacts
+ * commit together. Chunking is deterministic for a given operation list.
+ * @param {Array<Object>} operations - Write operations
+ * @returns {Array<Array<Object>>} Chunks of at most OPS_PER_CHUNK operations
+ */
+const chunkOperations = (operations) => {
+    const groups = [];
+    for (const op of operations) {
+        const last = groups[groups.length - 1];
+        if (last && last[0].companyId === op.companyId) last.push(op);
+        else groups.push([op]);
+    }
+
+    const chunks = [];
+    let current = [];
+    for (const group of groups) {
+        if (current.length && current.length + group.length > OPS_PER_CHUNK) {
+            chunks.push(current);
+            current = [];
+        }
+        // A single company larger than one batch has to be split
+        for (const op of group) {
+            if (current.length === OPS_PER_CHUNK) {
+                chunks.push(current);
+                current = [];
+            }
+            current.push(op);
+        }
+    }
+    if (current.length) chunks.push(current);
+    return chunks;
+};
+
+/**
+ * Commit one chunk of operations as a single atomic transaction, reading each
+ * record first so its history entry has the before and after values.
+ * Deleting a record that does not exist is a no-op.
+ * @param {Array<Object>} ops - Operations in this chunk
+ * @returns {Promise<void>}
+ */
+const commitChunk = (ops) => runTransaction(db, async (transaction) => {
+    const snaps = await Promise.all(ops.map(op => transaction.get(toRef(op))));
+
+    // Latest state per document, for chunks that touch one record twice
+    const current = new Map(snaps.map(snap => [snap.ref.path, snap.exists() ? snap.data() : null]));
+
+    ops.forEach(op => {
+        const ref = toRef(op);
+        const before = current.get(ref.path);
+        let after = null;
+
+        if (op.action === 'delete') {
+            if (!before) return;
+            transaction.delete(ref);
+        } else {
+            if (op.action === 'update' && !before) throw new Error(`Document not found: ${ref.path}`);
+            const data = { ...op.data, version: (before?.version || 0) + 1 };
+            after = applyFields(op.action === 'update' ? before : null, data);
+            if (op.action === 'update') transaction.update(ref, data);
+            else transaction.set(ref, data);
+        }
+
+        current.set(ref.path, after);
+        transaction.set(newHistoryRef(), historyEntry({
+            ...op, operation: operationName(op, before), before, after
+        }, currentActor()));
+    });
+});
+
+/**
+ * Write or delete documents outside the directory (no versions or history)
+ * in batches of BATCH_LIMIT.
+ * @param {Array<Object>} writes - `{ ref, data }`; a null `data` deletes the document
+ * @returns {Promise<void>}
+ */
+const writeInBatches = async (writes) => {
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + BATCH_LIMIT).forEach(({ ref, data }) => {
+            if (data) batch.set(ref, data);
+            else batch.delete(ref);
+        });
+        await batch.commit();
+    }
+};
+
+/** @param {string} snapshotId @returns {import('firebase/firestore').CollectionReference} */
+const snapshotCompaniesRef = (snapshotId) =>
+    collection(db, SNAPSHOTS_COLLECTION, snapshotId, COMPANIES_COLLECTION);
+
+/** @param {string} snapshotId @param {string} companyId @returns {import('firebase/firestore').CollectionReference} */
+const snapshotEmployeesRef = (snapshotId, companyId) =>
+    collection(db, SNAPSHOTS_COLLECTION, snapshotId, COMPANIES_COLLECTION, companyId, SNAPSHOT_EMPLOYEES_COLLECTION);
+
+/**
+ * Build the `set` operations that write a company and its employees.
+ * @param {string} companyId - Target company document ID
+ * @param {Object} company - Company data, optionally with an `employees` array
+ * @param {string} now - ISO timestamp for createdAt/updatedAt
+ * @returns {Array<Object>} Write operations
+ */
+const companyOperations = (companyId, company, now) => {
+    const { id, employees = [], ...fields } = company;
+    return [
+        { action: 'set', companyId, data: { ...fields, createdAt: now, updatedAt: now } },
+        ...employees.map(({ id: employeeId, ...empData }) => ({
+            action: 'set',
+            companyId,
+            employeeId: employeeId || generateId(),
+            data: { ...empData, createdAt: now, updatedAt: now }
+        }))
+    ];
+};
+
+/**
+ * Build the operations that move a company's legacy embedded `employees` array
+ * into its subcollection. Contacts that already have a document keep it, and
+ * the array is only removed in the last operation, so this is safe to re-run.
+ * @param {import('firebase/firestore').DocumentSnapshot} companySnap
+ * @param {string} now - ISO timestamp for createdAt/updatedAt
+ * @returns {Promise<Array<Object>>} Write operations; empty for a migrated company
+ */
+const legacyEmployeeOperations = async (companySnap, now) => {
+    const { employees } = companySnap.data() || {};
+    if (!Array.isArray(employees)) return [];
+
+    const existing = new Set((await getDocs(employeesRef(companySnap.id))).docs.map(empDoc => empDoc.id));
+    return [
+        ...employees.filter(emp => !existing.has(emp.id)).map(({ id, ...empData }) => ({
+            action: 'set',
+            companyId: companySnap.id,
+            employeeId: id || generateId(),
+            data: { createdAt: now, ...empData, updatedAt: now }
+        })),
+        { action: 'update', companyId: companySnap.id, data: { employees: deleteField(), updatedAt: now } }
+    ];
+};
+
+/**
+ * Migrate a company's legacy contacts before writing to one of them, so the
+ * contact has a document to update.
+ * @param {string} companyId
+ * @returns {Promise<void>}
+ */
+const migrateLegacyEmployees = async (companyId) => {
+    const companySnap = await getDoc(doc(db, COMPANIES_COLLECTION, companyId));
+    if (!companySnap.exists()) return;
+    const operations = await legacyEmployeeOperations(companySnap, new Date().toISOString());
+    if (operations.length) await FirebaseService.batchWrite(operations);
+};
 
 /**
  * Firebase Service with full CRUD operations
@@ -35,14 +338,24 @@ export const FirebaseService = {
      */
     getAll: async () => {
         try {
-            const companiesRef = collection(db, COMPANIES_COLLECTION);
-            const snapshot = await getDocs(companiesRef);
+            const [companySnap, employeeSnap] = await Promise.all([
+                getDocs(collection(db, COMPANIES_COLLECTION)),
+                getDocs(collectionGroup(db, EMPLOYEES_COLLECTION))
+            ]);
 
-            const companies = [];
-            snapshot.forEach(doc => {
-                companies.push({ ...doc.data(), id: doc.id });
+            // Group employee documents by their parent company ID
+            const employeesByCompany = new Map();
+            employeeSnap.forEach(empDoc => {
+                const companyId = liveCompanyId(empDoc.ref);
+                if (!companyId) return;
+                if (!employeesByCompany.has(companyId)) employeesByCompany.set(companyId, []);
+                employeesByCompany.get(companyId).push(toEmployee(empDoc));
             });
 
+            const companies = companySnap.docs.map(companyDoc =>
+                toCompany(companyDoc, employeesByCompany.get(companyDoc.id))
+            );
+
             console.log(`✅ Fetched ${companies.length} companies from Firebase`);
             return companies;
         } catch (error) {
@@ -59,8 +372,11 @@ export const FirebaseService = {
     getById: async (companyId) => {
         try {
             const docRef = doc(db, COMPANIES_COLLECTION, companyId);
-            const docSnap = await getDoc(docRef);
-            return docSnap.exists() ? { ...docSnap.data(), id: docSnap.id } : null;
+            const [docSnap, employeeSnap] = await Promise.all([
+                getDoc(docRef),
+                getDocs(employeesRef(companyId))
+            ]);
+            return docSnap.exists() ? toCompany(docSnap, employeeSnap.docs.map(toEmployee)) : null;
         } catch (error) {
             console.error('❌ Firebase getById error:', error);
             throw error;
@@ -68,20 +384,21 @@ export const FirebaseService = {
     },
 
     /**
-     * CREATE — Add a new company
+     * CREATE — Add a new company (and its employees, if any)
      * @param {Object} companyData - Company data to add
      * @returns {Promise<Object>} Created company with ID
      */
     addCompany: async (companyData) => {
         try {
-            const companiesRef = collection(db, COMPANIES_COLLECTION);
-            const docRef = await addDoc(companiesRef, {
-                ...companyData,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            });
+            const { id, employees = [], ...fields } = companyData;
+            const now = new Date().toISOString();
+            const docRef = doc(collection(db, COMPANIES_COLLECTION));
+
+            const created = employees.map(emp => ({ ...emp, id: emp.id || generateId() }));
+            await FirebaseService.batchWrite(companyOperations(docRef.id, { ...fields, employees: created }, now));
+
             console.log(`✅ Added company with ID: ${docRef.id}`);
-            return { id: docRef.id, ...companyData };
+            return { id: docRef.id, ...fields, employees: created };
         } catch (error) {
             console.error('❌ Firebase addCompany error:', error);
             throw error;
@@ -89,20 +406,19 @@ export const FirebaseService = {
     },
 
     /**
-     * UPDATE — Update a company
+     * UPDATE — Update a company's own fields (employees are separate documents)
      * @param {string} companyId - Company document ID
      * @param {Object} updates - Fields to update
-     * @returns {Promise<boolean>} Success status
+     * @param {Object} [options]
+     * @param {number} [options.expectedVersion] - Reject with `code: 'conflict'` if the stored version differs
+     * @returns {Promise<number>} The company's new version
      */
-    updateCompany: async (companyId, updates) => {
+    updateCompany: async (companyId, updates, { expectedVersion } = {}) => {
         try {
-            const docRef = doc(db, COMPANIES_COLLECTION, companyId);
-            await updateDoc(docRef, {
-                ...updates,
-                updatedAt: new Date().toISOString()
-            });
-            console.log(`✅ Updated company: ${companyId}`);
-            return true;
+            const { id, employees, version: _, ...fields } = updates;
+            const version = await versionedUpdate({ companyId }, fields, expectedVersion);
+            console.log(`✅ Updated company: ${companyId} (v${version})`);
+            return version;
         } catch (error) {
             console.error('❌ Firebase updateCompany error:', error);
             throw error;
@@ -110,15 +426,14 @@ export const FirebaseService = {
     },
 
     /**
-     * DELETE — Remove a company
+     * DELETE — Move a company (and with it, its contacts) to the trash
      * @param {string} companyId - Company document ID
      * @returns {Promise<boolean>} Success status
      */
     deleteCompany: async (companyId) => {
         try {
-            const docRef = doc(db, COMPANIES_COLLECTION, companyId);
-            await deleteDoc(docRef);
-            console.log(`✅ Deleted company: ${companyId}`);
+            await FirebaseService.batchWrite([trashOperation({ companyId }, currentActor())]);
+            console.log(`✅ Moved company to trash: ${companyId}`);
             return true;
         } catch (error) {
             console.error('❌ Firebase deleteCompany error:', error);
@@ -131,22 +446,17 @@ export const FirebaseService = {
      * @param {string} companyId - Company document ID
      * @param {string} employeeId - Employee ID
      * @param {Object} updates - Fields to update
-     * @returns {Promise<boolean>} Success status
+     * @param {Object} [options]
+     * @param {number} [options.expectedVersion] - Reject with `code: 'conflict'` if the stored version differs
+     * @returns {Promise<number>} The employee's new version
      */
-    updateEmployee: async (companyId, employeeId, updates) => {
+    updateEmployee: async (companyId, employeeId, updates, { expectedVersion } = {}) => {
         try {
-            const company = await FirebaseService.getById(companyId);
-            if (!company) {
-                throw new Error(`Company not found: ${companyId}`);
-            }
-
-            const employees = company.employees.map(emp =>
-                emp.id === employeeId ? { ...emp, ...updates } : emp
-            );
-
-            await FirebaseService.updateCompany(companyId, { employees });
-            console.log(`✅ Updated employee: ${employeeId}`);
-            return true;
+            const { id, version: _, ...fields } = updates;
+            await migrateLegacyEmployees(companyId);
+            const version = await versionedUpdate({ companyId, employeeId }, fields, expectedVersion);
+            console.log(`✅ Updated employee: ${employeeId} (v${version})`);
+            return version;
         } catch (error) {
             console.error('❌ Firebase updateEmployee error:', error);
             throw error;
@@ -154,19 +464,16 @@ export const FirebaseService = {
     },
 
     /**
-     * DELETE — Remove an employee from a company
+     * DELETE — Move an employee to the trash
      * @param {string} companyId - Company document ID
      * @param {string} employeeId - Employee ID
      * @returns {Promise<boolean>} Success status
      */
     deleteEmployee: async (companyId, employeeId) => {
         try {
-            const company = await FirebaseService.getById(companyId);
-            if (!company) throw new Error('Company not found');
-
-            const employees = company.employees.filter(emp => emp.id !== employeeId);
-            await FirebaseService.updateCompany(companyId, { employees });
-            console.log(`✅ Deleted employee: ${employeeId}`);
+            await migrateLegacyEmployees(companyId);
+            await FirebaseService.batchWrite([trashOperation({ companyId, employeeId }, currentActor())]);
+            console.log(`✅ Moved employee to trash: ${employeeId}`);
             return true;
         } catch (error) {
             console.error('❌ Firebase deleteEmployee error:', error);
@@ -182,17 +489,22 @@ export const FirebaseService = {
      */
     addEmployee: async (companyId, employeeData) => {
         try {
-            const company = await FirebaseService.getById(companyId);
-            if (!company) {
+            const company = await getDoc(doc(db, COMPANIES_COLLECTION, companyId));
+            if (!company.exists()) {
                 throw new Error(`Company not found: ${companyId}`);
             }
 
             const newEmployee = { id: generateId(), ...employeeData };
-            const employees = [...(company.employees || []), newEmployee];
-            await FirebaseService.updateCompany(companyId, { employees });
+            const { id, ...fields } = newEmployee;
+            const now = new Date().toISOString();
+            // Move a legacy company's contacts over in the same batch
+            await FirebaseService.batchWrite([
+                ...await legacyEmployeeOperations(company, now),
+                { action: 'set', companyId, employeeId: id, data: { ...fields, createdAt: now, updatedAt: now } }
+            ]);
 
             console.log(`✅ Added employee to company: ${companyId}`);
-            return newEmployee;
+            return { ...newEmployee, version: 1 };
         } catch (error) {
             console.error('❌ Firebase addEmployee error:', error);
             throw error;
@@ -200,20 +512,68 @@ export const FirebaseService = {
     },
 
     /**
-     * BULK IMPORT — Import multiple companies
+     * BATCH — Apply write operations in chunked, atomic transactions.
+     * Each chunk either fully commits or not at all. The run stops at the first
+     * failed chunk; pass the report's `committedChunks` back as `skipChunks`
+     * with the same operation list to resume where it left off.
+     * An operation's optional `operation` and `restoredFrom` are recorded in its
+     * history entry (by default the operation is derived from the action).
+     * @param {Array<Object>} operations - `{ action: 'set'|'update'|'delete', companyId, employeeId?, data? }`
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Receives `{ chunk, totalChunks, done, total }` after each commit
+     * @param {Array<number>} [options.skipChunks=[]] - Chunk indexes committed by an earlier run
+     * @returns {Promise<Object>} Report `{ total, totalChunks, committedChunks }`
+     * @throws {Error} With `code: 'batch-failed'` and the partial `report` attached
+     */
+    batchWrite: async (operations, { onProgress, skipChunks = [] } = {}) => {
+        const chunks = chunkOperations(operations);
+        const report = {
+            total: operations.length,
+            totalChunks: chunks.length,
+            committedChunks: [...skipChunks]
+        };
+
+        let done = chunks.reduce((sum, chunk, i) => sum + (skipChunks.includes(i) ? chunk.length : 0), 0);
+
+        for (let i = 0; i < chunks.length; i++) {
+            if (skipChunks.includes(i)) continue;
+
+            try {
+                await commitChunk(chunks[i]);
+            } catch (error) {
+                console.error(`❌ Firebase batchWrite failed at chunk ${i + 1}/${chunks.length}:`, error);
+                const failure = new Error(`Batch ${i + 1} of ${chunks.length} failed: ${error.message}`);
+                failure.code = 'batch-failed';
+                failure.report = { ...report, failedChunk: i, cause: error };
+                throw failure;
+            }
+
+            report.committedChunks.push(i);
+            done += chunks[i].length;
+            onProgress?.({ chunk: i, totalChunks: chunks.length, done, total: operations.length });
+        }
+
+        return report;
+    },
+
+    /**
+     * BULK IMPORT — Import multiple companies with their employees.
+     * Existing company and employee IDs are used as document IDs, so re-running
+     * the same input (or resuming it) overwrites rather than duplicates.
      * @param {Array} companies - Array of company objects
-     * @returns {Promise<number>} Number of imported companies
+     * @param {Object} [options] - Same options as batchWrite
+     * @returns {Promise<Object>} batchWrite report, plus `imported` company count
      */
-    bulkImport: async (companies) => {
+    bulkImport: async (companies, options = {}) => {
         try {
-            let imported = 0;
-            for (const company of companies) {
-                const { id, ...companyData } = company;
-                await FirebaseService.addCompany(companyData);
-                imported++;
-            }
-            console.log(`✅ Bulk imported ${imported} companies`);
-            return imported;
+            const now = new Date().toISOString();
+            const operations = companies.flatMap(company =>
+                companyOperations(company.id || generateId(), company, now)
+            );
+
+            const report = await FirebaseService.batchWrite(operations, options);
+            console.log(`✅ Bulk imported ${companies.length} companies`);
+            return { ...report, imported: companies.length };
         } catch (error) {
             console.error('❌ Firebase bulkImport error:', error);
             throw error;
@@ -221,19 +581,435 @@ export const FirebaseService = {
     },
 
     /**
-     * CLEAR — Delete all companies (use with caution!)
-     * @returns {Promise<boolean>} Success status
+     * CLEAR — Move every company to the trash (use with caution!)
+     * Re-running after a failure simply trashes whatever is left.
+     * @param {Object} [options] - Same options as batchWrite
+     * @returns {Promise<Object>} batchWrite report
      */
-    clearAll: async () => {
+    clearAll: async (options = {}) => {
         try {
             const companies = await FirebaseService.getAll();
-            for (const company of companies) {
-                await FirebaseService.deleteCompany(company.id);
+            const actor = currentActor();
+            const operations = companies
+                .filter(company => !company.deletedAt)
+                .map(company => trashOperation({ companyId: company.id }, actor));
+
+            const report = await FirebaseService.batchWrite(operations, options);
+            console.log('✅ Moved all companies to trash');
+            return report;
+        } catch (error) {
+            console.error('❌ Firebase clearAll error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * TRASH — Take a company or contact back out of the trash
+     * @param {string} companyId - Company document ID
+     * @param {string} [employeeId] - Contact ID; omit to restore the company
+     * @returns {Promise<boolean>} Success status
+     */
+    restoreDeleted: async (companyId, employeeId = null) => {
+        try {
+            await FirebaseService.batchWrite([untrashOperation({ companyId, employeeId })]);
+            console.log(`✅ Restored from trash: ${recordKey(companyId, employeeId)}`);
+            return true;
+        } catch (error) {
+            console.error('❌ Firebase restoreDeleted error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * TRASH — Permanently delete records. Purging a company removes all of
+     * its contact documents too. History entries are kept.
+     * @param {Array<Object>} targets - `{ companyId, employeeId? }` records to remove
+     * @param {Object} [options] - Same options as batchWrite
+     * @returns {Promise<Object>} batchWrite report
+     */
+    purge: async (targets, options = {}) => {
+        try {
+            const operations = [];
+            for (const { companyId, employeeId } of targets) {
+                if (employeeId) {
+                    operations.push({ action: 'delete', companyId, employeeId, operation: 'purge' });
+                    continue;
+                }
+                const employeeSnap = await getDocs(employeesRef(companyId));
+                employeeSnap.docs.forEach(empDoc =>
+                    operations.push({ action: 'delete', companyId, employeeId: empDoc.id, operation: 'purge' })
+                );
+                operations.push({ action: 'delete', companyId, operation: 'purge' });
             }
-            console.log('✅ Cleared all data from Firebase');
+
+            const report = await FirebaseService.batchWrite(operations, options);
+            console.log(`✅ Purged ${targets.length} records`);
+            return report;
+        } catch (error) {
+            console.error('❌ Firebase purge error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * TRASH — Purge everything that has been in the trash longer than the retention period
+     * @param {number} retentionDays - Days to keep trashed records
+     * @returns {Promise<number>} Number of records purged
+     */
+    purgeExpired: async (retentionDays) => {
+        try {
+            const targets = expiredTargets(await FirebaseService.getAll(), retentionDays);
+            if (targets.length) await FirebaseService.purge(targets);
+            return targets.length;
+        } catch (error) {
+            console.error('❌ Firebase purgeExpired error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * SNAPSHOT — Save a copy of the whole directory, trash included
+     * @param {Object} [options]
+     * @param {string} [options.name] - Label; defaults to the creation time
+     * @param {boolean} [options.auto=false] - Created by the schedule rather than by hand
+     * @returns {Promise<Object>} Snapshot metadata with `id`
+     */
+    createSnapshot: async ({ name, auto = false } = {}) => {
+        try {
+            const companies = await FirebaseService.getAll();
+            const ref = doc(collection(db, SNAPSHOTS_COLLECTION));
+            const meta = snapshotMeta({ name, auto, companies, actor: currentActor() });
+
+            // Contents first and metadata last, so a listed snapshot is always complete.
+            // Contacts are documents of their own, as in the live directory.
+            await writeInBatches(companies.flatMap(({ id, employees = [], ...company }) => [
+                { ref: doc(snapshotCompaniesRef(ref.id), id), data: company },
+                ...employees.map(({ id: employeeId, ...employee }) => ({
+                    ref: doc(snapshotEmployeesRef(ref.id, id), employeeId || generateId()),
+                    data: employee
+                }))
+            ]));
+            await setDoc(ref, meta);
+
+            console.log(`✅ Created snapshot "${meta.name}" (${meta.companyCount} companies)`);
+            return { ...meta, id: ref.id };
+        } catch (error) {
+            console.error('❌ Firebase createSnapshot error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * SNAPSHOT — List saved snapshots, newest first
+     * @returns {Promise<Array>} Snapshot metadata with `id`
+     */
+    listSnapshots: async () => {
+        try {
+            const snapshot = await getDocs(collection(db, SNAPSHOTS_COLLECTION));
+            return snapshot.docs
+                .map(metaDoc => ({ ...metaDoc.data(), id: metaDoc.id }))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        } catch (error) {
+            console.error('❌ Firebase listSnapshots error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * SNAPSHOT — Read a saved snapshot. Snapshots taken before contacts had
+     * their own documents keep them embedded in the company.
+     * @param {string} snapshotId - Snapshot ID
+     * @returns {Promise<{ meta: Object, companies: Array }>}
+     */
+    getSnapshot: async (snapshotId) => {
+        try {
+            const [metaSnap, companySnap] = await Promise.all([
+                getDoc(doc(db, SNAPSHOTS_COLLECTION, snapshotId)),
+                getDocs(snapshotCompaniesRef(snapshotId))
+            ]);
+            if (!metaSnap.exists()) throw new Error(`Snapshot not found: ${snapshotId}`);
+
+            const companies = await Promise.all(companySnap.docs.map(async companyDoc => {
+                const employeeSnap = await getDocs(snapshotEmployeesRef(snapshotId, companyDoc.id));
+                return toCompany(companyDoc, employeeSnap.docs.map(toEmployee));
+            }));
+            return { meta: { ...metaSnap.data(), id: snapshotId }, companies };
+        } catch (error) {
+            console.error('❌ Firebase getSnapshot error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * SNAPSHOT — Delete a saved snapshot
+     * @param {string} snapshotId - Snapshot ID
+     * @returns {Promise<boolean>} Success status
+     */
+    deleteSnapshot: async (snapshotId) => {
+        try {
+            // Metadata first, so a half-deleted snapshot is no longer listed
+            await deleteDoc(doc(db, SNAPSHOTS_COLLECTION, snapshotId));
+            const companySnap = await getDocs(snapshotCompaniesRef(snapshotId));
+            const employeeSnaps = await Promise.all(companySnap.docs.map(companyDoc =>
+                getDocs(snapshotEmployeesRef(snapshotId, companyDoc.id))
+            ));
+            await writeInBatches([
+                ...employeeSnaps.flatMap(employeeSnap => employeeSnap.docs),
+                ...companySnap.docs
+            ].map(snap => ({ ref: snap.ref, data: null })));
+
+            console.log(`✅ Deleted snapshot: ${snapshotId}`);
             return true;
         } catch (error) {
-            console.error('❌ Firebase clearAll error:', error);
+            console.error('❌ Firebase deleteSnapshot error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * SETTINGS — Read the custom field definitions
+     * @returns {Promise<Array>} Definitions, or an empty array if none are saved
+     */
+    getCustomFields: async () => {
+        try {
+            const snap = await getDoc(doc(db, SETTINGS_COLLECTION, CUSTOM_FIELDS_DOC));
+            return snap.exists() ? snap.data().fields || [] : [];
+        } catch (error) {
+            console.error('❌ Firebase getCustomFields error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * SETTINGS — Replace the custom field definitions
+     * @param {Array<Object>} fields - Definitions, validated by the caller
+     * @returns {Promise<Array>} The saved definitions
+     */
+    saveCustomFields: async (fields) => {
+        try {
+            await setDoc(doc(db, SETTINGS_COLLECTION, CUSTOM_FIELDS_DOC), {
+                fields,
+                updatedAt: new Date().toISOString(),
+                updatedBy: currentActor()
+            });
+            console.log(`✅ Saved ${fields.length} custom fields`);
+            return fields;
+        } catch (error) {
+            console.error('❌ Firebase saveCustomFields error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * SAVED SEARCHES — Every user's saved searches, most recently updated first
+     * @returns {Promise<Array>} `{ id, name, query, facets, sort, owner, createdAt, updatedAt }`
+     */
+    getSavedSearches: async () => {
+        try {
+            const snapshot = await getDocs(collection(db, SAVED_SEARCHES_COLLECTION));
+            return snapshot.docs
+                .map(searchDoc => ({ ...searchDoc.data(), id: searchDoc.id }))
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        } catch (error) {
+            console.error('❌ Firebase getSavedSearches error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * SAVED SEARCHES — Create or update a saved search; a new one is owned by the current user
+     * @param {Object} search - `{ id?, name, query, facets, sort }`
+     * @returns {Promise<Object>} The saved search, with its id
+     */
+    saveSavedSearch: async ({ id, ...search }) => {
+        try {
+            const ref = id ? doc(db, SAVED_SEARCHES_COLLECTION, id) : doc(collection(db, SAVED_SEARCHES_COLLECTION));
+            const existing = id ? await getDoc(ref) : null;
+            const now = new Date().toISOString();
+            const data = {
+                ...(existing?.exists() ? existing.data() : { owner: currentActor(), createdAt: now }),
+                ...search,
+                updatedAt: now
+            };
+            await setDoc(ref, data);
+            console.log(`✅ Saved search: ${data.name}`);
+            return { ...data, id: ref.id };
+        } catch (error) {
+            console.error('❌ Firebase saveSavedSearch error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * SAVED SEARCHES — Delete a saved search
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    deleteSavedSearch: async (id) => {
+        try {
+            await deleteDoc(doc(db, SAVED_SEARCHES_COLLECTION, id));
+            console.log(`✅ Deleted saved search: ${id}`);
+            return true;
+        } catch (error) {
+            console.error('❌ Firebase deleteSavedSearch error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * LISTEN — Subscribe to live changes across all companies and contacts.
+     * Keeps a local mirror of both collections from snapshot listeners and calls
+     * `onChange` with the full, reassembled company list whenever either changes.
+     * The first call happens once both listeners have delivered their initial data.
+     * @param {Function} onChange - Receives the updated array of company objects, and the
+     *   ids of the companies changed since the last call (null on the first call)
+     * @param {Function} [onError] - Receives listener errors (the subscription ends)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe: (onChange, onError) => {
+        const companyDocs = new Map();
+        const employeesByCompany = new Map();
+        let companiesReady = false;
+        let employeesReady = false;
+        let emitQueued = false;
+        let changedIds = null; // Companies changed since the last emit; null until the first
+
+        // Coalesce back-to-back snapshots (e.g. a batch touching both collections)
+        const emit = () => {
+            if (!companiesReady || !employeesReady || emitQueued) return;
+            emitQueued = true;
+            queueMicrotask(() => {
+                emitQueued = false;
+                const companyIds = changedIds && [...changedIds];
+                changedIds = new Set();
+                onChange(Array.from(companyDocs.values()).map(companyDoc =>
+                    toCompany(companyDoc, Array.from(employeesByCompany.get(companyDoc.id)?.values() || []))
+                ), companyIds);
+            });
+        };
+
+        const handleError = (error) => {
+            console.error('❌ Firebase subscribe error:', error);
+            onError?.(error);
+        };
+
+        const unsubscribeCompanies = onSnapshot(collection(db, COMPANIES_COLLECTION), (snapshot) => {
+            snapshot.docChanges().forEach(change => {
+                if (change.type === 'removed') companyDocs.delete(change.doc.id);
+                else companyDocs.set(change.doc.id, change.doc);
+                changedIds?.add(change.doc.id);
+            });
+            companiesReady = true;
+            emit();
+        }, handleError);
+
+        const unsubscribeEmployees = onSnapshot(collectionGroup(db, EMPLOYEES_COLLECTION), (snapshot) => {
+            snapshot.docChanges().forEach(change => {
+                const companyId = liveCompanyId(change.doc.ref);
+                if (!companyId) return;
+                if (!employeesByCompany.has(companyId)) employeesByCompany.set(companyId, new Map());
+                const employees = employeesByCompany.get(companyId);
+                if (change.type === 'removed') employees.delete(change.doc.id);
+                else employees.set(change.doc.id, toEmployee(change.doc));
+                changedIds?.add(companyId);
+            });
+            employeesReady = true;
+            emit();
+        }, handleError);
+
+        return () => {
+            unsubscribeCompanies();
+            unsubscribeEmployees();
+        };
+    },
+
+    /**
+     * HISTORY — List the changes made to a contact, or to a company and all of
+     * its contacts (including deleted ones), newest first
+     * @param {string} companyId - Company document ID
+     * @param {string} [employeeId] - Contact ID; omit for the whole company
+     * @returns {Promise<Array>} History entries with `id`
+     */
+    getHistory: async (companyId, employeeId = null) => {
+        try {
+            const filter = employeeId
+                ? where('recordKey', '==', recordKey(companyId, employeeId))
+                : where('companyId', '==', companyId);
+            const snapshot = await getDocs(query(collection(db, HISTORY_COLLECTION), filter));
+            return snapshot.docs
+                .map(entryDoc => ({ ...entryDoc.data(), id: entryDoc.id }))
+                .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        } catch (error) {
+            console.error('❌ Firebase getHistory error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * RESTORE — Put a record back to how it was after a history entry
+     * (or, for a purge, just before it). The restored record is never in the
+     * trash. Recorded as a 'restore' change.
+     * @param {string} historyId - History entry ID
+     * @returns {Promise<Object>} `{ companyId, employeeId }` of the restored record
+     */
+    restoreVersion: async (historyId) => {
+        try {
+            const entrySnap = await getDoc(doc(db, HISTORY_COLLECTION, historyId));
+            if (!entrySnap.exists()) throw new Error(`History entry not found: ${historyId}`);
+
+            const { companyId, employeeId, before, after } = entrySnap.data();
+            if (employeeId) {
+                const company = await getDoc(doc(db, COMPANIES_COLLECTION, companyId));
+                if (!company.exists()) throw new Error('The company of this contact was deleted. Restore the company first.');
+            } else {
+                // The restore overwrites the whole document; move any embedded contacts out first
+                await migrateLegacyEmployees(companyId);
+            }
+
+            const { version, employees, deletedAt, deletedBy, ...fields } = after || before;
+            await FirebaseService.batchWrite([{
+                action: 'set',
+                companyId,
+                employeeId,
+                data: { ...fields, updatedAt: new Date().toISOString() },
+                operation: 'restore',
+                restoredFrom: historyId
+            }]);
+
+            console.log(`✅ Restored ${recordKey(companyId, employeeId)} from history entry ${historyId}`);
+            return { companyId, employeeId };
+        } catch (error) {
+            console.error('❌ Firebase restoreVersion error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * MIGRATE — Move legacy embedded `employees` arrays into the subcollection.
+     * Safe to re-run: employee IDs are reused as document IDs, and the array is
+     * only removed from the company document in the final write. Companies are
+     * also migrated one at a time on the first write to one of their contacts.
+     * @returns {Promise<number>} Number of companies migrated
+     */
+    migrateEmployeesToSubcollection: async () => {
+        try {
+            const snapshot = await getDocs(collection(db, COMPANIES_COLLECTION));
+            let migrated = 0;
+
+            for (const companyDoc of snapshot.docs) {
+                const operations = await legacyEmployeeOperations(companyDoc, new Date().toISOString());
+                if (!operations.length) continue;
+
+                await FirebaseService.batchWrite(operations);
+
+                migrated++;
+                console.log(`✅ Migrated ${operations.length - 1} employees for: ${companyDoc.id}`);
+            }
+
+            console.log(`✅ Migrated ${migrated} companies to employee subcollections`);
+            return migrated;
+        } catch (error) {
+            console.error('❌ Firebase migrateEmployeesToSubcollection error:', error);
             throw error;
         }
     }
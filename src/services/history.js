@@ -0,0 +1,63 @@
+/**
+ * @module History
+ * Change-history entries recorded by the data backends (see backend.js).
+ * Each write to a company or contact produces one entry holding the record's
+ * stored fields before and after, which is enough to restore any version.
+ */
+
+import { changedFields } from '../utils/diff.js';
+
+/**
+ * Key history entries are looked up by
+ * @param {string} companyId
+ * @param {string} [employeeId] - Set for contact records
+ * @returns {string}
+ */
+export const recordKey = (companyId, employeeId) => employeeId ? `${companyId}/${employeeId}` : companyId;
+
+/**
+ * Record fields kept in history. A legacy embedded `employees` array is left
+ * out: contacts have their own history entries.
+ * @param {Object|null} record
+ * @returns {Object|null}
+ */
+const storedFields = (record) => {
+    if (!record) return null;
+    const { employees, ...fields } = record;
+    return fields;
+};
+
+/**
+ * Build a history entry for one write.
+ * @param {Object} change
+ * @param {string} change.companyId
+ * @param {string} [change.employeeId] - Set for contact records
+ * @param {string} change.operation - 'create', 'update', 'delete' or 'restore'
+ * @param {Object|null} change.before - Stored fields before the write (null if created)
+ * @param {Object|null} change.after - Stored fields after the write (null if deleted)
+ * @param {string} [change.restoredFrom] - History entry ID a restore went back to
+ * @param {string} actor - Who made the change
+ * @returns {Object} History entry (without `id`)
+ */
+export const historyEntry = ({ companyId, employeeId, operation, before, after, restoredFrom }, actor) => ({
+    recordKey: recordKey(companyId, employeeId),
+    recordType: employeeId ? 'employee' : 'company',
+    companyId,
+    employeeId: employeeId || null,
+    operation,
+    actor,
+    timestamp: new Date().toISOString(),
+    before: storedFields(before),
+    after: storedFields(after),
+    changedFields: changedFields(storedFields(before), storedFields(after)),
+    restoredFrom: restoredFrom || null
+});
+
+/**
+ * Operation name for a history entry, unless the write named its own
+ * @param {Object} op - Write operation (`action`, optional `operation`)
+ * @param {Object|null} before - Record before the write
+ * @returns {string}
+ */
+export const operationName = (op, before) =>
+    op.operation || (op.action === 'delete' ? 'delete' : before ? 'update' : 'create');
@@ -0,0 +1,222 @@
+/**
+ * @module ImportPlan
+ * Dry run for imports. Parsed companies are compared with the directory and
+ * sorted into groups the user approves one by one before anything is written;
+ * the approved groups are then turned into batchWrite operations.
+ */
+
+import { generateId, findMatchingEmployee, mergeEmployeeData, mergeCompanyData, withoutDeleted } from '../utils/helpers.js';
+import { changedFields } from '../utils/diff.js';
+import { normalizeCompany, getCustomFields } from '../utils/schema.js';
+
+/**
+ * Groups of a plan that can be approved, in display order
+ * @type {Array<{ key: string, label: string }>}
+ */
+export const IMPORT_GROUPS = [
+    { key: 'newCompanies', label: 'New companies' },
+    { key: 'matchedCompanies', label: 'Matched companies' },
+    { key: 'contactsToAdd', label: 'Contacts to add' },
+    { key: 'contactsToMerge', label: 'Contacts to merge' }
+];
+
+/**
+ * @typedef {Object} ImportPlan
+ * @property {Array<Object>} newCompanies - `{ companyId, name, company, contactCount }` to create
+ * @property {Array<Object>} matchedCompanies - `{ companyId, name, matchedBy, contactCount, before, after, changes }`
+ *   already in the directory, with `changes` to its own fields as `[{ field, before, after }]`
+ * @property {Array<Object>} contactsToAdd - `{ companyId, companyName, group, employeeId, contact }`
+ *   where `group` is the company group the contact depends on
+ * @property {Array<Object>} contactsToMerge - `{ companyId, companyName, employeeId, before, after, changes }`
+ *   with `changes` as `[{ field, before, after }]`
+ * @property {Array<Object>} rejected - `{ companyName, label, reason }` rows that will not be imported
+ * @property {Array<Object>} warnings - `{ companyName, label, reason }` values imported as-is that look wrong
+ * @property {number} unchanged - Contacts that matched an existing one with nothing new
+ */
+
+/** @param {Object} emp @returns {string} Display name */
+const contactLabel = (emp) => `${emp.firstName || ''} ${emp.lastName || ''}`.trim() || emp.email || emp.phone || 'Contact';
+
+/** @param {Object} company @returns {Object} Its own fields, without `id` and employees */
+const companyFields = ({ id, employees, ...fields }) => fields;
+
+/** @param {string} domain @returns {string} Domain without scheme, www or trailing slash */
+const normalizeDomain = (domain) => (domain || '').toLowerCase().trim()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/.*$/, '');
+
+/**
+ * Compare parsed companies with the directory without writing anything.
+ * Every company and contact is validated against the schema first: records
+ * with errors are rejected, warnings are listed but imported. Companies match
+ * a live company by name or domain and are merged with mergeCompanyData;
+ * contacts are matched with findMatchingEmployee and merged with
+ * mergeEmployeeData. Duplicate companies and contacts within the import are
+ * folded into one.
+ * @param {Array} companies - Parsed companies with employees
+ * @param {Array} existing - Current directory (trashed records are ignored)
+ * @returns {ImportPlan}
+ */
+export const planImport = (companies, existing) => {
+    const live = withoutDeleted(existing);
+    const byName = new Map(live.map(c => [(c.name || '').toLowerCase().trim(), c]));
+    const byDomain = new Map(live.filter(c => normalizeDomain(c.domain)).map(c => [normalizeDomain(c.domain), c]));
+
+    const customKeys = getCustomFields('employee').map(field => field.key);
+    const companyCustomKeys = getCustomFields('company').map(field => field.key);
+    const plan = { newCompanies: [], matchedCompanies: [], contactsToAdd: [], contactsToMerge: [], rejected: [], warnings: [], unchanged: 0 };
+    // Contacts per target company (existing and planned), for matching later rows
+    const contactLists = new Map();
+    const companyEntries = new Map();
+    const plannedByName = new Map();
+
+    for (const parsed of companies) {
+        const result = normalizeCompany(parsed);
+        const { record: company } = result;
+        const name = company.name;
+        const contacts = company.employees;
+
+        if (result.errors.length) {
+            plan.rejected.push({
+                companyName: name,
+                label: contacts.length ? `${contacts.length} contact(s): ${contacts.map(contactLabel).join(', ')}` : 'Company row',
+                reason: result.errors.map(error => error.message).join('; ')
+            });
+            continue;
+        }
+        result.warnings.forEach(warning => plan.warnings.push({ companyName: name, label: 'Company', reason: warning.message }));
+
+        const domain = normalizeDomain(company.domain);
+        const match = byName.get(name.toLowerCase()) || (domain && byDomain.get(domain));
+        const companyId = match?.id || plannedByName.get(name.toLowerCase()) || generateId();
+        const incomingFields = companyFields(company);
+        let entry = companyEntries.get(companyId);
+
+        if (!entry) {
+            if (match) {
+                const before = companyFields(match);
+                entry = { companyId, name: match.name, matchedBy: byName.has(name.toLowerCase()) ? 'name' : 'domain', contactCount: 0, before, after: before, changes: [] };
+                plan.matchedCompanies.push(entry);
+                contactLists.set(companyId, [...match.employees]);
+            } else {
+                entry = { companyId, name, company: { ...incomingFields, name }, contactCount: 0 };
+                plan.newCompanies.push(entry);
+                plannedByName.set(name.toLowerCase(), companyId);
+                contactLists.set(companyId, []);
+            }
+            companyEntries.set(companyId, entry);
+        } else if (!match) {
+            entry.company = mergeCompanyData(entry.company, incomingFields, companyCustomKeys);
+        }
+
+        if (match) {
+            entry.after = mergeCompanyData(entry.after, incomingFields, companyCustomKeys);
+            entry.changes = changedFields(entry.before, entry.after)
+                .map(field => ({ field, before: entry.before[field], after: entry.after[field] }));
+        }
+
+        const group = match ? 'matchedCompanies' : 'newCompanies';
+        const list = contactLists.get(companyId);
+
+        for (const [index, incoming] of contacts.entries()) {
+            const { errors, warnings } = result.employees[index];
+            if (errors.length) {
+                plan.rejected.push({ companyName: entry.name, label: contactLabel(incoming), reason: errors.map(error => error.message).join('; ') });
+                continue;
+            }
+            warnings.forEach(warning => plan.warnings.push({ companyName: entry.name, label: contactLabel(incoming), reason: warning.message }));
+
+            const { id, ...fields } = incoming;
+            const found = findMatchingEmployee(list, fields);
+
+            if (!found) {
+                const contact = { ...fields, id: id || generateId() };
+                list.push(contact);
+                plan.contactsToAdd.push({ companyId, companyName: entry.name, group, employeeId: contact.id, contact });
+                entry.contactCount++;
+                continue;
+            }
+
+            const merged = mergeEmployeeData(found, fields, customKeys);
+            list[list.indexOf(found)] = merged;
+
+            // A duplicate of a contact added earlier in this import
+            const added = plan.contactsToAdd.find(item => item.contact === found);
+            if (added) {
+                added.contact = merged;
+                continue;
+            }
+
+            const pending = plan.contactsToMerge.find(item => item.companyId === companyId && item.employeeId === found.id);
+            const before = pending?.before || found;
+            const fieldsChanged = changedFields(before, merged);
+            if (pending) {
+                pending.after = merged;
+                pending.changes = fieldsChanged.map(field => ({ field, before: before[field], after: merged[field] }));
+            } else if (fieldsChanged.length) {
+                plan.contactsToMerge.push({
+                    companyId,
+                    companyName: entry.name,
+                    employeeId: found.id,
+                    before,
+                    after: merged,
+                    changes: fieldsChanged.map(field => ({ field, before: before[field], after: merged[field] }))
+                });
+                entry.contactCount++;
+            } else {
+                plan.unchanged++;
+            }
+        }
+    }
+
+    return plan;
+};
+
+/**
+ * Write operations for the approved groups of a plan. Contacts are written only
+ * when their company's group is approved too.
+ * @param {ImportPlan} plan
+ * @param {Object<string, boolean>} approved - Group key to approval
+ * @returns {Array<Object>} Operations for DataService.batchWrite
+ */
+export const importOperations = (plan, approved) => {
+    const now = new Date().toISOString();
+    const operations = [];
+
+    if (approved.newCompanies) {
+        plan.newCompanies.forEach(({ companyId, company }) => operations.push({
+            action: 'set', companyId, data: { ...company, createdAt: now, updatedAt: now }
+        }));
+    }
+
+    if (approved.matchedCompanies) {
+        plan.matchedCompanies
+            .filter(({ changes }) => changes.length)
+            .forEach(({ companyId, after, changes }) => operations.push({
+                action: 'update',
+                companyId,
+                data: { ...Object.fromEntries(changes.map(({ field }) => [field, after[field] ?? ''])), updatedAt: now }
+            }));
+    }
+
+    if (approved.contactsToAdd) {
+        plan.contactsToAdd
+            .filter(item => approved[item.group])
+            .forEach(({ companyId, employeeId, contact }) => {
+                const { id, ...data } = contact;
+                operations.push({ action: 'set', companyId, employeeId, data: { ...data, createdAt: now, updatedAt: now } });
+            });
+    }
+
+    if (approved.contactsToMerge && approved.matchedCompanies) {
+        plan.contactsToMerge.forEach(({ companyId, employeeId, after, changes }) => operations.push({
+            action: 'update',
+            companyId,
+            employeeId,
+            data: { ...Object.fromEntries(changes.map(({ field }) => [field, after[field] ?? ''])), updatedAt: now }
+        }));
+    }
+
+    return operations;
+};
@@ -3,6 +3,15 @@
  * Re-exports all service modules
  */
 
-export { FirebaseService } from './firebase.js';
+// Data access goes through the configured backend; import firebase.js or
+// local.js directly only for backend-specific tooling.
+export { DataService, getBackend, useBackend } from './backend.js';
+export { createLocalService } from './local.js';
 export { Storage } from './storage.js';
+export { Outbox } from './outbox.js';
+export { MappingPresets } from './mapping-presets.js';
+export { CustomFields } from './custom-fields.js';
+export { Datasets } from './datasets.js';
+export { SearchIndex } from './search.js';
+export { SavedSearches } from './saved-searches.js';
 export { getApiKey, saveApiKey, getGeminiKey, saveGeminiKey, getActiveProvider, parseWithAI } from './ai/index.js';
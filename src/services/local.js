@@ -0,0 +1,430 @@
+/**
+ * @module Local Service
+ * In-memory implementation of the data backend (see backend.js).
+ * With a `persistUrl` it loads from and saves to a JSON file through server.js,
+ * giving a fully offline mode. Without one it is a deterministic store for tests.
+ *
+ * Layout mirrors Firestore: company records and per-company employee records,
+ * reassembled into `employees` arrays on read. Every write is appended to
+ * `history`, like the Firebase backend's `history/` collection, snapshots
+ * are kept in `snapshots` by ID, custom field definitions in `settings` and
+ * saved searches in `savedSearches` by ID.
+ */
+
+import { BACKEND } from '../config/index.js';
+import { generateId } from '../utils/helpers.js';
+import { recordKey, historyEntry, operationName } from './history.js';
+import { trashOperation, untrashOperation, expiredTargets } from './trash.js';
+import { snapshotMeta } from './snapshot.js';
+
+// There is no sign-in in local mode
+const LOCAL_ACTOR = 'local';
+
+/** @returns {{ companies: Object, employees: Object, history: Array, snapshots: Object, settings: Object, savedSearches: Object }} Empty database */
+const emptyDb = () => ({ companies: {}, employees: {}, history: [], snapshots: {}, settings: {}, savedSearches: {} });
+
+/**
+ * Build the stored layout from company objects (as returned by getAll).
+ * @param {Array} companies
+ * @returns {{ companies: Object, employees: Object, history: Array, snapshots: Object, settings: Object, savedSearches: Object }}
+ */
+const fromCompanies = (companies) => {
+    const db = emptyDb();
+    companies.forEach(({ id = generateId(), employees = [], ...fields }) => {
+        db.companies[id] = { version: 1, ...fields };
+        db.employees[id] = {};
+        employees.forEach(({ id: empId = generateId(), ...empData }) => {
+            db.employees[id][empId] = { version: 1, ...empData };
+        });
+    });
+    return db;
+};
+
+/**
+ * Build the error thrown when a versioned write finds a newer record.
+ * Matches the shape thrown by the Firebase backend.
+ * @param {Object} serverData - Current stored copy of the record
+ * @returns {Error}
+ */
+const conflictError = (serverData) => {
+    const error = new Error('Record was changed by someone else since it was loaded');
+    error.code = 'conflict';
+    error.serverData = serverData;
+    return error;
+};
+
+/**
+ * Create a local backend instance.
+ * @param {Object} [options]
+ * @param {Array} [options.seed] - Companies to start with when nothing is persisted
+ * @param {string|null} [options.persistUrl] - Endpoint that GETs/PUTs the JSON database
+ * @returns {import('./backend.js').DataBackend}
+ */
+export const createLocalService = ({ seed = [], persistUrl = null } = {}) => {
+    let db = null;
+    let loading = null;
+    let saving = Promise.resolve();
+    const listeners = new Set();
+    let notifiedHistory = 0; // History entries already reported to listeners as changed companies
+
+    /** Load the database once — from the server file if available, else the seed */
+    const load = () => {
+        if (!loading) {
+            loading = (async () => {
+                if (persistUrl) {
+                    try {
+                        const response = await fetch(persistUrl);
+                        if (response.ok) {
+                            db = { ...emptyDb(), ...(await response.json()) };
+                            notifiedHistory = db.history.length;
+                            return db;
+                        }
+                        console.warn(`⚠️ Local data endpoint returned ${response.status}, starting from seed`);
+                    } catch (error) {
+                        console.warn('⚠️ Local data endpoint unreachable, starting from seed:', error.message);
+                    }
+                }
+                db = fromCompanies(structuredClone(seed));
+                notifiedHistory = db.history.length;
+                return db;
+            })();
+        }
+        return loading;
+    };
+
+    /** @param {string} companyId @returns {Object} Company with employees, detached from the store */
+    const assemble = (companyId) => structuredClone({
+        ...db.companies[companyId],
+        id: companyId,
+        employees: Object.entries(db.employees[companyId] || {}).map(([id, emp]) => ({ ...emp, id }))
+    });
+
+    const snapshotAll = () => Object.keys(db.companies).map(assemble);
+
+    /** Persist (if configured) and notify subscribers after a write */
+    const commit = () => {
+        if (persistUrl) {
+            const body = JSON.stringify(db);
+            saving = saving
+                .then(() => fetch(persistUrl, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body }))
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                })
+                .catch(error => console.warn('⚠️ Could not persist local data:', error.message));
+        }
+        const companies = snapshotAll();
+        const companyIds = [...new Set(db.history.slice(notifiedHistory).map(entry => entry.companyId))];
+        notifiedHistory = db.history.length;
+        listeners.forEach(listener => listener(structuredClone(companies), companyIds));
+    };
+
+    /**
+     * Apply one write operation to a database object and record it in history.
+     * Deleting a record that does not exist is a no-op.
+     * @param {Object} target - Database to mutate
+     * @param {Object} op - `{ action, companyId, employeeId?, data?, operation?, restoredFrom? }`
+     */
+    const applyOperation = (target, op) => {
+        const { action, companyId, employeeId, data = {} } = op;
+        const now = new Date().toISOString();
+        const collection = employeeId ? (target.employees[companyId] ??= {}) : target.companies;
+        const key = employeeId || companyId;
+        const existing = collection[key];
+
+        if (action === 'delete') {
+            if (!existing) return;
+            delete collection[key];
+        } else {
+            if (action === 'update' && !existing) {
+                throw new Error(`Document not found: ${recordKey(companyId, employeeId)}`);
+            }
+            const base = action === 'update' ? existing : {};
+            collection[key] = { ...base, ...data, version: (existing?.version || 0) + 1, updatedAt: data.updatedAt || now };
+        }
+
+        target.history.push({
+            id: generateId(),
+            ...historyEntry({
+                ...op,
+                operation: operationName(op, existing),
+                before: existing ? structuredClone(existing) : null,
+                after: collection[key] ? structuredClone(collection[key]) : null
+            }, LOCAL_ACTOR)
+        });
+    };
+
+    /**
+     * Versioned update of one record, mirroring the Firebase transaction.
+     * @returns {number} New version
+     */
+    const versionedUpdate = (companyId, employeeId, fields, expectedVersion) => {
+        const collection = employeeId ? db.employees[companyId] || {} : db.companies;
+        const existing = collection[employeeId || companyId];
+        if (!existing) throw new Error(`Document not found: ${recordKey(companyId, employeeId)}`);
+
+        const current = existing.version || 0;
+        if (expectedVersion !== undefined && current !== expectedVersion) {
+            throw conflictError(structuredClone({ ...existing, id: employeeId || companyId, version: current }));
+        }
+
+        applyOperation(db, { action: 'update', companyId, employeeId, data: fields });
+        commit();
+        return current + 1;
+    };
+
+    const service = {
+        getAll: async () => {
+            await load();
+            return snapshotAll();
+        },
+
+        getById: async (companyId) => {
+            await load();
+            return db.companies[companyId] ? assemble(companyId) : null;
+        },
+
+        addCompany: async (companyData) => {
+            await load();
+            const { id, employees = [], ...fields } = companyData;
+            const companyId = generateId();
+            const now = new Date().toISOString();
+
+            applyOperation(db, { action: 'set', companyId, data: { ...fields, createdAt: now, updatedAt: now } });
+            employees.forEach(({ id: employeeId, ...empData }) => applyOperation(db, {
+                action: 'set', companyId, employeeId: employeeId || generateId(),
+                data: { ...empData, createdAt: now, updatedAt: now }
+            }));
+
+            commit();
+            return assemble(companyId);
+        },
+
+        updateCompany: async (companyId, updates, { expectedVersion } = {}) => {
+            await load();
+            const { id, employees, version, ...fields } = updates;
+            return versionedUpdate(companyId, null, fields, expectedVersion);
+        },
+
+        deleteCompany: async (companyId) => {
+            await service.batchWrite([trashOperation({ companyId }, LOCAL_ACTOR)]);
+            return true;
+        },
+
+        addEmployee: async (companyId, employeeData) => {
+            await load();
+            if (!db.companies[companyId]) throw new Error(`Company not found: ${companyId}`);
+
+            const newEmployee = { id: generateId(), ...employeeData };
+            const { id, ...fields } = newEmployee;
+            const now = new Date().toISOString();
+            applyOperation(db, { action: 'set', companyId, employeeId: id, data: { ...fields, createdAt: now, updatedAt: now } });
+
+            commit();
+            return { ...newEmployee, version: 1 };
+        },
+
+        updateEmployee: async (companyId, employeeId, updates, { expectedVersion } = {}) => {
+            await load();
+            const { id, version, ...fields } = updates;
+            return versionedUpdate(companyId, employeeId, fields, expectedVersion);
+        },
+
+        deleteEmployee: async (companyId, employeeId) => {
+            await service.batchWrite([trashOperation({ companyId, employeeId }, LOCAL_ACTOR)]);
+            return true;
+        },
+
+        /**
+         * Applies every operation as one atomic chunk (there is no batch size
+         * limit locally), reporting in the same shape as the Firebase backend.
+         */
+        batchWrite: async (operations, { onProgress, skipChunks = [] } = {}) => {
+            await load();
+            const report = { total: operations.length, totalChunks: 1, committedChunks: [...skipChunks] };
+            if (skipChunks.includes(0) || !operations.length) return report;
+
+            const draft = structuredClone(db);
+            try {
+                operations.forEach(op => applyOperation(draft, op));
+            } catch (error) {
+                const failure = new Error(`Batch 1 of 1 failed: ${error.message}`);
+                failure.code = 'batch-failed';
+                failure.report = { ...report, failedChunk: 0, cause: error };
+                throw failure;
+            }
+
+            db = draft;
+            commit();
+            report.committedChunks.push(0);
+            onProgress?.({ chunk: 0, totalChunks: 1, done: operations.length, total: operations.length });
+            return report;
+        },
+
+        bulkImport: async (companies, options = {}) => {
+            const now = new Date().toISOString();
+            const operations = companies.flatMap(({ id, employees = [], ...fields }) => {
+                const companyId = id || generateId();
+                return [
+                    { action: 'set', companyId, data: { ...fields, createdAt: now, updatedAt: now } },
+                    ...employees.map(({ id: employeeId, ...empData }) => ({
+                        action: 'set', companyId, employeeId: employeeId || generateId(),
+                        data: { ...empData, createdAt: now, updatedAt: now }
+                    }))
+                ];
+            });
+            const report = await service.batchWrite(operations, options);
+            return { ...report, imported: companies.length };
+        },
+
+        clearAll: async (options = {}) => {
+            const companies = await service.getAll();
+            const operations = companies
+                .filter(company => !company.deletedAt)
+                .map(company => trashOperation({ companyId: company.id }, LOCAL_ACTOR));
+            return service.batchWrite(operations, options);
+        },
+
+        restoreDeleted: async (companyId, employeeId = null) => {
+            await service.batchWrite([untrashOperation({ companyId, employeeId })]);
+            return true;
+        },
+
+        purge: async (targets, options = {}) => {
+            await load();
+            const operations = targets.flatMap(({ companyId, employeeId }) => employeeId
+                ? [{ action: 'delete', companyId, employeeId, operation: 'purge' }]
+                : [
+                    ...Object.keys(db.employees[companyId] || {}).map(empId =>
+                        ({ action: 'delete', companyId, employeeId: empId, operation: 'purge' })
+                    ),
+                    { action: 'delete', companyId, operation: 'purge' }
+                ]
+            );
+            return service.batchWrite(operations, options);
+        },
+
+        purgeExpired: async (retentionDays) => {
+            const targets = expiredTargets(await service.getAll(), retentionDays);
+            if (targets.length) await service.purge(targets);
+            return targets.length;
+        },
+
+        getHistory: async (companyId, employeeId = null) => {
+            await load();
+            const key = recordKey(companyId, employeeId);
+            const matches = employeeId
+                ? (entry) => entry.recordKey === key
+                : (entry) => entry.companyId === companyId;
+            // History is appended in order, so newest first is simply reversed
+            return structuredClone(db.history.filter(matches)).reverse();
+        },
+
+        restoreVersion: async (historyId) => {
+            await load();
+            const entry = db.history.find(e => e.id === historyId);
+            if (!entry) throw new Error(`History entry not found: ${historyId}`);
+
+            const { companyId, employeeId, before, after } = entry;
+            if (employeeId && !db.companies[companyId]) {
+                throw new Error('The company of this contact was deleted. Restore the company first.');
+            }
+
+            const { version, employees, deletedAt, deletedBy, ...fields } = after || before;
+            await service.batchWrite([{
+                action: 'set',
+                companyId,
+                employeeId,
+                data: { ...fields, updatedAt: new Date().toISOString() },
+                operation: 'restore',
+                restoredFrom: historyId
+            }]);
+            return { companyId, employeeId };
+        },
+
+        createSnapshot: async ({ name, auto = false } = {}) => {
+            await load();
+            const companies = snapshotAll();
+            const id = generateId();
+            const meta = snapshotMeta({ name, auto, companies, actor: LOCAL_ACTOR });
+            db.snapshots[id] = { meta, companies };
+            commit();
+            return { ...meta, id };
+        },
+
+        listSnapshots: async () => {
+            await load();
+            return Object.entries(db.snapshots)
+                .map(([id, { meta }]) => ({ ...meta, id }))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        },
+
+        getSnapshot: async (snapshotId) => {
+            await load();
+            const snapshot = db.snapshots[snapshotId];
+            if (!snapshot) throw new Error(`Snapshot not found: ${snapshotId}`);
+            return structuredClone({ meta: { ...snapshot.meta, id: snapshotId }, companies: snapshot.companies });
+        },
+
+        deleteSnapshot: async (snapshotId) => {
+            await load();
+            delete db.snapshots[snapshotId];
+            commit();
+            return true;
+        },
+
+        getCustomFields: async () => {
+            await load();
+            return structuredClone(db.settings.customFields || []);
+        },
+
+        saveCustomFields: async (fields) => {
+            await load();
+            db.settings.customFields = structuredClone(fields);
+            commit();
+            return fields;
+        },
+
+        getSavedSearches: async () => {
+            await load();
+            return structuredClone(Object.entries(db.savedSearches).map(([id, search]) => ({ ...search, id })))
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        },
+
+        saveSavedSearch: async ({ id = generateId(), ...search }) => {
+            await load();
+            const now = new Date().toISOString();
+            db.savedSearches[id] = {
+                ...(db.savedSearches[id] || { owner: LOCAL_ACTOR, createdAt: now }),
+                ...structuredClone(search),
+                updatedAt: now
+            };
+            commit();
+            return structuredClone({ ...db.savedSearches[id], id });
+        },
+
+        deleteSavedSearch: async (id) => {
+            await load();
+            delete db.savedSearches[id];
+            commit();
+            return true;
+        },
+
+        subscribe: (onChange, onError) => {
+            listeners.add(onChange);
+            load()
+                .then(() => listeners.has(onChange) && onChange(snapshotAll()))
+                .catch(error => onError?.(error));
+            return () => listeners.delete(onChange);
+        },
+
+        // Contacts are already stored per record
+        migrateEmployeesToSubcollection: async () => 0
+    };
+
+    return service;
+};
+
+/** Shared instance persisted through the dev server */
+export const LocalService = createLocalService({ persistUrl: BACKEND.LOCAL_DATA_URL });
+
+export default LocalService;
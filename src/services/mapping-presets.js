@@ -0,0 +1,74 @@
+/**
+ * Mapping Presets Service
+ * Named column mappings saved from the import screen, kept in localStorage so
+ * recurring export formats can be imported without remapping every time.
+ */
+
+import { STORAGE_KEYS } from '../config/index.js';
+import { safeJsonParse } from '../utils/helpers.js';
+
+/**
+ * @typedef {Object} MappingPreset
+ * @property {string} name - Preset name (unique)
+ * @property {Object} mapping - Source header to field value ('' for ignored columns)
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * Column mapping presets
+ */
+export const MappingPresets = {
+    /**
+     * All presets, most recently saved first
+     * @returns {Array<MappingPreset>}
+     */
+    list() {
+        const presets = safeJsonParse(localStorage.getItem(STORAGE_KEYS.MAPPING_PRESETS), []) || [];
+        return presets.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    /**
+     * Find a preset by name
+     * @param {string} name
+     * @returns {MappingPreset|null}
+     */
+    get(name) {
+        return MappingPresets.list().find(p => p.name === name) || null;
+    },
+
+    /**
+     * Save a mapping under a name, replacing any preset with the same name
+     * @param {string} name - Preset name
+     * @param {Object} mapping - Source header to field value
+     * @returns {MappingPreset} The stored preset
+     */
+    save(name, mapping) {
+        const preset = { name: name.trim(), mapping: { ...mapping }, updatedAt: new Date().toISOString() };
+        const presets = MappingPresets.list().filter(p => p.name !== preset.name);
+        localStorage.setItem(STORAGE_KEYS.MAPPING_PRESETS, JSON.stringify([preset, ...presets]));
+        return preset;
+    },
+
+    /**
+     * Delete a preset
+     * @param {string} name
+     */
+    remove(name) {
+        const presets = MappingPresets.list().filter(p => p.name !== name);
+        localStorage.setItem(STORAGE_KEYS.MAPPING_PRESETS, JSON.stringify(presets));
+    },
+
+    /**
+     * The preset made for these headers: every column it maps must be present.
+     * Prefers the preset covering the most columns, then the newest.
+     * @param {Array<string>} headers - Source headers of the file being imported
+     * @returns {MappingPreset|null}
+     */
+    findFor(headers) {
+        const available = new Set(headers);
+        const matches = MappingPresets.list()
+            .filter(p => Object.keys(p.mapping).every(header => available.has(header)));
+        const covered = (preset) => Object.values(preset.mapping).filter(Boolean).length;
+        return matches.sort((a, b) => covered(b) - covered(a))[0] || null;
+    }
+};
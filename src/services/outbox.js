@@ -0,0 +1,163 @@
+/**
+ * Outbox Service
+ * Persistent queue of writes made while the backend was unreachable.
+ * Entries survive reloads in localStorage and are replayed in order by handlers/sync.js.
+ * A parsed copy is kept in memory, since sync badges read it once per card.
+ */
+
+import { STORAGE_KEYS, ERRORS, OUTBOX } from '../config/index.js';
+import { generateId, safeJsonParse } from '../utils/helpers.js';
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} id - Entry ID
+ * @property {'updateCompany'|'updateEmployee'|'bulkImport'|'batchWrite'} kind - Write to replay
+ * @property {Object} [target] - `{ type, id, pid }` for updates
+ * @property {Object|Array} payload - Update fields, companies for bulkImport, or operations for batchWrite
+ * @property {number} [expectedVersion] - Version the edit was based on
+ * @property {Array<number>} [committedChunks] - bulkImport/batchWrite chunks already written
+ * @property {Array<string>} recordIds - Company/employee IDs this entry touches
+ * @property {'pending'|'synced'|'failed'} status - Sync status
+ * @property {string|null} [error] - Last failure message
+ * @property {string|null} [code] - Last failure code (e.g. 'conflict')
+ * @property {Object|null} [serverData] - Server copy of the record on conflict
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/** Status precedence when several entries touch one record */
+const STATUS_RANK = { failed: 3, pending: 2, synced: 1 };
+
+/** Entry kinds whose payload is a whole import */
+const BATCH_KINDS = ['bulkImport', 'batchWrite'];
+
+/** @type {Array<OutboxEntry>|null} Parsed entries; null until read or after another tab writes */
+let cached = null;
+
+/** @returns {Array<OutboxEntry>} The cached entries; callers must not modify them */
+const read = () => {
+    cached ??= safeJsonParse(localStorage.getItem(STORAGE_KEYS.OUTBOX), []) || [];
+    return cached;
+};
+
+globalThis.addEventListener?.('storage', (event) => {
+    if (event.key === STORAGE_KEYS.OUTBOX) cached = null;
+});
+
+/**
+ * Outbox for offline writes
+ */
+export const Outbox = {
+    /**
+     * All entries, oldest first
+     * @returns {Array<OutboxEntry>} A copy, free to modify before passing to save
+     */
+    list() {
+        return structuredClone(read());
+    },
+
+    /**
+     * Persist the entry list
+     * @param {Array<OutboxEntry>} entries
+     * @throws {Error} If localStorage is full
+     */
+    save(entries) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.OUTBOX, JSON.stringify(entries));
+            cached = structuredClone(entries);
+        } catch (error) {
+            console.error('Failed to save outbox:', error);
+            throw new Error(ERRORS.OUTBOX_FULL);
+        }
+    },
+
+    /**
+     * Add a pending entry. An update to a record that already has a pending
+     * update is folded into that entry, so replay needs only one versioned write.
+     * @param {Object} entry - Entry fields (kind, target, payload, ...)
+     * @returns {OutboxEntry} The stored entry
+     * @throws {Error} If an import's payload is over OUTBOX.MAX_BATCH_BYTES, or localStorage is full
+     */
+    enqueue(entry) {
+        if (BATCH_KINDS.includes(entry.kind) && new TextEncoder().encode(JSON.stringify(entry.payload)).length > OUTBOX.MAX_BATCH_BYTES) {
+            throw new Error(ERRORS.OUTBOX_TOO_LARGE);
+        }
+
+        const entries = Outbox.list();
+
+        if (entry.target) {
+            const existing = entries.find(e =>
+                e.kind === entry.kind && e.status === 'pending' && e.target?.id === entry.target?.id
+            );
+            if (existing) {
+                Object.assign(existing.payload, entry.payload);
+                Outbox.save(entries);
+                return existing;
+            }
+        }
+
+        const stored = {
+            id: generateId(),
+            status: 'pending',
+            error: null,
+            code: null,
+            serverData: null,
+            createdAt: new Date().toISOString(),
+            ...entry
+        };
+        entries.push(stored);
+        Outbox.save(entries);
+        return stored;
+    },
+
+    /**
+     * Merge changes into an entry
+     * @param {string} id - Entry ID
+     * @param {Object} changes - Fields to update
+     */
+    update(id, changes) {
+        const entries = Outbox.list();
+        const entry = entries.find(e => e.id === id);
+        if (!entry) return;
+        Object.assign(entry, changes);
+        Outbox.save(entries);
+    },
+
+    /**
+     * Remove an entry
+     * @param {string} id - Entry ID
+     */
+    remove(id) {
+        Outbox.save(Outbox.list().filter(e => e.id !== id));
+    },
+
+    /**
+     * Drop entries that have finished syncing
+     */
+    removeSynced() {
+        Outbox.save(Outbox.list().filter(e => e.status !== 'synced'));
+    },
+
+    /**
+     * Most significant sync status for a record (failed > pending > synced)
+     * @param {string} recordId - Company or employee ID
+     * @returns {string|null} Status, or null if the record has no queued writes
+     */
+    statusFor(recordId) {
+        return read()
+            .filter(e => e.recordIds?.includes(recordId))
+            .reduce((best, e) => (STATUS_RANK[e.status] > (STATUS_RANK[best] || 0) ? e.status : best), null);
+    },
+
+    /**
+     * Count entries per status
+     * @returns {{ pending: number, synced: number, failed: number }}
+     */
+    summary() {
+        return read().reduce((counts, e) => {
+            counts[e.status] = (counts[e.status] || 0) + 1;
+            return counts;
+        }, { pending: 0, synced: 0, failed: 0 });
+    }
+};
+
+export default Outbox;
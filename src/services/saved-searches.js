@@ -0,0 +1,159 @@
+/**
+ * Saved Searches Service
+ * Named directory searches (query, facet selections and sort), stored with
+ * the backend so teammates see each other's. The last loaded list is kept in
+ * localStorage so they work offline.
+ *
+ * What each user pins to the nav, and the companies a search listed when they
+ * last opened it (to count new matches), stay in this browser's localStorage.
+ */
+
+import { STORAGE_KEYS } from '../config/index.js';
+import { safeJsonParse } from '../utils/helpers.js';
+import { SORT_ORDERS } from '../utils/search.js';
+import { DataService } from './backend.js';
+
+/**
+ * @typedef {Object} SavedSearch
+ * @property {string} id
+ * @property {string} name
+ * @property {string} query - Search box text
+ * @property {Object<string, Array<string>>} facets - Selected facet values
+ * @property {string} sort - Key of SORT_ORDERS
+ * @property {string} owner - Who saved it
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} SavedSearchView
+ * @property {boolean} pinned - Shown in the nav
+ * @property {string|null} openedAt - ISO timestamp of the last open
+ * @property {Array<string>} seen - Ids of the companies listed at the last open
+ */
+
+/** @returns {Object<string, SavedSearchView>} This user's views, by saved search id */
+const readViews = () => safeJsonParse(localStorage.getItem(STORAGE_KEYS.SAVED_SEARCH_VIEWS), {}) || {};
+
+/** @param {Object<string, SavedSearchView>} views */
+const saveViews = (views) => localStorage.setItem(STORAGE_KEYS.SAVED_SEARCH_VIEWS, JSON.stringify(views));
+
+/**
+ * Change this user's view of a saved search
+ * @param {string} id
+ * @param {Object} changes - SavedSearchView fields
+ */
+const writeView = (id, changes) => {
+    const views = readViews();
+    views[id] = { pinned: false, openedAt: null, seen: [], ...views[id], ...changes };
+    saveViews(views);
+};
+
+/** @param {Array<SavedSearch>} searches - Remember the list for offline starts */
+const cache = (searches) => localStorage.setItem(STORAGE_KEYS.SAVED_SEARCHES, JSON.stringify(searches));
+
+/**
+ * Saved directory searches
+ */
+export const SavedSearches = {
+    /**
+     * Saved searches as last loaded, most recently updated first
+     * @returns {Array<SavedSearch>}
+     */
+    list() {
+        return safeJsonParse(localStorage.getItem(STORAGE_KEYS.SAVED_SEARCHES), []) || [];
+    },
+
+    /**
+     * Fetch everyone's saved searches from the backend.
+     * Keeps the cached list if the backend cannot be reached.
+     * @returns {Promise<Array<SavedSearch>>}
+     */
+    async load() {
+        try {
+            const searches = await DataService.getSavedSearches();
+            cache(searches);
+            // Forget pins and matches of searches deleted since
+            const views = readViews();
+            const ids = new Set(searches.map(search => search.id));
+            Object.keys(views).filter(id => !ids.has(id)).forEach(id => delete views[id]);
+            saveViews(views);
+        } catch (error) {
+            console.warn('⚠️ Could not load saved searches, using cached list:', error.message);
+        }
+        return SavedSearches.list();
+    },
+
+    /**
+     * Save a search, or update one by id
+     * @param {Object} search - `{ id?, name, query, facets, sort }`
+     * @returns {Promise<SavedSearch>}
+     * @throws {Error} If the name is empty or the backend rejects it
+     */
+    async save({ id, name, query = '', facets = {}, sort = 'relevance' }) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('Saved search needs a name');
+        const saved = await DataService.saveSavedSearch({
+            ...(id && { id }),
+            name: trimmed,
+            query: String(query).trim(),
+            facets: Object.fromEntries(Object.entries(facets).filter(([, values]) => values.length)),
+            sort: SORT_ORDERS[sort] ? sort : 'relevance'
+        });
+        cache([saved, ...SavedSearches.list().filter(search => search.id !== saved.id)]);
+        return saved;
+    },
+
+    /**
+     * Delete a saved search for everyone
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await DataService.deleteSavedSearch(id);
+        cache(SavedSearches.list().filter(search => search.id !== id));
+        const views = readViews();
+        delete views[id];
+        saveViews(views);
+    },
+
+    /**
+     * This user's view of a saved search
+     * @param {string} id
+     * @returns {SavedSearchView}
+     */
+    view(id) {
+        return { pinned: false, openedAt: null, seen: [], ...readViews()[id] };
+    },
+
+    /**
+     * Pin a saved search to the nav, or unpin it, for this user
+     * @param {string} id
+     * @param {boolean} pinned
+     */
+    setPinned(id, pinned) {
+        writeView(id, { pinned });
+    },
+
+    /**
+     * Record that this user opened a saved search and saw these companies
+     * @param {string} id
+     * @param {Array<string>} companyIds - Companies it listed
+     */
+    markOpened(id, companyIds) {
+        writeView(id, { openedAt: new Date().toISOString(), seen: companyIds });
+    },
+
+    /**
+     * Companies a saved search lists now that it did not at this user's last open
+     * @param {string} id
+     * @param {Array<string>} companyIds - Companies it lists now
+     * @returns {number|null} Null if this user never opened it
+     */
+    newMatches(id, companyIds) {
+        const view = SavedSearches.view(id);
+        if (!view.openedAt) return null;
+        const seen = new Set(view.seen);
+        return companyIds.filter(companyId => !seen.has(companyId)).length;
+    }
+};
@@ -0,0 +1,82 @@
+/**
+ * Search Worker
+ * Holds the search index (utils/search-index.js) off the main thread. Driven
+ * by services/search.js; messages are handled in order, so a search always
+ * sees the data synced before it.
+ *
+ * Messages in:
+ *   { type: 'sync', companies, customFields }  - Replace the indexed data
+ *   { type: 'update', company }                - Reindex one company
+ *   { type: 'remove', id }                     - Drop a deleted company
+ *   { type: 'search', id, text, facets, sort } - Run a search, narrowed to the selected facet values
+ *   { type: 'match', id, text, facets }        - List the ids of the companies a search would show
+ *
+ * A search first answers `{ type: 'facets', id, facets }` with the facet
+ * counts (see utils/facets.js). Results follow as `{ type: 'results', id,
+ * hits, first, done }`, in chunks of UI.SEARCH_CHUNK_SIZE `{ id, matches }`
+ * hits in sort order. The rest of a search is dropped once a newer one
+ * arrives. A match is answered with `{ type: 'ids', id, ids }`.
+ */
+
+import { UI } from '../config/index.js';
+import { setCustomFields } from '../utils/schema.js';
+import { parseQuery } from '../utils/search.js';
+import { hasFacets } from '../utils/facets.js';
+import { createSearchIndex } from '../utils/search-index.js';
+
+const index = createSearchIndex();
+
+/** Id of the newest search; older ones stop streaming */
+let latest = null;
+
+/**
+ * Send a search's hits a chunk at a time, yielding between chunks so a newer
+ * search can take over
+ * @param {number} id
+ * @param {Array} hits - CompanyHits, in sort order
+ * @param {boolean} counted - Whether the query or facets can leave contacts out, so match counts mean something
+ */
+const stream = (id, hits, counted) => {
+    let start = 0;
+    const next = () => {
+        if (id !== latest) return;
+        const chunk = hits.slice(start, start + UI.SEARCH_CHUNK_SIZE);
+        start += UI.SEARCH_CHUNK_SIZE;
+        self.postMessage({
+            type: 'results',
+            id,
+            hits: chunk.map(hit => ({ id: hit.company.id, matches: counted ? hit.contacts.length : null })),
+            first: start === UI.SEARCH_CHUNK_SIZE,
+            done: start >= hits.length
+        });
+        if (start < hits.length) setTimeout(next);
+    };
+    next();
+};
+
+self.addEventListener('message', ({ data }) => {
+    switch (data.type) {
+        case 'sync':
+            setCustomFields(data.customFields);
+            index.sync(data.companies);
+            break;
+        case 'update':
+            index.update(data.company);
+            break;
+        case 'remove':
+            index.remove(data.id);
+            break;
+        case 'search': {
+            latest = data.id;
+            const { hits, facets } = index.search(data.text, data.facets, data.sort);
+            self.postMessage({ type: 'facets', id: data.id, facets });
+            stream(data.id, hits, parseQuery(data.text).clauses.length > 0 || hasFacets(data.facets));
+            break;
+        }
+        case 'match':
+            self.postMessage({ type: 'ids', id: data.id, ids: index.matchingIds(data.text, data.facets) });
+            break;
+        default:
+            console.warn(`⚠️ Search worker ignored message "${data.type}"`);
+    }
+});
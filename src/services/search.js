@@ -0,0 +1,174 @@
+/**
+ * Search Service
+ * Runs directory searches against the search index (utils/search-index.js)
+ * in a Web Worker (search-worker.js), so ranking a large directory never
+ * blocks typing. Where a module worker cannot start, the same index runs on
+ * the main thread instead.
+ */
+
+import { getCustomFields } from '../utils/schema.js';
+import { parseQuery } from '../utils/search.js';
+import { hasFacets } from '../utils/facets.js';
+import { createSearchIndex } from '../utils/search-index.js';
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} id - Company id
+ * @property {number|null} matches - Matching contacts; null for an empty query
+ */
+
+/** @type {Worker|null} */
+let worker = null;
+
+/** Main-thread index, when the worker is unavailable */
+let local = null;
+
+/** @type {Map<string, Object>} Indexed companies by id, to rebuild the index if the worker fails */
+let companies = new Map();
+
+/** The newest search: `{ id, text, facets, sort, onResults, onFacets }`; results of older ones are ignored */
+let active = null;
+
+/** @type {Map<number, { text: string, facets: Object, resolve: Function }>} matchingIds calls awaiting the worker */
+const pending = new Map();
+
+let lastId = 0;
+
+/**
+ * Hand a worker message to the newest search, or to a matchingIds call
+ * @param {Object} message - `{ type: 'facets', id, facets }`, `{ type: 'results', id, hits, first, done }`
+ *   or `{ type: 'ids', id, ids }`
+ */
+const deliver = ({ type, id, facets, hits, first, done, ids }) => {
+    if (type === 'ids') {
+        pending.get(id)?.resolve(ids);
+        pending.delete(id);
+        return;
+    }
+    if (id !== active?.id) return;
+    if (type === 'facets') active.onFacets?.(facets);
+    else active.onResults(hits, { first, done });
+};
+
+/**
+ * Run a search on the main-thread index, all results at once
+ * @param {Object} search - `active`
+ */
+const searchLocally = ({ id, text, facets: selections, sort }) => {
+    const counted = parseQuery(text).clauses.length > 0 || hasFacets(selections);
+    const { hits, facets } = local.search(text, selections, sort);
+    deliver({ type: 'facets', id, facets });
+    deliver({ type: 'results', id, hits: hits.map(hit => ({ id: hit.company.id, matches: counted ? hit.contacts.length : null })), first: true, done: true });
+};
+
+/**
+ * Give up on the worker and index on the main thread
+ * @param {string} reason
+ */
+const fallBack = (reason) => {
+    console.warn(`⚠️ Search worker unavailable (${reason}); searching on the main thread`);
+    worker?.terminate();
+    worker = null;
+    local = createSearchIndex();
+    local.sync([...companies.values()]);
+    if (active) searchLocally(active);
+    pending.forEach(({ text, facets, resolve }) => resolve(local.matchingIds(text, facets)));
+    pending.clear();
+};
+
+/**
+ * Start the worker, or the main-thread index if it cannot start
+ */
+const start = () => {
+    if (worker || local) return;
+    if (typeof Worker !== 'function') {
+        fallBack('not supported');
+        return;
+    }
+    try {
+        worker = new Worker(new URL('./search-worker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', ({ data }) => deliver(data));
+        worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            fallBack(event.message || 'failed to load');
+        });
+    } catch (error) {
+        fallBack(error.message);
+    }
+};
+
+/**
+ * Directory search
+ */
+export const SearchIndex = {
+    /**
+     * Index these companies, replacing what was indexed. The whole directory
+     * is copied to the worker, so this is for the first load and custom field
+     * changes; use update and remove for changes to a few companies.
+     * @param {Array} data - All companies; trashed ones are left out
+     */
+    sync(data) {
+        start();
+        companies = new Map(data.map(company => [company.id, company]));
+        if (worker) worker.postMessage({ type: 'sync', companies: data, customFields: getCustomFields() });
+        else local.sync(data);
+    },
+
+    /**
+     * Reindex one company after it or one of its contacts was edited
+     * @param {Object} company
+     */
+    update(company) {
+        if (!company) return;
+        start();
+        companies.set(company.id, company);
+        if (worker) worker.postMessage({ type: 'update', company });
+        else local.update(company);
+    },
+
+    /**
+     * Drop a company that was deleted
+     * @param {string} id
+     */
+    remove(id) {
+        start();
+        companies.delete(id);
+        if (worker) worker.postMessage({ type: 'remove', id });
+        else local.remove(id);
+    },
+
+    /**
+     * Search the directory. Results arrive in sort order, in chunks; only the
+     * newest search gets them.
+     * @param {Object} request
+     * @param {string} request.text - Search query (see utils/search.js)
+     * @param {Object} [request.facets={}] - Selected facet values (see utils/facets.js)
+     * @param {string} [request.sort='relevance'] - Key of SORT_ORDERS
+     * @param {Function} onResults - `(hits: Array<SearchResult>, { first, done })`,
+     *   called once per chunk; `first` marks the start of this search's results
+     * @param {Function} [onFacets] - Called with the facet counts, before the results
+     */
+    search({ text, facets = {}, sort = 'relevance' }, onResults, onFacets) {
+        start();
+        active = { id: ++lastId, text, facets, sort, onResults, onFacets };
+        if (worker) worker.postMessage({ type: 'search', id: active.id, text, facets, sort });
+        else searchLocally(active);
+    },
+
+    /**
+     * Ids of the companies a search would list, without rendering it
+     * (e.g. to count new matches of a saved search)
+     * @param {string} text - Search query
+     * @param {Object} [facets={}] - Selected facet values
+     * @returns {Promise<Array<string>>}
+     */
+    matchingIds(text, facets = {}) {
+        start();
+        if (!worker) return Promise.resolve(local.matchingIds(text, facets));
+        const id = ++lastId;
+        return new Promise(resolve => {
+            pending.set(id, { text, facets, resolve });
+            worker.postMessage({ type: 'match', id, text, facets });
+        });
+    }
+};
@@ -0,0 +1,95 @@
+/**
+ * @module Snapshot
+ * Whole-directory snapshots shared by the data backends (see backend.js):
+ * metadata, the downloadable file format, and the write operations that
+ * restore selected companies from a snapshot.
+ */
+
+import { generateId } from '../utils/helpers.js';
+import { trashOperation } from './trash.js';
+
+/** Identifies snapshot files written by downloadable exports */
+export const SNAPSHOT_FORMAT = 'referNconnect-snapshot';
+
+/**
+ * Metadata stored alongside a snapshot
+ * @param {Object} options
+ * @param {string} [options.name] - Label; defaults to the creation time
+ * @param {boolean} [options.auto=false] - Created by the schedule rather than by hand
+ * @param {Array} options.companies - Snapshot contents
+ * @param {string} options.actor - Who created it
+ * @returns {Object} `{ name, auto, createdAt, createdBy, companyCount, contactCount }`
+ */
+export const snapshotMeta = ({ name, auto = false, companies, actor }) => {
+    const createdAt = new Date().toISOString();
+    return {
+        name: name?.trim() || `Snapshot ${new Date(createdAt).toLocaleString()}`,
+        auto,
+        createdAt,
+        createdBy: actor,
+        companyCount: companies.length,
+        contactCount: companies.reduce((sum, c) => sum + (c.employees?.length || 0), 0)
+    };
+};
+
+/**
+ * Serialize a snapshot for download
+ * @param {Object} meta - Snapshot metadata
+ * @param {Array} companies - Snapshot contents
+ * @returns {string} JSON text
+ */
+export const toSnapshotFile = (meta, companies) =>
+    JSON.stringify({ format: SNAPSHOT_FORMAT, ...meta, companies }, null, 2);
+
+/**
+ * Read a downloaded snapshot file. A bare array of companies is accepted too;
+ * records without an ID get a new one (and so restore as new records).
+ * @param {string} text - File contents
+ * @returns {{ meta: Object, companies: Array }}
+ * @throws {Error} When the file is not a snapshot
+ */
+export const parseSnapshotFile = (text) => {
+    const parsed = JSON.parse(text);
+    const companies = Array.isArray(parsed) ? parsed : parsed?.companies;
+    if (!Array.isArray(companies)) throw new Error('Not a snapshot file: expected a list of companies');
+
+    const { companies: _, format, ...meta } = Array.isArray(parsed) ? {} : parsed;
+    return {
+        meta,
+        companies: companies.map(company => ({
+            ...company,
+            id: company.id || generateId(),
+            employees: (company.employees || []).map(emp => ({ ...emp, id: emp.id || generateId() }))
+        }))
+    };
+};
+
+/**
+ * Write operations that bring the selected companies in line with a snapshot.
+ * Records are overwritten with their snapshot fields; records the snapshot does
+ * not have are moved to the trash.
+ * @param {Object} diff - Result of diffDirectories(current, snapshot)
+ * @param {Array<string>} companyIds - Companies to restore
+ * @param {string} actor - Who is restoring (recorded on trashed records)
+ * @returns {Array<Object>} Operations for batchWrite
+ */
+export const restoreOperations = (diff, companyIds, actor) => {
+    const selected = new Set(companyIds);
+    const now = new Date().toISOString();
+    const setOperation = (companyId, employeeId, { id, version, employees, ...data }) => ({
+        action: 'set', companyId, employeeId, data: { ...data, updatedAt: now }, operation: 'restore'
+    });
+
+    return diff.companies.filter(company => selected.has(company.id)).flatMap(company => {
+        if (company.status === 'removed') return [trashOperation({ companyId: company.id }, actor)];
+
+        const operations = company.status === 'added' || company.changedFields.length
+            ? [setOperation(company.id, null, company.after)]
+            : [];
+        company.contacts.forEach(contact => operations.push(contact.status === 'removed'
+            ? trashOperation({ companyId: company.id, employeeId: contact.id }, actor)
+            : setOperation(company.id, contact.id, contact.after)
+        ));
+        return operations;
+    });
+};
@@ -1,65 +1,259 @@
 /**
  * Local Storage Service
- * Handles localStorage caching for offline access
+ * IndexedDB cache for offline access. Companies and employees are stored as
+ * separate records, so saving the companies a write touched only rewrites
+ * theirs, and every field (including ones the app does not know about) is kept.
  */
 
-import { STORAGE_KEYS, FIELD_MAPPINGS } from '../config/index.js';
-import { generateId } from '../utils/helpers.js';
+import { STORAGE_KEYS, CACHE_DB } from '../config/index.js';
+import { normalizeCompany } from '../utils/schema.js';
+
+const COMPANIES = 'companies';
+const EMPLOYEES = 'employees';
+
+/** Open database, created on first use */
+let opening = null;
+
+/** @type {Map<string, Set<string>>} ID of each stored company, with the IDs of its stored employees */
+const stored = new Map();
+
+/** Writes run one after another so a slow save never overwrites a newer one */
+let queue = Promise.resolve();
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} Request result
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+const completed = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+});
+
+/**
+ * Fill in IDs and the standard fields (including legacy CSV headers)
+ * without dropping anything else on the record
+ * @param {Object} company - Company as held in state
+ * @returns {Object} Normalized company with employees
+ */
+const normalize = (company) => normalizeCompany(company, { unknown: 'keep', keepPlaceholders: true }).record;
+
+/**
+ * Split companies into the records kept in each object store. IDs generated
+ * for records without one are written back, so later saves reuse them.
+ * @param {Array} data - Companies with nested employees
+ * @returns {{ companies: Array, employees: Array }}
+ */
+const toRecords = (data) => {
+    const records = { [COMPANIES]: [], [EMPLOYEES]: [] };
+    data.forEach(source => {
+        const { employees, ...company } = normalize(source);
+        if (!source.id) source.id = company.id;
+        records[COMPANIES].push(company);
+        employees.forEach((emp, i) => {
+            const sourceEmp = source.employees[i];
+            if (!sourceEmp.id) sourceEmp.id = emp.id;
+            records[EMPLOYEES].push({ ...emp, companyId: company.id });
+        });
+    });
+    return records;
+};
+
+/**
+ * Remember which records are stored
+ * @param {Object} employee - Employee record (with companyId)
+ */
+const track = ({ id, companyId }) => {
+    if (!stored.has(companyId)) stored.set(companyId, new Set());
+    stored.get(companyId).add(id);
+};
+
+/**
+ * Reassemble stored records into companies with `employees` arrays
+ * @param {Array} companies - Company records
+ * @param {Array} employees - Employee records (with companyId)
+ * @returns {Array}
+ */
+const assemble = (companies, employees) => {
+    const byCompany = new Map(companies.map(c => [c.id, { ...c, employees: [] }]));
+    employees.forEach(({ companyId, ...emp }) => byCompany.get(companyId)?.employees.push(emp));
+    return [...byCompany.values()];
+};
+
+/**
+ * Replace the stored records of some companies (or of all) in a single
+ * transaction: their records are put and their stored ones no longer
+ * present are deleted
+ * @param {IDBDatabase} db
+ * @param {{ companies: Array, employees: Array }} records - New contents of those companies
+ * @param {Set<string>|null} [companyIds=null] - Companies being replaced; null replaces the whole cache
+ * @returns {Promise<number>} Number of records written or deleted
+ */
+const writeChanges = async (db, records, companyIds = null) => {
+    const tx = db.transaction([COMPANIES, EMPLOYEES], 'readwrite');
+    const companies = tx.objectStore(COMPANIES);
+    const employees = tx.objectStore(EMPLOYEES);
+    const keptCompanies = new Set(records[COMPANIES].map(record => record.id));
+    const keptEmployees = new Set(records[EMPLOYEES].map(record => record.id));
+    let changes = 0;
+
+    // Deletes go first, so a contact that moved company is put back afterwards
+    stored.forEach((employeeIds, companyId) => {
+        if (companyIds && !companyIds.has(companyId)) return;
+        employeeIds.forEach(id => {
+            if (keptEmployees.has(id)) return;
+            employees.delete(id);
+            changes++;
+        });
+        if (!keptCompanies.has(companyId)) {
+            companies.delete(companyId);
+            changes++;
+        }
+    });
+    records[COMPANIES].forEach(record => companies.put(record));
+    records[EMPLOYEES].forEach(record => employees.put(record));
+    changes += keptCompanies.size + keptEmployees.size;
+
+    await completed(tx);
+    if (companyIds) companyIds.forEach(id => stored.delete(id));
+    else stored.clear();
+    records[COMPANIES].forEach(({ id }) => stored.set(id, new Set()));
+    records[EMPLOYEES].forEach(track);
+    return changes;
+};
+
+/**
+ * Move data cached by older versions from localStorage into IndexedDB
+ * @param {IDBDatabase} db
+ */
+const migrateLocalStorage = async (db) => {
+    const legacy = localStorage.getItem(STORAGE_KEYS.COMPANIES);
+    if (legacy === null) return;
+
+    try {
+        const data = JSON.parse(legacy);
+        if (Array.isArray(data) && data.length) {
+            await writeChanges(db, toRecords(data));
+            console.log(`📦 Moved ${data.length} cached companies from localStorage to IndexedDB`);
+        }
+    } catch (error) {
+        console.error('Failed to migrate localStorage cache:', error);
+        return; // Keep the old copy so the next load can try again
+    }
+    localStorage.removeItem(STORAGE_KEYS.COMPANIES);
+};
+
+/**
+ * Open the cache, creating stores, migrating legacy data and noting which
+ * records are stored on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = () => {
+    if (!opening) {
+        opening = (async () => {
+            const request = indexedDB.open(CACHE_DB.NAME, CACHE_DB.VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(COMPANIES)) {
+                    db.createObjectStore(COMPANIES, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(EMPLOYEES)) {
+                    db.createObjectStore(EMPLOYEES, { keyPath: 'id' })
+                        .createIndex('companyId', 'companyId');
+                }
+            };
+            const db = await promisify(request);
+
+            const tx = db.transaction([COMPANIES, EMPLOYEES]);
+            const [companies, employees] = await Promise.all([
+                promisify(tx.objectStore(COMPANIES).getAll()),
+                promisify(tx.objectStore(EMPLOYEES).getAll())
+            ]);
+            companies.forEach(r => stored.set(r.id, new Set()));
+            employees.forEach(track);
+
+            await migrateLocalStorage(db);
+            return db;
+        })();
+        opening.catch(() => { opening = null; });
+    }
+    return opening;
+};
 
 /**
  * Storage service for company data caching
  */
 export const Storage = {
     /**
-     * Save companies to localStorage
+     * Save companies to the cache. Given the companies a write changed, only
+     * their records are rewritten (and removed if the company is gone);
+     * otherwise the whole cache is replaced.
      * @param {Array} data - Companies array to save
+     * @param {Array<string>} [companyIds] - Companies that changed since the last save
+     * @returns {Promise<boolean>} False if the cache could not be written
      */
-    save(data) {
-        if (!Array.isArray(data)) return;
-
-        // Ensure all records have IDs and proper structure
-        const normalized = data.map(company => ({
-            id: company.id || generateId(),
-            name: company.name || company['Company name'] || 'Unknown',
-            domain: company.domain || company['Company domain'] || '',
-            industry: company.industry || company['Company industry'] || '',
-            size: company.size || company['Company size'] || '',
-            type: company.type || company['Company type'] || '',
-            headquarters: company.headquarters || company['Company headquarters'] || '',
-            linkedin: company.linkedin || company['Company LinkedIn'] || '',
-            employees: (company.employees || []).map(emp => ({
-                id: emp.id || generateId(),
-                firstName: emp.firstName || emp['First name'] || '',
-                lastName: emp.lastName || emp['Last name'] || '',
-                email: emp.email || emp['Email'] || '',
-                phone: emp.phone || emp['Phone'] || '',
-                jobTitle: emp.jobTitle || emp['Job title'] || '',
-                linkedin: emp.linkedin || emp['LinkedIn'] || '',
-                location: emp.location || emp['Location'] || ''
-            }))
-        }));
-
-        localStorage.setItem(STORAGE_KEYS.COMPANIES, JSON.stringify(normalized));
+    save(data, companyIds) {
+        if (!Array.isArray(data)) return Promise.resolve(false);
+
+        const changed = companyIds ? new Set(companyIds) : null;
+        const records = toRecords(changed ? data.filter(company => changed.has(company.id)) : data);
+        queue = queue
+            .then(async () => writeChanges(await openDb(), records, changed))
+            .then(() => true)
+            .catch(error => {
+                console.error('Failed to save to IndexedDB:', error);
+                return false;
+            });
+        return queue;
     },
 
     /**
-     * Load companies from localStorage
-     * @returns {Array} Companies array
+     * Load companies from the cache
+     * @returns {Promise<Array>} Companies array
      */
-    load() {
+    async load() {
         try {
-            const data = localStorage.getItem(STORAGE_KEYS.COMPANIES);
-            return data ? JSON.parse(data) : [];
+            const db = await openDb();
+            await queue;
+            const tx = db.transaction([COMPANIES, EMPLOYEES]);
+            const [companies, employees] = await Promise.all([
+                promisify(tx.objectStore(COMPANIES).getAll()),
+                promisify(tx.objectStore(EMPLOYEES).getAll())
+            ]);
+            return assemble(companies, employees);
         } catch (error) {
-            console.error('Failed to load from localStorage:', error);
+            console.error('Failed to load from IndexedDB:', error);
             return [];
         }
     },
 
     /**
      * Clear all stored data
+     * @returns {Promise<void>}
      */
     clear() {
+        queue = queue
+            .then(async () => {
+                const db = await openDb();
+                const tx = db.transaction([COMPANIES, EMPLOYEES], 'readwrite');
+                tx.objectStore(COMPANIES).clear();
+                tx.objectStore(EMPLOYEES).clear();
+                await completed(tx);
+                stored.clear();
+            })
+            .catch(error => console.error('Failed to clear IndexedDB:', error));
         localStorage.removeItem(STORAGE_KEYS.COMPANIES);
+        return queue;
     }
 };
@@ -0,0 +1,50 @@
+/**
+ * @module Trash
+ * Soft-delete write operations shared by the data backends (see backend.js).
+ * Deleting marks a record with `deletedAt`/`deletedBy` instead of removing it;
+ * restoring clears the marks, and purging removes the record for good.
+ */
+
+import { isDeleted } from '../utils/helpers.js';
+
+/**
+ * Operation that moves a record to the trash
+ * @param {Object} target - `{ companyId, employeeId? }`
+ * @param {string} actor - Who deleted it
+ * @returns {Object} Write operation
+ */
+export const trashOperation = (target, actor) => {
+    const now = new Date().toISOString();
+    return { action: 'update', ...target, data: { deletedAt: now, deletedBy: actor, updatedAt: now }, operation: 'delete' };
+};
+
+/**
+ * Operation that takes a record back out of the trash
+ * @param {Object} target - `{ companyId, employeeId? }`
+ * @returns {Object} Write operation
+ */
+export const untrashOperation = (target) => ({
+    action: 'update',
+    ...target,
+    data: { deletedAt: null, deletedBy: null, updatedAt: new Date().toISOString() },
+    operation: 'restore'
+});
+
+/**
+ * Records that have been in the trash longer than the retention period.
+ * A trashed company is returned on its own (purging it removes its contacts).
+ * @param {Array} companies - All companies, including trashed ones
+ * @param {number} retentionDays - Days to keep trashed records
+ * @returns {Array<Object>} `{ companyId, employeeId? }` targets to purge
+ */
+export const expiredTargets = (companies, retentionDays) => {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const expired = (record) => isDeleted(record) && record.deletedAt < cutoff;
+
+    return companies.flatMap(company => {
+        if (expired(company)) return [{ companyId: company.id }];
+        return (company.employees || [])
+            .filter(expired)
+            .map(emp => ({ companyId: company.id, employeeId: emp.id }));
+    });
+};
@@ -3,7 +3,9 @@
  * Card rendering functions for companies and employees
  */
 
-import { formatUrl, formatSize } from '../utils/helpers.js';
+import { formatUrl, formatSize, escapeHtml } from '../utils/helpers.js';
+import { getCustomFields } from '../utils/schema.js';
+import { highlightMatches } from '../utils/search.js';
 
 /**
  * Generate a deterministic color for company avatars
@@ -15,13 +17,63 @@ const avatarColors = [
 const getAvatarColor = (name) =>
     avatarColors[(name || '').split('').reduce((a, c) => a + c.charCodeAt(0), 0) % avatarColors.length];
 
+/**
+ * Labels for offline-sync badges
+ */
+const SYNC_LABELS = {
+    pending: { text: 'Pending', title: 'Saved offline — will sync when back online' },
+    synced: { text: 'Synced', title: 'Offline change synced' },
+    failed: { text: 'Sync failed', title: 'Click to resolve' }
+};
+
+/**
+ * Create a sync status badge (failed badges are buttons that open resolution)
+ * @param {string|null} status - 'pending', 'synced', 'failed' or null
+ * @returns {string} HTML string
+ */
+const createSyncBadge = (status) => {
+    const label = SYNC_LABELS[status];
+    if (!label) return '';
+    const tag = status === 'failed' ? 'button' : 'span';
+    return `<${tag} class="sync-badge sync-badge--${status}" title="${label.title}">${label.text}</${tag}>`;
+};
+
+/**
+ * Create the list of filled-in custom fields of a record
+ * @param {Object} record - Company or contact
+ * @param {string} type - 'company' or 'employee'
+ * @returns {string} HTML string; empty when no custom field has a value
+ */
+export const createCustomFields = (record, type) => {
+    const filled = getCustomFields(type).filter(field => String(record[field.key] ?? '').trim());
+    if (!filled.length) return '';
+
+    return `
+        <div class="custom-fields">
+            ${filled.map(field => {
+                const value = escapeHtml(record[field.key]);
+                return `
+                    <span class="custom-field">
+                        <span class="custom-field-label">${escapeHtml(field.label)}</span>
+                        ${field.type === 'url' ? `<a href="${escapeHtml(formatUrl(record[field.key]))}" target="_blank" onclick="event.stopPropagation()" class="card-link">${value}</a>` : value}
+                    </span>
+                `;
+            }).join('')}
+        </div>
+    `;
+};
+
 /**
  * Create a company card HTML — LinkedIn-style horizontal layout
  * @param {Object} company - Company data
+ * @param {string|null} [syncStatus=null] - Offline sync status for this company
+ * @param {number|null} [matchCount=null] - Contacts matching the search, shown when fewer than all
+ * @param {Object|null} [query=null] - Parsed search (see utils/search.js) whose matches are highlighted
  * @returns {string} HTML string
  */
-export const createCompanyCard = (company) => {
+export const createCompanyCard = (company, syncStatus = null, matchCount = null, query = null) => {
     const employeeCount = Array.isArray(company.employees) ? company.employees.length : 0;
+    const countLabel = matchCount !== null && matchCount < employeeCount ? `${matchCount} of ${employeeCount} match` : employeeCount;
     const sizeStr = formatSize(company.size);
     const initial = (company.name || '?')[0].toUpperCase();
     const color = getAvatarColor(company.name);
@@ -37,19 +89,22 @@ export const createCompanyCard = (company) => {
             </div>
             <div class="card-body">
                 <div class="card-top">
-                    <h3 class="card-title">${company.name}</h3>
+                    <h3 class="card-title">${highlightMatches(company.name, query, 'company')}</h3>
+                    ${createSyncBadge(syncStatus)}
                     <button class="btn-edit" style="background: transparent; border: none; color: var(--text-dim); cursor: pointer; padding: 0.25rem;" title="Edit Company">✏️</button>
+                    <button class="btn-history" style="background: transparent; border: none; color: var(--text-dim); cursor: pointer; padding: 0.25rem;" title="Company History">🕘</button>
                 </div>
                 <div class="card-meta">
                     <span>${company.headquarters || 'Global'}</span>
                     ${sizeStr ? `<span class="meta-dot">·</span><span>${sizeStr}</span>` : ''}
                     ${company.domain ? `<span class="meta-dot">·</span><a href="${formatUrl(company.domain)}" target="_blank" onclick="event.stopPropagation()" class="card-link">${(company.domain || '').replace(/^https?:\/\//, '')}</a>` : ''}
                 </div>
+                ${createCustomFields(company, 'company')}
                 <div class="card-footer">
-                    <span class="industry-badge">${company.industry || 'General'}</span>
-                    <span class="contact-count">
+                    <span class="industry-badge">${company.industry ? highlightMatches(company.industry, query, 'industry') : 'General'}</span>
+                    <span class="contact-count ${countLabel !== employeeCount ? 'contact-count--match' : ''}">
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/></svg>
-                        ${employeeCount}
+                        ${countLabel}
                     </span>
                     <div class="card-actions">
                         <button class="btn-card btn-jobs" title="Search jobs">
@@ -71,12 +126,14 @@ export const createCompanyCard = (company) => {
  * Create an employee card HTML — LinkedIn-style with avatar
  * @param {Object} emp - Employee data
  * @param {Object} company - Parent company data
+ * @param {string|null} [syncStatus=null] - Offline sync status for this contact
+ * @param {Object|null} [query=null] - Parsed search (see utils/search.js) whose matches are highlighted
  * @returns {string} HTML string
  */
-export const createEmployeeCard = (emp, company) => {
+export const createEmployeeCard = (emp, company, syncStatus = null, query = null) => {
     const firstName = emp.firstName || emp.name?.split(' ')[0] || '';
     const lastName = emp.lastName || emp.name?.split(' ').slice(1).join(' ') || '';
-    const jobTitle = emp.jobTitle || emp.title || 'Team Member';
+    const jobTitle = emp.jobTitle || emp.title;
     const initials = `${(firstName?.[0] || '?')}${(lastName?.[0] || '')}`.toUpperCase();
 
     return `
@@ -85,15 +142,18 @@ export const createEmployeeCard = (emp, company) => {
             <div class="emp-body">
                 <div class="card-top">
                     <div>
-                        <div class="emp-name">${firstName} ${lastName}</div>
-                        <div class="emp-title">${jobTitle}</div>
+                        <div class="emp-name">${highlightMatches(`${firstName} ${lastName}`, query, 'name')}</div>
+                        <div class="emp-title">${jobTitle ? highlightMatches(jobTitle, query, 'title') : 'Team Member'}</div>
                     </div>
+                    ${createSyncBadge(syncStatus)}
                     <button class="btn-edit" style="background: transparent; border: none; color: var(--text-dim); cursor: pointer; padding: 0.25rem;" title="Edit Employee">✏️</button>
+                    <button class="btn-history" style="background: transparent; border: none; color: var(--text-dim); cursor: pointer; padding: 0.25rem;" title="Contact History">🕘</button>
+                    <button class="btn-vcard" style="background: transparent; border: none; color: var(--text-dim); cursor: pointer; padding: 0.25rem;" title="Download vCard">📇</button>
                 </div>
                 <div class="emp-details">
                     <div class="emp-detail-row ${emp.email ? 'copyable' : ''}" ${emp.email ? `onclick="window.copyToClipboard('${emp.email}', this)" title="Click to copy"` : ''}>
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><rect width="20" height="16" x="2" y="4" rx="2"/><path d="m22 7-8.97 5.7a1.94 1.94 0 0 1-2.06 0L2 7"/></svg>
-                        <span>${emp.email || 'No email'}</span>
+                        <span>${emp.email ? highlightMatches(emp.email, query, 'email') : 'No email'}</span>
                     </div>
                     <div class="emp-detail-row ${!emp.phoneLocked && emp.phone ? 'copyable' : ''}" ${!emp.phoneLocked && emp.phone ? `onclick="window.copyToClipboard('${emp.phone}', this)" title="Click to copy"` : ''}>
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72c.127.96.361 1.903.7 2.81a2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45c.907.339 1.85.573 2.81.7A2 2 0 0 1 22 16.92z"/></svg>
@@ -101,9 +161,14 @@ export const createEmployeeCard = (emp, company) => {
                     </div>
                     <div class="emp-detail-row">
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M20 10c0 6-8 12-8 12s-8-6-8-12a8 8 0 0 1 16 0Z"/><circle cx="12" cy="10" r="3"/></svg>
-                        <span>${emp.location || 'Unknown'}</span>
+                        <span>${emp.location ? highlightMatches(emp.location, query, 'location') : 'Unknown'}</span>
                     </div>
+                    ${emp.connectedOn ? `<div class="emp-detail-row" title="Connected on LinkedIn">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><rect width="18" height="18" x="3" y="4" rx="2"/><path d="M16 2v4"/><path d="M8 2v4"/><path d="M3 10h18"/></svg>
+                        <span>Connected ${emp.connectedOn}</span>
+                    </div>` : ''}
                 </div>
+                ${createCustomFields(emp, 'employee')}
                 <div class="emp-actions">
                     ${emp.linkedin ? `<a href="${formatUrl(emp.linkedin)}" target="_blank" class="btn-linkedin">
                         <svg width="14" height="14" viewBox="0 0 448 512" fill="currentColor"><path d="M416 32H31.9C14.3 32 0 46.5 0 64.3v383.4C0 465.5 14.3 480 31.9 480H416c17.6 0 32-14.5 32-32.3V64.3c0-17.8-14.4-32.3-32-32.3zM135.4 416H69V202.2h66.5V416zm-33.2-243c-21.3 0-38.5-17.3-38.5-38.5S80.9 96 102.2 96c21.2 0 38.5 17.3 38.5 38.5 0 21.3-17.2 38.5-38.5 38.5zm282.1 243h-66.4V312c0-24.8-.5-56.7-34.5-56.7-34.6 0-39.9 27-39.9 54.9V416h-66.4V202.2h63.7v29.2h.9c8.9-16.8 30.6-34.5 62.9-34.5 67.2 0 79.7 44.3 79.7 101.9V416z"/></svg>
@@ -118,3 +183,75 @@ export const createEmployeeCard = (emp, company) => {
         </div>
     `;
 };
+
+/**
+ * Create a facet group for the directory filter panel
+ * @param {string} name - Facet name (see utils/facets.js)
+ * @param {string} label - Facet label
+ * @param {Array<Object>} values - FacetValues to list
+ * @param {Array<string>} selected - Selected value keys
+ * @param {number} hidden - Values left out until the group is expanded; 0 when expanded or all fit
+ * @param {boolean} expanded - Whether the group lists all its values
+ * @returns {string} HTML string
+ */
+export const createFacetGroup = (name, label, values, selected, hidden, expanded) => `
+    <fieldset class="facet-group" data-facet="${escapeHtml(name)}">
+        <legend class="facet-title">${escapeHtml(label)}</legend>
+        ${values.map(({ value, label: valueLabel, count }) => `
+            <label class="facet-option${count ? '' : ' facet-option--empty'}" title="${escapeHtml(valueLabel)}">
+                <input type="checkbox" value="${escapeHtml(value)}" ${selected.includes(value) ? 'checked' : ''}>
+                <span class="facet-label">${escapeHtml(valueLabel)}</span>
+                <span class="facet-count">${count}</span>
+            </label>
+        `).join('')}
+        ${hidden || expanded ? `<button type="button" class="facet-more">${expanded ? 'Show fewer' : `Show ${hidden} more`}</button>` : ''}
+    </fieldset>
+`;
+
+/**
+ * Badge of companies a saved search lists that were not there when last opened
+ * @param {number|null} count - Null when never opened
+ * @returns {string} HTML string; empty without new matches
+ */
+const createNewBadge = (count) => count
+    ? `<span class="saved-search-new" title="${count} new since you last opened it">${count} new</span>`
+    : '';
+
+/**
+ * Create an entry of the saved searches panel
+ * @param {Object} search - SavedSearch
+ * @param {string} summary - What it finds, from describeSearch
+ * @param {boolean} pinned - Whether this user pinned it to the nav
+ * @param {number|null} newCount - New matches since this user last opened it
+ * @returns {string} HTML string
+ */
+export const createSavedSearchItem = (search, summary, pinned, newCount) => `
+    <li class="saved-search" data-id="${escapeHtml(search.id)}">
+        <button type="button" class="saved-search-open" title="${escapeHtml(summary)}">
+            <span class="saved-search-name">${escapeHtml(search.name)}</span>
+            ${createNewBadge(newCount)}
+        </button>
+        <div class="saved-search-meta">
+            <span class="saved-search-summary">${escapeHtml(summary)}</span>
+            ${search.owner ? `<span>by ${escapeHtml(search.owner)}</span>` : ''}
+        </div>
+        <div class="saved-search-actions">
+            <button type="button" class="saved-search-pin${pinned ? ' saved-search-pin--on' : ''}" title="${pinned ? 'Unpin from' : 'Pin to'} the top bar">${pinned ? '★' : '☆'}</button>
+            <button type="button" class="saved-search-delete" title="Delete for everyone">🗑</button>
+        </div>
+    </li>
+`;
+
+/**
+ * Create a saved search pinned to the nav
+ * @param {Object} search - SavedSearch
+ * @param {string} summary - What it finds, from describeSearch
+ * @param {number|null} newCount - New matches since this user last opened it
+ * @returns {string} HTML string
+ */
+export const createSavedSearchPin = (search, summary, newCount) => `
+    <button type="button" class="saved-search-chip" data-id="${escapeHtml(search.id)}" title="${escapeHtml(summary)}">
+        ${escapeHtml(search.name)}
+        ${createNewBadge(newCount)}
+    </button>
+`;
@@ -0,0 +1,152 @@
+/**
+ * Import Report
+ * Renders the dry-run report of an import (see services/import-plan.js) with
+ * a checkbox per group, for the import modal and the admin page.
+ */
+
+import { escapeHtml } from '../utils/helpers.js';
+import { FIELD_MAPPINGS, UI } from '../config/index.js';
+import { IMPORT_GROUPS } from '../services/import-plan.js';
+
+/** Contact field labels, keyed by field */
+const FIELD_LABELS = Object.fromEntries(Object.entries(FIELD_MAPPINGS.employee).map(([label, key]) => [key, label]));
+
+/** Company field labels, keyed by field */
+const COMPANY_FIELD_LABELS = Object.fromEntries(Object.entries(FIELD_MAPPINGS.company).map(([label, key]) => [key, label]));
+
+/** @param {*} value @returns {string} Escaped HTML */
+const formatValue = (value) => (value === undefined || value === null || value === '') ? '<em>empty</em>' : escapeHtml(value);
+
+/**
+ * Field changes of a merge, one per line
+ * @param {Array<Object>} changes - `{ field, before, after }`
+ * @param {Object} labels - Field labels, keyed by field
+ * @returns {string} HTML string
+ */
+const formatChanges = (changes, labels) => changes.map(({ field, before, after }) =>
+    `${escapeHtml(labels[field] || field)}: <span class="import-before">${formatValue(before)}</span> → ${formatValue(after)}`
+).join('<br>') || '-';
+
+/** @param {Object} emp @returns {string} Display name */
+const contactName = (emp) => `${emp.firstName || ''} ${emp.lastName || ''}`.trim() || emp.email || 'Contact';
+
+/**
+ * Table rows for each group
+ */
+const GROUP_TABLES = {
+    newCompanies: {
+        head: ['Company', 'Domain', 'Contacts'],
+        row: (item) => [escapeHtml(item.name), escapeHtml(item.company.domain || '-'), item.contactCount]
+    },
+    matchedCompanies: {
+        head: ['Company', 'Matched by', 'Changes', 'Contacts added or merged'],
+        row: (item) => [escapeHtml(item.name), escapeHtml(item.matchedBy), formatChanges(item.changes, COMPANY_FIELD_LABELS), item.contactCount]
+    },
+    contactsToAdd: {
+        head: ['Contact', 'Company', 'Title', 'Email'],
+        row: (item) => [
+            escapeHtml(contactName(item.contact)),
+            escapeHtml(item.companyName),
+            escapeHtml(item.contact.jobTitle || '-'),
+            escapeHtml(item.contact.email || '-')
+        ]
+    },
+    contactsToMerge: {
+        head: ['Contact', 'Company', 'Changes'],
+        row: (item) => [
+            escapeHtml(contactName(item.before)),
+            escapeHtml(item.companyName),
+            formatChanges(item.changes, FIELD_LABELS)
+        ]
+    },
+    rejected: {
+        head: ['Row', 'Company', 'Reason'],
+        row: (item) => [escapeHtml(item.label), escapeHtml(item.companyName || '-'), escapeHtml(item.reason)]
+    },
+    warnings: {
+        head: ['Row', 'Company', 'Warning'],
+        row: (item) => [escapeHtml(item.label), escapeHtml(item.companyName || '-'), escapeHtml(item.reason)]
+    }
+};
+
+/**
+ * Table for one group, capped at UI.MAX_REPORT_ROWS rows
+ * @param {string} key - Group key
+ * @param {Array} items
+ * @returns {string} HTML string
+ */
+const createGroupTable = (key, items) => {
+    const { head, row } = GROUP_TABLES[key];
+    const shown = items.slice(0, UI.MAX_REPORT_ROWS);
+    const more = items.length - shown.length;
+    return `
+        <table class="import-table">
+            <thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+            <tbody>
+                ${shown.map(item => `<tr>${row(item).map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}
+                ${more > 0 ? `<tr><td colspan="${head.length}" class="import-more">…and ${more} more</td></tr>` : ''}
+            </tbody>
+        </table>
+    `;
+};
+
+/**
+ * Create the dry-run report. Each non-empty group gets a checkbox (checked)
+ * to approve it; rejected rows and warnings are listed without one.
+ * @param {Object} plan - Plan from planImport
+ * @returns {string} HTML string
+ */
+export const createImportReport = (plan) => {
+    const groups = IMPORT_GROUPS.filter(({ key }) => plan[key].length);
+    if (!groups.length && !plan.rejected.length) {
+        return `<p class="import-empty">Nothing to import — every contact is already in the directory${plan.unchanged ? ` (${plan.unchanged} unchanged)` : ''}.</p>`;
+    }
+
+    return `
+        <p class="import-summary">
+            ${IMPORT_GROUPS.map(({ key, label }) => `${label}: <strong>${plan[key].length}</strong>`).join(' · ')}
+            · Rejected: <strong>${plan.rejected.length}</strong>
+            ${plan.warnings.length ? ` · Warnings: <strong>${plan.warnings.length}</strong>` : ''}
+            ${plan.unchanged ? ` · Already up to date: <strong>${plan.unchanged}</strong>` : ''}
+        </p>
+        ${groups.map(({ key, label }) => `
+            <div class="import-group">
+                <label class="import-group-head">
+                    <input type="checkbox" class="import-approve" data-group="${key}" checked> ${label} (${plan[key].length})
+                </label>
+                <details>
+                    <summary>Show details</summary>
+                    ${createGroupTable(key, plan[key])}
+                </details>
+            </div>
+        `).join('')}
+        ${plan.rejected.length ? `
+            <div class="import-group import-group--rejected">
+                <div class="import-group-head">Rejected (${plan.rejected.length}) — not imported</div>
+                <details open>
+                    <summary>Show details</summary>
+                    ${createGroupTable('rejected', plan.rejected)}
+                </details>
+            </div>
+        ` : ''}
+        ${plan.warnings.length ? `
+            <div class="import-group import-group--warning">
+                <div class="import-group-head">Warnings (${plan.warnings.length}) — imported as-is</div>
+                <details>
+                    <summary>Show details</summary>
+                    ${createGroupTable('warnings', plan.warnings)}
+                </details>
+            </div>
+        ` : ''}
+        <p class="import-note">Contacts are only written when their company's group is approved too.</p>
+    `;
+};
+
+/**
+ * Read which groups are ticked in a rendered report
+ * @param {HTMLElement} container - Element holding the report
+ * @returns {Object<string, boolean>} Group key to approval
+ */
+export const getApprovedGroups = (container) => Object.fromEntries(
+    IMPORT_GROUPS.map(({ key }) => [key, Boolean(container.querySelector(`.import-approve[data-group="${key}"]`)?.checked)])
+);
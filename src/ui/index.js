@@ -3,52 +3,195 @@
  * Re-exports all UI modules for convenient importing
  */
 
-export { createCompanyCard, createEmployeeCard } from './components.js';
-export { showView, getActiveView } from './views.js';
-export { openEditModal, hideModal, getEditFormValues } from './modals.js';
+export { createCompanyCard, createEmployeeCard, createCustomFields, createFacetGroup, createSavedSearchItem, createSavedSearchPin } from './components.js';
+export { showView, getActiveView, updateSyncIndicator } from './views.js';
+export { openEditModal, hideModal, getEditFormValues, openConflictModal, openHistoryModal, openExportModal, openSaveSearchModal } from './modals.js';
+export { createImportReport, getApprovedGroups } from './import-report.js';
 
-import { formatUrl, formatSize } from '../utils/helpers.js';
-import { createCompanyCard, createEmployeeCard } from './components.js';
+import { formatUrl, formatSize, isDeleted, withoutDeleted } from '../utils/helpers.js';
+import { createCompanyCard, createEmployeeCard, createCustomFields, createFacetGroup, createSavedSearchItem, createSavedSearchPin } from './components.js';
+import { parseQuery, searchCompanies, searchContacts, sortOrder, SORT_ORDERS } from '../utils/search.js';
+import { FACETS, filterHits } from '../utils/facets.js';
+import { UI } from '../config/index.js';
 
 /**
- * Render company directory grid
+ * Live companies matching the directory search and filters, in the directory's
+ * sort order. Each keeps only its contacts that match the search and the
+ * contact facets, as counted on its card; all live contacts when neither narrows them.
  * @param {Array} companies - Array of company objects
- * @param {string} filter - Search filter string
+ * @param {string} [filter=''] - Search query (see utils/search.js)
+ * @param {Object} [facets={}] - Selected facet values (see utils/facets.js)
+ * @param {string} [sort='relevance'] - Key of SORT_ORDERS
+ * @returns {Array} Companies as shown in the directory
+ */
+export const filterCompanies = (companies, filter = '', facets = {}, sort = 'relevance') =>
+    filterHits(searchCompanies(withoutDeleted(companies), filter || ''), facets)
+        .sort(sortOrder(sort))
+        .map(hit => ({ ...hit.company, employees: hit.contacts }));
+
+/**
+ * Fill the directory sort menu
+ * @param {string} sort - Selected key of SORT_ORDERS
+ */
+export const renderSortOptions = (sort) => {
+    const select = document.getElementById('sortSelect');
+    if (!select) return;
+    select.innerHTML = Object.entries(SORT_ORDERS).map(([key, order]) =>
+        `<option value="${key}">${order.label}</option>`
+    ).join('');
+    select.value = SORT_ORDERS[sort] ? sort : 'relevance';
+};
+
+/**
+ * One-line description of a search, e.g.
+ * `"react" · Seniority: manager, director · Most contacts`
+ * @param {Object} search - `{ query, facets, sort }`
+ * @returns {string}
+ */
+export const describeSearch = ({ query = '', facets = {}, sort = 'relevance' }) => {
+    const parts = [];
+    if (query.trim()) parts.push(`"${query.trim()}"`);
+    Object.entries(FACETS).forEach(([name, facet]) => {
+        if (facets[name]?.length) parts.push(`${facet.label}: ${facets[name].join(', ')}`);
+    });
+    if (sort !== 'relevance' && SORT_ORDERS[sort]) parts.push(SORT_ORDERS[sort].label);
+    return parts.join(' · ') || 'All companies';
+};
+
+/**
+ * Render saved searches: all of them in the directory sidebar, and this
+ * user's pinned ones in the nav
+ * @param {Array<Object>} searches - SavedSearches, most recently updated first
+ * @param {Object<string, Object>} views - This user's SavedSearchView of each, by id
+ * @param {Object<string, number|null>} newCounts - New matches of each, by id
+ * @param {Object} callbacks - onOpen(search), onPin(search, pinned) and onDelete(search)
+ */
+export const renderSavedSearches = (searches, views, newCounts, callbacks = {}) => {
+    const panel = document.getElementById('savedSearchPanel');
+    const nav = document.getElementById('savedSearchNav');
+    const byId = new Map(searches.map(search => [search.id, search]));
+    const find = (el) => byId.get(el.closest('[data-id]').dataset.id);
+
+    if (panel) {
+        panel.innerHTML = searches.length ? `
+            <div class="facet-header"><span>Saved searches</span></div>
+            <ul class="saved-search-list">
+                ${searches.map(search => createSavedSearchItem(search, describeSearch(search), views[search.id]?.pinned, newCounts[search.id])).join('')}
+            </ul>
+        ` : '';
+        panel.hidden = !searches.length;
+
+        panel.querySelectorAll('.saved-search-open').forEach(btn => {
+            btn.addEventListener('click', () => callbacks.onOpen?.(find(btn)));
+        });
+        panel.querySelectorAll('.saved-search-pin').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const search = find(btn);
+                callbacks.onPin?.(search, !views[search.id]?.pinned);
+            });
+        });
+        panel.querySelectorAll('.saved-search-delete').forEach(btn => {
+            btn.addEventListener('click', () => callbacks.onDelete?.(find(btn)));
+        });
+    }
+
+    if (nav) {
+        nav.innerHTML = searches.filter(search => views[search.id]?.pinned)
+            .map(search => createSavedSearchPin(search, describeSearch(search), newCounts[search.id]))
+            .join('');
+        nav.querySelectorAll('.saved-search-chip').forEach(btn => {
+            btn.addEventListener('click', () => callbacks.onOpen?.(find(btn)));
+        });
+    }
+};
+
+/** Facets listing all their values rather than the most common */
+const expandedFacets = new Set();
+
+/**
+ * Render the directory filter panel. Facets without values are left out, as
+ * are values no company would have unless they are selected.
+ * @param {Object<string, Array>} counts - From countFacets
+ * @param {Object} selections - Selected facet values
+ * @param {Object} callbacks - onToggle(name, value, checked) and onClear()
+ */
+export const renderFacets = (counts, selections, callbacks = {}) => {
+    const panel = document.getElementById('facetPanel');
+    if (!panel) return;
+
+    const groups = Object.entries(FACETS).map(([name, facet]) => {
+        const selected = selections[name] || [];
+        const values = (counts[name] || []).filter(entry => entry.count || selected.includes(entry.value));
+        if (!values.length) return '';
+        const expanded = expandedFacets.has(name);
+        const shown = expanded ? values : values.filter((entry, i) => i < UI.FACET_VALUES || selected.includes(entry.value));
+        return createFacetGroup(name, facet.label, shown, selected, values.length - shown.length, expanded);
+    }).join('');
+
+    const active = Object.values(selections).some(values => values.length);
+    panel.innerHTML = groups ? `
+        <div class="facet-header">
+            <span>Filters</span>
+            ${active ? '<button type="button" class="facet-clear">Clear</button>' : ''}
+        </div>
+        ${groups}
+    ` : '';
+    panel.hidden = !groups;
+
+    panel.querySelector('.facet-clear')?.addEventListener('click', () => callbacks.onClear?.());
+    panel.querySelectorAll('.facet-group').forEach(group => {
+        const name = group.dataset.facet;
+        group.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.addEventListener('change', () => callbacks.onToggle?.(name, input.value, input.checked));
+        });
+        group.querySelector('.facet-more')?.addEventListener('click', () => {
+            if (!expandedFacets.delete(name)) expandedFacets.add(name);
+            renderFacets(counts, selections, callbacks);
+        });
+    });
+};
+
+/**
+ * Render directory search results. Results arrive in chunks (see
+ * services/search.js): the first chunk of a search replaces the grid and
+ * later ones are added after it, so the best matches show before the rest
+ * are drawn. Trashed contacts are hidden.
+ * @param {Array<{ company: Object, matches: number|null }>} hits - Companies with their matching contact counts
+ * @param {string} filter - Search filter string, for highlighting
  * @param {Object} callbacks - Event callbacks
+ * @param {boolean} [append=false] - Add to the grid rather than replace it
  */
-export const renderDirectory = (companies, filter = '', callbacks = {}) => {
+export const renderDirectory = (hits, filter = '', callbacks = {}, append = false) => {
     const grid = document.getElementById('companyGrid');
     if (!grid) return;
 
-    const filteredCompanies = companies.filter(c => {
-        const query = (filter || '').toLowerCase();
-        const nameMatch = (c.name || '').toLowerCase().includes(query);
-        const industryMatch = (c.industry || '').toLowerCase().includes(query);
-        const employeeMatch = Array.isArray(c.employees) && c.employees.some(e =>
-            (e.firstName || '').toLowerCase().includes(query) ||
-            (e.lastName || '').toLowerCase().includes(query) ||
-            (e.name || '').toLowerCase().includes(query) || // Search fallback 'name'
-            (e.jobTitle || '').toLowerCase().includes(query) ||
-            (e.title || '').toLowerCase().includes(query)   // Search fallback 'title'
-        );
-        return nameMatch || industryMatch || employeeMatch;
-    });
-
-    // Sort companies lexicographically
-    filteredCompanies.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    const query = parseQuery(filter || '');
+    // The index may not have caught up with a company trashed a moment ago
+    const shown = hits.filter(hit => !isDeleted(hit.company));
+    const companies = withoutDeleted(shown.map(hit => hit.company));
+    const html = companies.map((company, i) =>
+        createCompanyCard(company, callbacks.getSyncStatus?.(company.id), shown[i].matches, query)
+    ).join('');
 
-    grid.innerHTML = filteredCompanies.map(company => createCompanyCard(company)).join('');
+    const before = append ? grid.children.length : 0;
+    if (append) grid.insertAdjacentHTML('beforeend', html);
+    else grid.innerHTML = html;
 
-    // Attach event listeners
-    grid.querySelectorAll('.card').forEach(card => {
+    // Attach event listeners to the new cards
+    [...grid.children].slice(before).forEach((card, i) => {
         const id = card.dataset.id;
-        const company = companies.find(c => c.id === id);
+        const company = companies[i];
 
         card.querySelector('.btn-edit')?.addEventListener('click', (e) => {
             e.stopPropagation();
             callbacks.onEditCompany?.(id);
         });
 
+        card.querySelector('.btn-history')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            callbacks.onShowHistory?.(id);
+        });
+
         card.querySelector('.btn-open')?.addEventListener('click', (e) => {
             e.stopPropagation();
             callbacks.onOpenCompany?.(company);
@@ -59,6 +202,11 @@ export const renderDirectory = (companies, filter = '', callbacks = {}) => {
             callbacks.onSearchJobs?.(company);
         });
 
+        card.querySelector('.sync-badge--failed')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            callbacks.onResolveSync?.(id);
+        });
+
         // Also allow clicking the card itself
         card.addEventListener('click', () => {
             callbacks.onOpenCompany?.(company);
@@ -67,11 +215,23 @@ export const renderDirectory = (companies, filter = '', callbacks = {}) => {
 };
 
 /**
- * Render employee detail view for a company
+ * Live contacts of a company matching a filter, most relevant first
+ * (by name without a filter)
+ * @param {Object} company - Company object
+ * @param {string} [filter=''] - Search query (see utils/search.js); company
+ *   terms are checked against the company
+ * @returns {Array} Contacts as shown in the detail view
+ */
+export const filterContacts = (company, filter = '') =>
+    searchContacts(company, (company.employees || []).filter(emp => !isDeleted(emp)), filter);
+
+/**
+ * Render employee detail view for a company. Trashed contacts are hidden.
  * @param {Object} company - Company object
  * @param {Object} callbacks - Event callbacks
+ * @param {string} [filter=''] - Contact filter (see filterContacts)
  */
-export const renderDetail = (company, callbacks = {}) => {
+export const renderDetail = (company, callbacks = {}, filter = '') => {
     const header = document.getElementById('detailHeader');
     const grid = document.getElementById('employeeGrid');
 
@@ -88,19 +248,17 @@ export const renderDetail = (company, callbacks = {}) => {
                 <div class="detail-meta-item">${company.industry || 'General'}</div>
                 <div class="detail-meta-item">${company.headquarters || 'Global'}</div>
             </div>
+            ${createCustomFields(company, 'company')}
         </div>
     `;
 
-    // Sort employees lexicographically
-    const sortedEmployees = [...(company.employees || [])].sort((a, b) => {
-        const nameA = a.firstName || a.lastName ? `${a.firstName || ''} ${a.lastName || ''}`.trim() : (a.name || '');
-        const nameB = b.firstName || b.lastName ? `${b.firstName || ''} ${b.lastName || ''}`.trim() : (b.name || '');
-        return nameA.localeCompare(nameB);
-    });
+    // Most relevant first, with the matched text highlighted
+    const sortedEmployees = filterContacts(company, filter);
+    const query = parseQuery(filter);
 
     // Render employee cards
     grid.innerHTML = sortedEmployees.map(emp =>
-        createEmployeeCard(emp, company)
+        createEmployeeCard(emp, company, callbacks.getSyncStatus?.(emp.id), query)
     ).join('');
 
     // Attach event listeners
@@ -113,8 +271,20 @@ export const renderDetail = (company, callbacks = {}) => {
             callbacks.onEditEmployee?.(empId, companyId);
         });
 
+        card.querySelector('.btn-history')?.addEventListener('click', () => {
+            callbacks.onShowHistory?.(empId, companyId);
+        });
+
+        card.querySelector('.btn-vcard')?.addEventListener('click', () => {
+            callbacks.onExportContact?.(emp);
+        });
+
         card.querySelector('.btn-contact')?.addEventListener('click', () => {
             callbacks.onAskReferral?.(emp);
         });
+
+        card.querySelector('.sync-badge--failed')?.addEventListener('click', () => {
+            callbacks.onResolveSync?.(empId);
+        });
     });
 };
@@ -3,6 +3,10 @@
  * Modal management for editing companies and employees
  */
 
+import { escapeHtml } from '../utils/helpers.js';
+import { getTargetFields } from '../parsers/mapping.js';
+import { getCustomFields } from '../utils/schema.js';
+
 /**
  * Field configurations for edit forms
  */
@@ -23,7 +27,21 @@ const EMPLOYEE_FIELDS = [
     { label: 'Phone', key: 'phone' },
     { label: 'Job Title', key: 'jobTitle' },
     { label: 'LinkedIn', key: 'linkedin' },
-    { label: 'Location', key: 'location' }
+    { label: 'Location', key: 'location' },
+    { label: 'Connected On', key: 'connectedOn', type: 'date' }
+];
+
+/** Input type for each custom field type */
+const CUSTOM_INPUT_TYPES = { string: 'text', email: 'email', phone: 'tel', url: 'url', date: 'date' };
+
+/**
+ * Built-in and custom fields of a record type, as shown in forms
+ * @param {string} type - 'company' or 'employee'
+ * @returns {Array<Object>} `{ label, key, type? }`
+ */
+const editFields = (type) => [
+    ...(type === 'company' ? COMPANY_FIELDS : EMPLOYEE_FIELDS),
+    ...getCustomFields(type).map(field => ({ label: field.label, key: field.key, type: CUSTOM_INPUT_TYPES[field.type] }))
 ];
 
 /**
@@ -39,7 +57,7 @@ export const openEditModal = (type, targetData, onSave = null) => {
 
     if (!modal || !form || !title) return;
 
-    const fields = type === 'company' ? COMPANY_FIELDS : EMPLOYEE_FIELDS;
+    const fields = editFields(type);
     title.textContent = type === 'company' ? 'Edit Company' : 'Edit Contact';
 
     form.innerHTML = fields.map(field => {
@@ -54,8 +72,8 @@ export const openEditModal = (type, targetData, onSave = null) => {
 
         return `
             <div>
-                <label style="display: block; font-size: 0.75rem; color: var(--text-dim); margin-bottom: 0.4rem;">${field.label}</label>
-                <input type="text" id="edit_${field.key}" value="${value}" class="input">
+                <label style="display: block; font-size: 0.75rem; color: var(--text-dim); margin-bottom: 0.4rem;">${escapeHtml(field.label)}</label>
+                <input type="${field.type || 'text'}" id="edit_${field.key}" value="${escapeHtml(value)}" class="input">
             </div>
         `;
     }).join('');
@@ -80,7 +98,7 @@ export const hideModal = (modalId = 'editModal') => {
  * @returns {Object} Form values
  */
 export const getEditFormValues = (type) => {
-    const fields = type === 'company' ? COMPANY_FIELDS : EMPLOYEE_FIELDS;
+    const fields = editFields(type);
     const values = {};
 
     fields.forEach(field => {
@@ -92,3 +110,259 @@ export const getEditFormValues = (type) => {
 
     return values;
 };
+
+/**
+ * Show the edit-conflict dialog with the user's values and the server's side by side.
+ * Resolves with the chosen action:
+ *   - `{ action: 'merge', values }` — save `values` (per-field picks) over the server version
+ *   - `{ action: 'theirs' }` — drop local edits and keep the server version
+ *   - `{ action: 'cancel' }` — go back to the edit form
+ * @param {string} type - 'company' or 'employee'
+ * @param {Object} mine - Values from the edit form
+ * @param {Object} theirs - Current server copy of the record
+ * @returns {Promise<Object>} Chosen resolution
+ */
+export const openConflictModal = (type, mine, theirs) => new Promise((resolve) => {
+    const modal = document.getElementById('conflictModal');
+    const form = document.getElementById('conflictForm');
+    const buttons = {
+        cancel: document.getElementById('btnConflictCancel'),
+        theirs: document.getElementById('btnConflictTheirs'),
+        mine: document.getElementById('btnConflictMine'),
+        merge: document.getElementById('btnConflictMerge')
+    };
+
+    if (!modal || !form || Object.values(buttons).some(btn => !btn)) {
+        resolve({ action: 'cancel' });
+        return;
+    }
+
+    const fields = editFields(type);
+    const differs = (key) => String(mine[key] ?? '') !== String(theirs[key] ?? '');
+
+    form.innerHTML = `
+        <table class="conflict-table">
+            <thead><tr><th>Field</th><th>Your value</th><th>Server value</th></tr></thead>
+            <tbody>
+                ${fields.map(({ label, key }) => differs(key) ? `
+                    <tr class="conflict-row">
+                        <td>${escapeHtml(label)}</td>
+                        <td><label><input type="radio" name="conflict_${key}" value="mine" checked> ${escapeHtml(mine[key]) || '<em>empty</em>'}</label></td>
+                        <td><label><input type="radio" name="conflict_${key}" value="theirs"> ${escapeHtml(theirs[key]) || '<em>empty</em>'}</label></td>
+                    </tr>
+                ` : `
+                    <tr class="conflict-row conflict-row--same">
+                        <td>${escapeHtml(label)}</td>
+                        <td colspan="2">${escapeHtml(mine[key]) || '<em>empty</em>'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    const pickedValues = () => fields.reduce((values, { key }) => {
+        const choice = form.querySelector(`input[name="conflict_${key}"]:checked`)?.value;
+        values[key] = choice === 'theirs' ? (theirs[key] ?? '') : (mine[key] ?? '');
+        return values;
+    }, {});
+
+    const handlers = {
+        cancel: () => finish({ action: 'cancel' }),
+        theirs: () => finish({ action: 'theirs' }),
+        mine: () => finish({ action: 'merge', values: { ...mine } }),
+        merge: () => finish({ action: 'merge', values: pickedValues() })
+    };
+
+    const finish = (result) => {
+        modal.style.display = 'none';
+        Object.entries(handlers).forEach(([name, handler]) => buttons[name].removeEventListener('click', handler));
+        resolve(result);
+    };
+
+    Object.entries(handlers).forEach(([name, handler]) => buttons[name].addEventListener('click', handler));
+    modal.style.display = 'flex';
+});
+
+/**
+ * Field labels for history entries
+ * @param {string} type - 'company' or 'employee'
+ * @returns {Object} Field key to label
+ */
+const fieldLabels = (type) => Object.fromEntries(editFields(type).map(({ key, label }) => [key, label]));
+
+/**
+ * Display text for a stored field value
+ * @param {*} value
+ * @returns {string} Escaped HTML
+ */
+const formatHistoryValue = (value) => {
+    if (value === undefined || value === null || value === '') return '<em>empty</em>';
+    return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+};
+
+/**
+ * Show the change history of a record, newest first. Each entry lists the
+ * fields it changed and has a button to restore the record to that version.
+ * Entries for a company's contacts are labelled with the contact's name.
+ * @param {string} title - Modal heading
+ * @param {Array} entries - History entries from DataService.getHistory
+ * @param {Function} onRestore - Called with a history entry ID; resolves true to close the modal
+ */
+export const openHistoryModal = (title, entries, onRestore) => {
+    const modal = document.getElementById('historyModal');
+    const list = document.getElementById('historyList');
+    const heading = document.getElementById('historyTitle');
+    const closeBtn = document.getElementById('btnCloseHistory');
+
+    if (!modal || !list || !heading || !closeBtn) return;
+
+    heading.textContent = title;
+    list.innerHTML = entries.length ? entries.map(entry => {
+        const labels = fieldLabels(entry.recordType);
+        const record = entry.after || entry.before || {};
+        const undoesDelete = entry.operation === 'delete' || !entry.after;
+        const contact = entry.recordType === 'employee'
+            ? `${record.firstName || ''} ${record.lastName || ''}`.trim() || 'Contact'
+            : '';
+
+        return `
+            <div class="history-entry">
+                <div class="history-entry-head">
+                    <div>
+                        <span class="history-op">${escapeHtml(entry.operation)}</span>
+                        ${contact ? ` · ${escapeHtml(contact)}` : ''}
+                        <div class="history-meta">${escapeHtml(new Date(entry.timestamp).toLocaleString())} · ${escapeHtml(entry.actor)}</div>
+                    </div>
+                    <button class="btn btn-secondary btn-restore" data-id="${escapeHtml(entry.id)}"
+                        title="${undoesDelete ? 'Restore the record as it was before it was deleted' : 'Restore the record as it was after this change'}">
+                        ${undoesDelete ? 'Undo delete' : 'Restore this version'}
+                    </button>
+                </div>
+                ${entry.changedFields?.length ? `
+                    <table class="history-changes">
+                        ${entry.changedFields.map(key => `
+                            <tr>
+                                <td>${escapeHtml(labels[key] || key)}</td>
+                                <td>
+                                    ${entry.before ? `<span class="history-before">${formatHistoryValue(entry.before[key])}</span> → ` : ''}
+                                    ${entry.after ? formatHistoryValue(entry.after[key]) : '<em>deleted</em>'}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                ` : ''}
+            </div>
+        `;
+    }).join('') : '<p class="history-empty">No changes recorded yet.</p>';
+
+    const hide = () => {
+        modal.style.display = 'none';
+        closeBtn.removeEventListener('click', hide);
+    };
+
+    list.querySelectorAll('.btn-restore').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const label = btn.textContent;
+            btn.disabled = true;
+            btn.textContent = 'Restoring...';
+            if (await onRestore(btn.dataset.id)) {
+                hide();
+            } else {
+                btn.disabled = false;
+                btn.textContent = label;
+            }
+        });
+    });
+
+    closeBtn.addEventListener('click', hide);
+    modal.style.display = 'flex';
+};
+
+/**
+ * Ask how to export: format, columns and whether to leave out locked phones.
+ * Every column is ticked at first; the company name is always exported.
+ * @param {string} summary - What will be exported, e.g. "3 companies, 12 contacts"
+ * @returns {Promise<Object|null>} `{ format, columns, excludeLockedPhones }`, or null if cancelled
+ */
+export const openExportModal = (summary) => new Promise((resolve) => {
+    const modal = document.getElementById('exportModal');
+    const columnsEl = document.getElementById('exportColumns');
+    const cancelBtn = document.getElementById('btnCancelExport');
+    const confirmBtn = document.getElementById('btnConfirmExport');
+
+    if (!modal || !columnsEl || !cancelBtn || !confirmBtn) {
+        resolve(null);
+        return;
+    }
+
+    document.getElementById('exportSummary').textContent = summary;
+    columnsEl.innerHTML = getTargetFields().map(field => `
+        <label class="export-option">
+            <input type="checkbox" value="${field.value}" checked ${field.value === 'company.name' ? 'disabled' : ''}>
+            ${escapeHtml(field.label)}
+        </label>
+    `).join('');
+
+    const finish = (result) => {
+        modal.style.display = 'none';
+        cancelBtn.removeEventListener('click', cancel);
+        confirmBtn.removeEventListener('click', download);
+        resolve(result);
+    };
+    const cancel = () => finish(null);
+    const download = () => finish({
+        format: document.getElementById('exportFormat').value,
+        columns: [...columnsEl.querySelectorAll('input:checked')].map(input => input.value),
+        excludeLockedPhones: document.getElementById('exportExcludeLocked').checked
+    });
+
+    cancelBtn.addEventListener('click', cancel);
+    confirmBtn.addEventListener('click', download);
+    modal.style.display = 'flex';
+});
+
+/**
+ * Ask for the name of a search to save and whether to pin it
+ * @param {string} summary - What the search finds, e.g. from describeSearch
+ * @returns {Promise<Object|null>} `{ name, pinned }`, or null if cancelled
+ */
+export const openSaveSearchModal = (summary) => new Promise((resolve) => {
+    const modal = document.getElementById('saveSearchModal');
+    const nameInput = document.getElementById('saveSearchName');
+    const cancelBtn = document.getElementById('btnCancelSaveSearch');
+    const confirmBtn = document.getElementById('btnConfirmSaveSearch');
+
+    if (!modal || !nameInput || !cancelBtn || !confirmBtn) {
+        resolve(null);
+        return;
+    }
+
+    document.getElementById('saveSearchSummary').textContent = summary;
+    nameInput.value = '';
+
+    const finish = (result) => {
+        modal.style.display = 'none';
+        cancelBtn.removeEventListener('click', cancel);
+        confirmBtn.removeEventListener('click', save);
+        nameInput.removeEventListener('keydown', onKey);
+        resolve(result);
+    };
+    const cancel = () => finish(null);
+    const save = () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            return;
+        }
+        finish({ name, pinned: document.getElementById('saveSearchPinned').checked });
+    };
+    const onKey = (e) => {
+        if (e.key === 'Enter') save();
+    };
+
+    cancelBtn.addEventListener('click', cancel);
+    confirmBtn.addEventListener('click', save);
+    nameInput.addEventListener('keydown', onKey);
+    modal.style.display = 'flex';
+    nameInput.focus();
+});
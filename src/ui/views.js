@@ -30,3 +30,23 @@ export const getActiveView = () => {
     const activeView = document.querySelector('.view.active');
     return activeView?.id || 'viewLanding';
 };
+
+/**
+ * Update the header indicator for queued offline writes
+ * @param {{ pending: number, failed: number }} summary - Outbox counts
+ * @param {boolean} online - Current connectivity
+ */
+export const updateSyncIndicator = ({ pending, failed }, online) => {
+    const indicator = document.getElementById('syncIndicator');
+    if (!indicator) return;
+
+    const parts = [];
+    if (!online) parts.push('Offline');
+    if (pending) parts.push(`${pending} pending`);
+    if (failed) parts.push(`${failed} failed`);
+
+    indicator.hidden = parts.length === 0;
+    indicator.textContent = parts.join(' · ');
+    indicator.classList.toggle('sync-indicator--failed', failed > 0);
+    indicator.title = failed ? 'Click to retry failed changes' : 'Changes will sync when back online';
+};
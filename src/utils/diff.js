@@ -0,0 +1,101 @@
+/**
+ * @module Diff
+ * Compares two copies of the directory (e.g. the live data and a snapshot)
+ * company by company and contact by contact, matching records by ID.
+ */
+
+import { isDeleted } from './helpers.js';
+
+// Written on every change, so never reported as a difference
+const BOOKKEEPING_FIELDS = ['version', 'updatedAt'];
+
+/**
+ * Names of the fields that differ between two versions of a record
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<string>}
+ */
+export const changedFields = (before, after) => {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys].filter(key =>
+        !BOOKKEEPING_FIELDS.includes(key) && JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])
+    );
+};
+
+/** @param {Object} record @returns {Object} Stored fields, without `id` and nested employees */
+const fieldsOf = ({ id, employees, ...fields }) => fields;
+
+/**
+ * Compare one pair of records
+ * @param {Object|undefined} before - Current record
+ * @param {Object|undefined} after - Target record
+ * @returns {{ status: string, changedFields: Array<string> }|null} Null when there is nothing to do
+ */
+const compare = (before, after) => {
+    // Records missing on one side and trashed on the other are already gone
+    if (!before) return after && !isDeleted(after) ? { status: 'added', changedFields: [] } : null;
+    if (!after) return isDeleted(before) ? null : { status: 'removed', changedFields: [] };
+
+    const fields = changedFields(fieldsOf(before), fieldsOf(after));
+    return fields.length ? { status: 'changed', changedFields: fields } : null;
+};
+
+/** @param {Object} emp @returns {string} Display name */
+const contactName = (emp) => `${emp.firstName || ''} ${emp.lastName || ''}`.trim() || emp.email || 'Contact';
+
+/**
+ * Diff the current directory against a target version of it.
+ * A company is listed when it was added, removed or changed, or when any of
+ * its contacts were. Added companies list all their contacts as added;
+ * removed companies take their contacts with them and list none.
+ * @param {Array} current - Companies as they are now
+ * @param {Array} target - Companies as they should become
+ * @returns {{ companies: Array<Object>, summary: Object }} Per-company differences
+ *   (`{ id, name, status, changedFields, before, after, contacts }`, where each contact is
+ *   `{ id, name, status, changedFields, before, after }`) and added/changed/removed counts
+ */
+export const diffDirectories = (current, target) => {
+    const currentById = new Map(current.map(c => [c.id, c]));
+    const targetById = new Map(target.map(c => [c.id, c]));
+    const ids = [...new Set([...currentById.keys(), ...targetById.keys()])];
+
+    const summary = {
+        companies: { added: 0, changed: 0, removed: 0 },
+        contacts: { added: 0, changed: 0, removed: 0 }
+    };
+
+    const companies = ids.flatMap(id => {
+        const before = currentById.get(id);
+        const after = targetById.get(id);
+        const result = compare(before, after);
+
+        let contacts = [];
+        if (!result || result.status === 'changed' || result.status === 'added') {
+            const beforeContacts = new Map((before?.employees || []).map(e => [e.id, e]));
+            const afterContacts = new Map((after?.employees || []).map(e => [e.id, e]));
+            contacts = [...new Set([...beforeContacts.keys(), ...afterContacts.keys()])].flatMap(empId => {
+                const empBefore = beforeContacts.get(empId);
+                const empAfter = afterContacts.get(empId);
+                const change = compare(empBefore, empAfter);
+                if (!change) return [];
+                summary.contacts[change.status]++;
+                return [{ id: empId, name: contactName(empAfter || empBefore), ...change, before: empBefore || null, after: empAfter || null }];
+            });
+        }
+
+        if (!result && !contacts.length) return [];
+        const status = result?.status || 'changed';
+        summary.companies[status]++;
+        return [{
+            id,
+            name: (after || before).name || 'Unknown',
+            status,
+            changedFields: result?.changedFields || [],
+            before: before || null,
+            after: after || null,
+            contacts
+        }];
+    });
+
+    return { companies, summary };
+};
@@ -0,0 +1,247 @@
+/**
+ * @module Facets
+ * Directory filters by field value: company industry, type, size and
+ * headquarters, and contact location and seniority. Values of one facet are
+ * alternatives; different facets must all hold. Contact facets must all hold
+ * for the same contact, who must also match the search.
+ *
+ * Selections are `{ facetName: [valueKey, ...] }`. Value keys are lowercase,
+ * so "Public" and "public" are one value.
+ */
+
+import { formatSize } from './helpers.js';
+
+/** Upper bounds of the company size buckets; larger companies share the last */
+const SIZE_LIMITS = [10, 50, 200, 500, 1000, 5000, 10000, 50000, 100000];
+
+/** Cities known by more than one name, keyed by the lowercase other name */
+const CITY_ALIASES = {
+    bangalore: 'Bengaluru',
+    gurgaon: 'Gurugram',
+    bombay: 'Mumbai',
+    madras: 'Chennai',
+    calcutta: 'Kolkata'
+};
+
+/**
+ * Seniority levels, most senior first. A job title gets the first level one
+ * of whose patterns it contains, or "Individual contributor".
+ */
+const SENIORITY_LEVELS = [
+    ['C-level', /\b(chief|c[etofi]o|founder|co-founder|(?<!vice )president)\b/i],
+    ['VP', /\b(vp|avp|svp|evp|vice president)\b/i],
+    ['Director', /\b(director|head)\b/i],
+    ['Manager', /\b(manager|mgr|management)\b/i],
+    ['Lead', /\b(lead|principal|architect|staff (\w+ )?engineer)\b/i],
+    ['Senior', /\b(senior|sr)\b/i],
+    ['Entry level', /\b(intern|trainee|junior|jr|graduate|fresher|apprentice)\b/i]
+];
+
+const INDIVIDUAL_CONTRIBUTOR = 'Individual contributor';
+
+/** @param {*} value @returns {string} Trimmed, with runs of whitespace as one space */
+const clean = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+/** Results kept by a memoized function before it starts over */
+const MEMO_LIMIT = 50000;
+
+/**
+ * Cache a function of a text by the text, since the same titles and places
+ * recur across contacts and each search reads them several times
+ * @param {Function} fn - Text to string
+ * @returns {Function}
+ */
+const memoize = (fn) => {
+    const cache = new Map();
+    return (value) => {
+        const text = String(value ?? '');
+        let result = cache.get(text);
+        if (result === undefined) {
+            if (cache.size >= MEMO_LIMIT) cache.clear();
+            result = fn(text);
+            cache.set(text, result);
+        }
+        return result;
+    };
+};
+
+/**
+ * Size bucket of a company, e.g. "1k–5k" for "1001-5000 employees"
+ * @param {*} size - Head count, a range, or text with a number in it
+ * @returns {string} Empty when there is no number
+ */
+const sizeBucket = memoize((size) => {
+    const match = String(size ?? '').replace(/,/g, '').match(/\d+/);
+    if (!match) return '';
+    const count = parseInt(match[0], 10);
+    const index = SIZE_LIMITS.findIndex(limit => count <= limit);
+    if (index === -1) return `${formatSize(SIZE_LIMITS[SIZE_LIMITS.length - 1])}+`;
+    const low = index ? SIZE_LIMITS[index - 1] + 1 : 1;
+    return `${formatSize(low)}–${formatSize(SIZE_LIMITS[index])}`;
+});
+
+/**
+ * City of a location, e.g. "Bengaluru" for "Bengaluru Area, India"
+ * @param {*} location
+ * @returns {string}
+ */
+const city = memoize((location) => {
+    const name = clean(String(location ?? '').split(',')[0]).replace(/^greater\s+/i, '').replace(/\s+area$/i, '');
+    return CITY_ALIASES[name.toLowerCase()] || name;
+});
+
+/**
+ * Seniority level of a job title
+ * @param {*} title
+ * @returns {string} Empty without a title
+ */
+const seniority = memoize((title) => {
+    const text = clean(title);
+    if (!text) return '';
+    return SENIORITY_LEVELS.find(([, pattern]) => pattern.test(text))?.[0] || INDIVIDUAL_CONTRIBUTOR;
+});
+
+/**
+ * Facets, in panel order. `get` reads a record's value label; `order` fixes
+ * the order of values, which are otherwise listed most common first.
+ */
+export const FACETS = {
+    industry: { label: 'Industry', target: 'company', get: (c) => clean(c.industry) },
+    type: { label: 'Company type', target: 'company', get: (c) => clean(c.type) },
+    size: {
+        label: 'Company size',
+        target: 'company',
+        get: (c) => sizeBucket(c.size),
+        order: [...SIZE_LIMITS.map(limit => sizeBucket(limit)), sizeBucket(SIZE_LIMITS[SIZE_LIMITS.length - 1] + 1)].map(label => label.toLowerCase())
+    },
+    headquarters: { label: 'Headquarters', target: 'company', get: (c) => clean(c.headquarters) },
+    location: { label: 'Contact location', target: 'employee', get: (e) => city(e.location) },
+    seniority: {
+        label: 'Seniority',
+        target: 'employee',
+        get: (e) => seniority(e.jobTitle || e.title),
+        order: [...SENIORITY_LEVELS.map(([level]) => level), INDIVIDUAL_CONTRIBUTOR].map(label => label.toLowerCase())
+    }
+};
+
+/** @param {Object} selections @returns {Array<string>} Facets with a value selected */
+const activeFacets = (selections = {}) => Object.keys(FACETS).filter(name => selections[name]?.length);
+
+/** @param {string} name @param {Object} record @returns {string} Value key, empty for none */
+const valueKey = (name, record) => FACETS[name].get(record).toLowerCase();
+
+/**
+ * Whether a record has one of the selected values of each facet
+ * @param {Object} record
+ * @param {Array<string>} names - Facets to check
+ * @param {Object} selections
+ * @returns {boolean}
+ */
+const passes = (record, names, selections) => names.every(name => selections[name].includes(valueKey(name, record)));
+
+/**
+ * Split active facets by the record they apply to
+ * @param {Object} selections
+ * @param {string} [except] - Facet to leave out
+ * @returns {{ company: Array<string>, employee: Array<string> }}
+ */
+const splitFacets = (selections, except) => {
+    const names = activeFacets(selections).filter(name => name !== except);
+    return {
+        company: names.filter(name => FACETS[name].target === 'company'),
+        employee: names.filter(name => FACETS[name].target === 'employee')
+    };
+};
+
+/**
+ * Whether any facet has a value selected
+ * @param {Object} [selections]
+ * @returns {boolean}
+ */
+export const hasFacets = (selections) => activeFacets(selections).length > 0;
+
+/**
+ * Narrow search hits to the selected facet values. Contact facets keep only
+ * the matching contacts that pass them, and drop companies left without any;
+ * a hit's score becomes that of its best remaining contact.
+ * @param {Array<import('./search.js').CompanyHit>} hits - With `scores` of their contacts
+ * @param {Object} selections
+ * @returns {Array<import('./search.js').CompanyHit>} In the same order; re-sort by score
+ */
+export const filterHits = (hits, selections) => {
+    const facets = splitFacets(selections);
+    if (!facets.company.length && !facets.employee.length) return hits;
+
+    return hits.flatMap(hit => {
+        if (!passes(hit.company, facets.company, selections)) return [];
+        if (!facets.employee.length) return [hit];
+        const kept = hit.contacts.map((contact, i) => i).filter(i => passes(hit.contacts[i], facets.employee, selections));
+        if (!kept.length) return [];
+        return [{ ...hit, score: hit.scores[kept[0]], contacts: kept.map(i => hit.contacts[i]), scores: kept.map(i => hit.scores[i]) }];
+    });
+};
+
+/**
+ * Label of a facet value no hit passing the other facets has
+ * @param {Array<import('./search.js').CompanyHit>} hits
+ * @param {string} name - Facet name
+ * @param {string} value - Value key
+ * @returns {string} The key itself when no hit has the value at all
+ */
+const findLabel = (hits, name, value) => {
+    const records = FACETS[name].target === 'company' ? hits.map(hit => hit.company) : hits.flatMap(hit => hit.contacts);
+    const record = records.find(r => valueKey(name, r) === value);
+    return record ? FACETS[name].get(record) : value;
+};
+
+/**
+ * @typedef {Object} FacetValue
+ * @property {string} value - Key to select it by
+ * @property {string} label - As first seen in the data
+ * @property {number} count - Companies shown if it were selected, the facet's other values aside
+ */
+
+/**
+ * Values of every facet among search hits, with how many companies each would
+ * show given the other facets' selections. Selected values are always listed.
+ * @param {Array<import('./search.js').CompanyHit>} hits - Unfiltered by facets
+ * @param {Object} selections
+ * @returns {Object<string, Array<FacetValue>>} By facet name, in the facet's order
+ */
+export const countFacets = (hits, selections = {}) => Object.fromEntries(Object.entries(FACETS).map(([name, facet]) => {
+    const facets = splitFacets(selections, name);
+    const counts = new Map();
+    const count = (record) => {
+        const label = facet.get(record);
+        if (!label) return null;
+        const value = label.toLowerCase();
+        const entry = counts.get(value) || { value, label, count: 0 };
+        counts.set(value, entry);
+        return entry;
+    };
+
+    hits.forEach(hit => {
+        if (!passes(hit.company, facets.company, selections)) return;
+        const contacts = facets.employee.length || facet.target === 'employee'
+            ? hit.contacts.filter(contact => passes(contact, facets.employee, selections))
+            : hit.contacts;
+        if (facets.employee.length && !contacts.length) return;
+
+        if (facet.target === 'company') {
+            const entry = count(hit.company);
+            if (entry) entry.count++;
+        } else {
+            new Set(contacts.map(count).filter(Boolean)).forEach(entry => entry.count++);
+        }
+    });
+
+    (selections[name] || []).forEach(value => {
+        if (!counts.has(value)) counts.set(value, { value, label: findLabel(hits, name, value), count: 0 });
+    });
+
+    const rank = (value) => facet.order ? facet.order.indexOf(value) : -1;
+    const values = [...counts.values()].sort((a, b) =>
+        rank(a.value) - rank(b.value) || b.count - a.count || a.label.localeCompare(b.label)
+    );
+    return [name, values];
+}));
@@ -74,6 +74,76 @@ export const formatSize = (size) => {
     return numStr;
 };
 
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Normalize a date to YYYY-MM-DD (e.g., "15 Jan 2024" -> "2024-01-15")
+ * @param {string} value - Date text
+ * @returns {string} ISO date, or the trimmed input if it is not a date
+ */
+export const toISODate = (value) => {
+    const text = String(value ?? '').trim();
+    if (!text || /^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+    // "15 Jan 2024" as used by LinkedIn exports; Date() does not read it everywhere
+    const dayMonthYear = text.match(/^(\d{1,2})[\s-]+([a-z]{3})[a-z]*\.?[\s-]+(\d{4})$/i);
+    const month = dayMonthYear ? MONTHS.indexOf(dayMonthYear[2].toLowerCase()) : -1;
+    const date = month !== -1
+        ? new Date(Number(dayMonthYear[3]), month, Number(dayMonthYear[1]))
+        : new Date(text);
+    if (isNaN(date)) return text;
+
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Escape a value for safe interpolation into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Whether a company or contact is in the trash
+ * @param {Object} record - Company or employee
+ * @returns {boolean} True if soft-deleted
+ */
+export const isDeleted = (record) => Boolean(record?.deletedAt);
+
+/**
+ * Companies that are not in the trash, each with only its live contacts
+ * @param {Array} companies - Companies as loaded from the backend
+ * @returns {Array} New company objects (the input is not modified)
+ */
+export const withoutDeleted = (companies) => companies
+    .filter(company => !isDeleted(company))
+    .map(company => ({ ...company, employees: (company.employees || []).filter(emp => !isDeleted(emp)) }));
+
+/**
+ * Offer content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob|ArrayBuffer} content - File contents
+ * @param {string} [type='application/json'] - MIME type, for text and buffers
+ */
+export const downloadFile = (filename, content, type = 'application/json') => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers start the download after click() returns, so revoke later
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
 /**
  * Debounce function execution
  * @param {Function} fn - Function to debounce
@@ -154,11 +224,12 @@ const normalizeLinkedIn = (url) => {
  * Merges two employee objects, preferring non-empty and more detailed values.
  * @param {Object} target - Base employee object
  * @param {Object} source - New employee data
+ * @param {Array<string>} [extraFields=[]] - Other fields to merge, e.g. custom fields
  * @returns {Object} Merged object
  */
-export const mergeEmployeeData = (target, source) => {
+export const mergeEmployeeData = (target, source, extraFields = []) => {
     const merged = { ...target };
-    const fields = ['firstName', 'lastName', 'email', 'phone', 'jobTitle', 'linkedin', 'location'];
+    const fields = ['firstName', 'lastName', 'email', 'phone', 'jobTitle', 'linkedin', 'location', 'connectedOn', ...extraFields];
 
     fields.forEach(field => {
         const val1 = target[field];
@@ -187,6 +258,29 @@ export const mergeEmployeeData = (target, source) => {
     return merged;
 };
 
+/**
+ * Merges incoming company data into an existing company the way
+ * mergeEmployeeData merges contacts: empty fields are filled and longer
+ * values win. The name is kept.
+ * @param {Object} target - Base company object
+ * @param {Object} source - New company data
+ * @param {Array<string>} [extraFields=[]] - Other fields to merge, e.g. custom fields
+ * @returns {Object} Merged object
+ */
+export const mergeCompanyData = (target, source, extraFields = []) => {
+    const merged = { ...target };
+    const fields = ['domain', 'industry', 'size', 'type', 'headquarters', 'linkedin', ...extraFields];
+
+    fields.forEach(field => {
+        const val1 = target[field];
+        const val2 = source[field];
+        if (isEmpty(val2)) return;
+        if (isEmpty(val1) || String(val2).length > String(val1).length) merged[field] = val2;
+    });
+
+    return merged;
+};
+
 /**
  * Robustly matches employees across several criteria
  * @param {Array} employeeList - List to search in
@@ -247,6 +341,11 @@ export default {
     decryptPhone,
     formatUrl,
     formatSize,
+    toISODate,
+    escapeHtml,
+    isDeleted,
+    withoutDeleted,
+    downloadFile,
     debounce,
     safeJsonParse,
     isEmpty,
@@ -0,0 +1,275 @@
+/**
+ * @module Schema
+ * The one definition of company and contact records: field types, required
+ * fields, defaults and the other keys a field may arrive under (FIELD_MAPPINGS
+ * headers and legacy names). Every parser, the AI import, the import dry run
+ * and the local cache normalize records through it.
+ *
+ * Custom fields defined by an admin (see services/custom-fields.js) are
+ * registered with setCustomFields and treated like the built-in ones; their
+ * label is accepted as a column name.
+ *
+ * Normalizing never throws. Each record comes back with `errors` (it should
+ * not be imported) and `warnings` (imported as-is, but worth a look), each as
+ * `{ field, message }`.
+ */
+
+import { FIELD_MAPPINGS } from '../config/index.js';
+import { generateId, toISODate, isEmpty } from './helpers.js';
+
+/** Loose check that catches typos and pasted labels, not full RFC 5322 */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Phones encrypted by encryptPhone start with this and are not checked */
+const ENCRYPTED_PREFIX = 'U2FsdGVkX1';
+
+/** @param {*} value @returns {string} Trimmed text */
+const text = (value) => String(value ?? '').trim();
+
+/**
+ * Field types. `normalize` turns a raw value into the stored one; `check`
+ * returns what is wrong with a normalized, non-empty value, or null.
+ */
+const TYPES = {
+    string: { normalize: text, check: () => null },
+    email: {
+        normalize: text,
+        check: (value) => EMAIL_PATTERN.test(value) ? null : `Invalid email "${value}"`
+    },
+    phone: {
+        normalize: text,
+        check: (value) => {
+            if (value.startsWith(ENCRYPTED_PREFIX)) return null;
+            const digits = value.replace(/\D/g, '').length;
+            return /^[\d\s()+\-./]+((ext\.?|x)\s*\d+)?$/i.test(value) && digits >= 7 && digits <= 15
+                ? null
+                : `Unusual phone number "${value}"`;
+        }
+    },
+    url: {
+        normalize: text,
+        check: (value) => {
+            try {
+                const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+                return url.hostname.includes('.') ? null : `Invalid URL "${value}"`;
+            } catch {
+                return `Invalid URL "${value}"`;
+            }
+        }
+    },
+    domain: {
+        normalize: text,
+        check: (value) => DOMAIN_PATTERN.test(value.replace(/^https?:\/\//i, '').replace(/^www\./i, '').replace(/\/.*$/, ''))
+            ? null
+            : `Invalid domain "${value}"`
+    },
+    date: {
+        normalize: toISODate,
+        check: (value) => DATE_PATTERN.test(value) ? null : `Unrecognised date "${value}"`
+    },
+    boolean: {
+        normalize: (value) => value === true || /^(true|yes|1)$/i.test(text(value)),
+        check: () => null
+    },
+    id: { normalize: text, check: () => null }
+};
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {string} type - Key of TYPES
+ * @property {boolean} [required] - A missing value is an error
+ * @property {boolean} [rejectInvalid] - A value failing its type check is an error, not a warning
+ * @property {*} [default=''] - Value when missing (a function is called); undefined leaves the field out
+ * @property {Array<string>} [aliases] - Other keys the value may arrive under, besides the FIELD_MAPPINGS header
+ */
+
+/**
+ * Company and contact schemas. `requireAny` lists fields of which at least one
+ * must be filled.
+ */
+export const SCHEMAS = {
+    company: {
+        label: 'Company',
+        fields: {
+            id: { type: 'id', default: generateId },
+            name: { type: 'string', required: true, aliases: ['companyName'] },
+            domain: { type: 'domain', aliases: ['companyDomain'] },
+            industry: { type: 'string' },
+            size: { type: 'string' },
+            type: { type: 'string' },
+            headquarters: { type: 'string' },
+            linkedin: { type: 'url', aliases: ['companyLinkedin'] }
+        }
+    },
+    employee: {
+        label: 'Contact',
+        requireAny: { fields: ['firstName', 'lastName'], message: 'Contact has no first or last name' },
+        fields: {
+            id: { type: 'id', default: generateId },
+            firstName: { type: 'string', aliases: ['first_name'] },
+            lastName: { type: 'string', aliases: ['last_name'] },
+            email: { type: 'email', rejectInvalid: true },
+            phone: { type: 'phone' },
+            phoneLocked: { type: 'boolean', default: undefined },
+            jobTitle: { type: 'string', aliases: ['job_title', 'title'] },
+            linkedin: { type: 'url' },
+            location: { type: 'string' },
+            connectedOn: { type: 'date' }
+        }
+    }
+};
+
+/** Types a custom field can have */
+export const CUSTOM_FIELD_TYPES = ['string', 'email', 'phone', 'url', 'date'];
+
+/** Keys stored on records by the app itself, which custom fields cannot use */
+const RESERVED_KEYS = ['employees', 'version', 'companyId', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+/**
+ * @typedef {Object} CustomField
+ * @property {string} key - Field name on the record
+ * @property {string} label - Shown in forms and cards; also accepted as a column header
+ * @property {string} target - 'company' or 'employee'
+ * @property {string} type - One of CUSTOM_FIELD_TYPES
+ */
+
+/** Registered custom fields, by target */
+let customFields = { company: [], employee: [] };
+
+/**
+ * Problem with a custom field definition
+ * @param {CustomField} field
+ * @param {Array<CustomField>} [others] - Other definitions, to catch duplicate keys
+ * @returns {string|null} Null when the definition is valid
+ */
+export const customFieldProblem = (field, others = []) => {
+    if (!field.label?.trim()) return 'Custom field needs a label';
+    if (!SCHEMAS[field.target]) return `Unknown record type "${field.target}"`;
+    if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(field.key || '')) return `Key "${field.key}" must start with a letter and use only letters, digits and _`;
+    const taken = Object.entries(SCHEMAS[field.target].fields).flatMap(([key, spec]) => [key, ...(spec.aliases || [])]);
+    if (taken.includes(field.key) || RESERVED_KEYS.includes(field.key)) return `Key "${field.key}" is already used by the app`;
+    if (others.some(other => other !== field && other.target === field.target && other.key === field.key)) return `Key "${field.key}" is used twice`;
+    if (!CUSTOM_FIELD_TYPES.includes(field.type)) return `Unknown field type "${field.type}"`;
+    return null;
+};
+
+/**
+ * Register the custom fields normalizing should keep. Invalid definitions are skipped.
+ * @param {Array<CustomField>} fields
+ */
+export const setCustomFields = (fields = []) => {
+    const valid = fields.filter(field => !customFieldProblem(field, fields));
+    customFields = {
+        company: valid.filter(field => field.target === 'company'),
+        employee: valid.filter(field => field.target === 'employee')
+    };
+};
+
+/**
+ * Registered custom fields
+ * @param {string} [target] - 'company' or 'employee'; both when omitted
+ * @returns {Array<CustomField>}
+ */
+export const getCustomFields = (target) => target ? customFields[target] || [] : [...customFields.company, ...customFields.employee];
+
+/**
+ * Built-in and custom field specs of a record type
+ * @param {string} type - 'company' or 'employee'
+ * @returns {Object<string, FieldSpec>}
+ */
+const fieldSpecs = (type) => ({
+    ...SCHEMAS[type].fields,
+    ...Object.fromEntries(getCustomFields(type).map(field => [field.key, { type: field.type, aliases: [field.label] }]))
+});
+
+/** FIELD_MAPPINGS header for each field, keyed by type then field */
+const HEADERS = Object.fromEntries(Object.entries(FIELD_MAPPINGS).map(([type, mapping]) =>
+    [type, Object.fromEntries(Object.entries(mapping).map(([header, key]) => [key, header]))]
+));
+
+/**
+ * Normalize one record against a schema
+ * @param {string} type - 'company' or 'employee'
+ * @param {Object} raw - Record as parsed or stored
+ * @param {Object} options - See normalizeCompany
+ * @returns {{ record: Object, errors: Array<Object>, warnings: Array<Object> }}
+ */
+const normalizeRecord = (type, raw, { unknown = 'drop', keepPlaceholders = false } = {}) => {
+    const schema = SCHEMAS[type];
+    const missing = keepPlaceholders
+        ? (value) => value === null || value === undefined || text(value) === ''
+        : isEmpty;
+    const record = {};
+    const errors = [];
+    const warnings = [];
+    const known = new Set(['employees']);
+
+    Object.entries(fieldSpecs(type)).forEach(([key, spec]) => {
+        const names = [key, HEADERS[type][key], ...(spec.aliases || [])].filter(Boolean);
+        names.forEach(name => known.add(name));
+
+        const rawValue = names.map(name => raw[name]).find(value => !missing(value));
+        const fieldType = TYPES[spec.type];
+        const value = rawValue === undefined ? undefined : fieldType.normalize(rawValue);
+
+        if (value === undefined || value === '' || value === false) {
+            if (spec.required) errors.push({ field: key, message: `Missing ${(HEADERS[type][key] || key).toLowerCase()}` });
+            const fallback = 'default' in spec ? spec.default : '';
+            if (fallback !== undefined) record[key] = typeof fallback === 'function' ? fallback() : fallback;
+            return;
+        }
+
+        const problem = fieldType.check(value);
+        if (problem) (spec.rejectInvalid ? errors : warnings).push({ field: key, message: problem });
+        record[key] = value;
+    });
+
+    if (schema.requireAny && schema.requireAny.fields.every(key => !record[key])) {
+        errors.push({ field: schema.requireAny.fields[0], message: schema.requireAny.message });
+    }
+
+    Object.keys(raw).filter(key => !known.has(key)).forEach(key => {
+        if (unknown === 'keep') record[key] = raw[key];
+        else if (unknown === 'warn') warnings.push({ field: key, message: `Unknown field "${key}" was not imported` });
+    });
+
+    return { record, errors, warnings };
+};
+
+/**
+ * Normalize a contact
+ * @param {Object} raw - Contact as parsed or stored
+ * @param {Object} [options] - See normalizeCompany
+ * @returns {{ record: Object, errors: Array<Object>, warnings: Array<Object> }}
+ */
+export const normalizeEmployee = (raw, options) => normalizeRecord('employee', raw || {}, options);
+
+/**
+ * Normalize a company and its contacts
+ * @param {Object} raw - Company as parsed or stored, with an `employees` array
+ * @param {Object} [options]
+ * @param {string} [options.unknown='drop'] - Fields the schema does not know:
+ *   'keep' them, 'drop' them, or drop them with a warning ('warn')
+ * @param {boolean} [options.keepPlaceholders=false] - Keep values like "N/A" or
+ *   "No email" instead of treating them as missing
+ * @returns {{ record: Object, errors: Array<Object>, warnings: Array<Object>, employees: Array<Object> }}
+ *   The company's own result, with `record.employees` normalized and each contact's result in `employees`
+ */
+export const normalizeCompany = (raw, options) => {
+    const company = normalizeRecord('company', raw || {}, options);
+    const employees = (Array.isArray(raw?.employees) ? raw.employees : []).map(emp => normalizeEmployee(emp, options));
+    return { ...company, record: { ...company.record, employees: employees.map(result => result.record) }, employees };
+};
+
+/**
+ * Normalize a list of companies, discarding errors and warnings
+ * (the import dry run reports them when the data is imported)
+ * @param {Array} companies
+ * @param {Object} [options] - See normalizeCompany
+ * @returns {Array} Normalized companies
+ */
+export const normalizeCompanies = (companies, options) => companies.map(company => normalizeCompany(company, options).record);
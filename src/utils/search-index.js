@@ -0,0 +1,216 @@
+/**
+ * @module SearchIndex
+ * Inverted index over the searchable fields of companies and contacts, so a
+ * search only scores the records that contain a word able to match each
+ * clause rather than every contact (see termWordTest in search.js). Results
+ * are the same as searchCompanies over the live companies.
+ *
+ * The index runs in the search worker (services/search-worker.js). It is
+ * built by syncing the full data, which only reindexes companies that
+ * changed, and kept current by updating or removing single companies.
+ */
+
+import { SEARCH_FIELDS, parseQuery, matchCompany, sortOrder, unranked, valueWords, foldWord, termWordTest } from './search.js';
+import { filterHits, countFacets } from './facets.js';
+import { getCustomFields } from './schema.js';
+import { isDeleted } from './helpers.js';
+
+/**
+ * @typedef {Object} Posting
+ * @property {string} folded - foldWord of the word
+ * @property {Set<string>} companies - Ids of companies with the word in a company field
+ * @property {Set<Object>} contacts - Contacts with the word in a contact field
+ */
+
+/**
+ * Every value a query can read from a record
+ * @param {Object} record - Company or contact
+ * @param {string} target - 'company' or 'employee'
+ * @returns {Array<*>}
+ */
+const searchableValues = (record, target) => [
+    ...Object.values(SEARCH_FIELDS).filter(field => field.target === target).map(field => field.get(record)),
+    ...getCustomFields(target).map(custom => record[custom.key])
+];
+
+/**
+ * Create an empty search index
+ * @returns {Object} Index with sync, update, remove, search, matchingIds and size
+ */
+export const createSearchIndex = () => {
+    /** @type {Map<string, { company: Object, signature: string, words: Set<string> }>} Indexed companies by id */
+    const entries = new Map();
+    /** @type {Map<string, Posting>} */
+    const postings = new Map();
+    /** @type {Map<Object, string>} Company id of each indexed contact */
+    const owners = new Map();
+    /** Custom field definitions the index was built with */
+    let fieldsKey = JSON.stringify(getCustomFields());
+
+    const posting = (word) => {
+        let entry = postings.get(word);
+        if (!entry) {
+            entry = { folded: foldWord(word), companies: new Set(), contacts: new Set() };
+            postings.set(word, entry);
+        }
+        return entry;
+    };
+
+    const add = (company, signature) => {
+        const words = new Set();
+        searchableValues(company, 'company').flatMap(valueWords).forEach(word => {
+            posting(word).companies.add(company.id);
+            words.add(word);
+        });
+        company.employees.forEach(contact => {
+            owners.set(contact, company.id);
+            searchableValues(contact, 'employee').flatMap(valueWords).forEach(word => {
+                posting(word).contacts.add(contact);
+                words.add(word);
+            });
+        });
+        entries.set(company.id, { company, signature, words });
+    };
+
+    const remove = (id) => {
+        const entry = entries.get(id);
+        if (!entry) return;
+        entry.words.forEach(word => {
+            const found = postings.get(word);
+            found.companies.delete(id);
+            entry.company.employees.forEach(contact => found.contacts.delete(contact));
+            if (!found.companies.size && !found.contacts.size) postings.delete(word);
+        });
+        entry.company.employees.forEach(contact => owners.delete(contact));
+        entries.delete(id);
+    };
+
+    const update = (company) => {
+        if (!company?.id) return;
+        if (isDeleted(company)) {
+            remove(company.id);
+            return;
+        }
+        const live = { ...company, employees: (company.employees || []).filter(emp => !isDeleted(emp)) };
+        const signature = JSON.stringify(live);
+        if (entries.get(company.id)?.signature === signature) return;
+        remove(company.id);
+        add(live, signature);
+    };
+
+    /**
+     * Records that may match a clause
+     * @param {Array<Object>} clause - Terms, any of which may match
+     * @returns {{ companies: Set<string>, contacts: Set<Object> }|null} Null when any record may
+     */
+    const clauseCandidates = (clause) => {
+        const tests = clause.map(termWordTest);
+        if (tests.some(test => !test)) return null;
+
+        const companies = new Set();
+        const contacts = new Set();
+        postings.forEach((entry, word) => {
+            if (!tests.some(test => test(word, entry.folded))) return;
+            entry.companies.forEach(id => companies.add(id));
+            entry.contacts.forEach(contact => contacts.add(contact));
+        });
+        return { companies, contacts };
+    };
+
+    /**
+     * Indexed companies matching a query, in no particular order
+     * @param {string} text - Search query
+     * @returns {Array<import('./search.js').CompanyHit>}
+     */
+    const match = (text) => {
+        const query = parseQuery(text);
+        const companies = [...entries.values()].map(entry => entry.company);
+        if (!query.clauses.length) return companies.map(company => unranked(company));
+
+        const clauses = query.clauses.map(clauseCandidates).filter(Boolean);
+        if (!clauses.length) return companies.map(company => matchCompany(query, company)).filter(Boolean);
+
+        // A company may match when, for every clause, it or one of its contacts may
+        let ids = null;
+        clauses.forEach(({ companies: companyIds, contacts }) => {
+            const reached = new Set(companyIds);
+            contacts.forEach(contact => reached.add(owners.get(contact)));
+            ids = ids ? new Set([...ids].filter(id => reached.has(id))) : reached;
+        });
+
+        const hits = [];
+        ids.forEach(id => {
+            const { company } = entries.get(id);
+            // Contacts must pass every clause their company does not pass by itself
+            const needed = clauses.filter(clause => !clause.companies.has(id));
+            const candidates = needed.length
+                ? company.employees.filter(contact => needed.every(clause => clause.contacts.has(contact)))
+                : undefined;
+            const hit = matchCompany(query, company, candidates);
+            if (hit) hits.push(hit);
+        });
+        return hits;
+    };
+
+    return {
+        /**
+         * Make the index hold exactly these companies. Unchanged companies
+         * are kept as indexed; a change to the custom fields reindexes all.
+         * @param {Array} companies - Trashed companies and contacts are left out
+         */
+        sync(companies) {
+            const fields = JSON.stringify(getCustomFields());
+            if (fields !== fieldsKey) {
+                [...entries.keys()].forEach(remove);
+                fieldsKey = fields;
+            }
+            const ids = new Set();
+            companies.forEach(company => {
+                if (!isDeleted(company)) ids.add(company.id);
+                update(company);
+            });
+            [...entries.keys()].filter(id => !ids.has(id)).forEach(remove);
+        },
+
+        /**
+         * Reindex one company, e.g. after an edit; a trashed one is removed
+         * @param {Object} company
+         */
+        update,
+
+        /**
+         * Drop a company
+         * @param {string} id
+         */
+        remove,
+
+        /**
+         * Search the indexed companies, as searchCompanies does, then narrow
+         * the hits to the selected facet values (see facets.js)
+         * @param {string} text - Search query
+         * @param {Object} [selections] - Selected facet values
+         * @param {string} [sort='relevance'] - Key of SORT_ORDERS
+         * @returns {{ hits: Array<import('./search.js').CompanyHit>, facets: Object }}
+         *   Hits in sort order, and countFacets of the search
+         */
+        search(text, selections = {}, sort = 'relevance') {
+            const hits = match(text);
+            return { hits: filterHits(hits, selections).sort(sortOrder(sort)), facets: countFacets(hits, selections) };
+        },
+
+        /**
+         * Ids of the companies a search would list, in no particular order
+         * @param {string} text - Search query
+         * @param {Object} [selections] - Selected facet values
+         * @returns {Array<string>}
+         */
+        matchingIds(text, selections = {}) {
+            return filterHits(match(text), selections).map(hit => hit.company.id);
+        },
+
+        /** @returns {number} Companies indexed */
+        get size() {
+            return entries.size;
+        }
+    };
+};
@@ -0,0 +1,565 @@
+/**
+ * @module Search
+ * Query language for the directory search and the contact filter.
+ *
+ *     title:"staff engineer" location:bangalore industry:fintech -company:adobe
+ *
+ * - Words and "quoted phrases" match any searchable field.
+ * - `field:value` and `field:"a phrase"` match one field (see SEARCH_FIELDS;
+ *   custom fields are addressed by key or label without spaces).
+ * - A leading `-` negates a term.
+ * - `OR` between terms matches either; terms are otherwise all required, so
+ *   `a b OR c` means a AND (b OR c).
+ *
+ * Matching ignores case and accents and is typo tolerant: a term matches a
+ * field exactly, as a prefix, as a substring, as a spelling variant (see
+ * TRANSLITERATIONS) or within a small edit distance, scored in that order.
+ * Negated terms only exclude exact and spelling-variant matches, so a typo
+ * never hides a record. A query is checked against a company together with
+ * one of its contacts, so company and contact terms can be mixed: a company
+ * matches when any of its contacts does.
+ *
+ * valueWords, foldWord and termWordTest expose the word matching to the
+ * search index (see search-index.js), which uses them to skip records that
+ * cannot match before scoring the rest here.
+ */
+
+import { getCustomFields } from './schema.js';
+import { escapeHtml } from './helpers.js';
+
+/**
+ * @typedef {Object} SearchTerm
+ * @property {string|null} field - Field name as typed (lowercased), or null for any field
+ * @property {string} value - Normalized text to find
+ * @property {boolean} negate - The term must not match
+ * @property {Array<string>} words - Words of `value`
+ * @property {Array<string>} folded - `words` with TRANSLITERATIONS applied
+ * @property {Array<number>|null} typos - Edits allowed per folded word; null when too short for typos
+ * @property {Map<string, number>} qualities - Match quality by field text (prefixed with \0 without typos), filled in as records are checked
+ * @property {string} [target] - 'company' or 'employee', for a field term
+ * @property {Function} [get] - Reads the field from a record, for a field term
+ * @property {number} [weight] - Field weight, for a field term
+ * @property {boolean} [exact] - The field takes no typos, for a field term
+ * @property {string} [highlight] - SEARCH_FIELDS name whose text is highlighted, for a field term
+ */
+
+/**
+ * @typedef {Object} SearchQuery
+ * @property {Array<Array<SearchTerm>>} clauses - All clauses must match; each matches when any of its terms does
+ * @property {boolean} contactTerms - Some term looks at contacts (unqualified terms included)
+ */
+
+/** @param {Object} emp @returns {string} Display name, with the legacy `name` fallback */
+const fullName = (emp) => emp.firstName || emp.lastName ? `${emp.firstName || ''} ${emp.lastName || ''}`.trim() : (emp.name || '');
+
+/**
+ * Fields that can be named in a query. `target` says which record the value
+ * is read from; `get` reads it; `weight` ranks a hit in it against hits in
+ * other fields (names first, then titles, then locations). Identifiers are
+ * `exact`: typos in them are not forgiven.
+ */
+export const SEARCH_FIELDS = {
+    company: { target: 'company', weight: 3, aliases: ['org', 'organization'], get: (c) => c.name },
+    industry: { target: 'company', weight: 1, get: (c) => c.industry },
+    domain: { target: 'company', weight: 1, exact: true, aliases: ['website'], get: (c) => c.domain },
+    headquarters: { target: 'company', weight: 1, aliases: ['hq'], get: (c) => c.headquarters },
+    size: { target: 'company', weight: 1, get: (c) => c.size },
+    type: { target: 'company', weight: 1, get: (c) => c.type },
+    name: { target: 'employee', weight: 3, get: fullName },
+    title: { target: 'employee', weight: 2, aliases: ['role', 'jobtitle'], get: (e) => e.jobTitle || e.title },
+    location: { target: 'employee', weight: 1.5, aliases: ['city'], get: (e) => e.location },
+    email: { target: 'employee', weight: 1, exact: true, get: (e) => e.email },
+    linkedin: { target: 'employee', weight: 1, exact: true, get: (e) => e.linkedin },
+    connected: { target: 'employee', weight: 1, exact: true, aliases: ['connectedon'], get: (e) => e.connectedOn }
+};
+
+/** Fields an unqualified term is looked for in, besides custom fields */
+const ANY_FIELDS = ['company', 'industry', 'name', 'title', 'location', 'email'];
+
+/** Weight of a hit in a custom field */
+const CUSTOM_WEIGHT = 1;
+
+/**
+ * Spelling variants folded together before comparing, mostly for names
+ * transliterated from Indian scripts: Saurabh/Sourabh, Shreya/Sreya,
+ * Vikas/Wikas, Deepak/Dipak, Phani/Fani. Applied in order.
+ */
+const TRANSLITERATIONS = [
+    [/ph/g, 'f'],
+    [/sh/g, 's'],
+    [/([bdgkt])h/g, '$1'],
+    [/w/g, 'v'],
+    [/z/g, 'j'],
+    [/q|ck/g, 'k'],
+    [/ee|ie/g, 'i'],
+    [/oo|ou|au/g, 'u'],
+    [/(.)\1+/g, '$1'],
+    [/[aeiou](?=[aeiou])/g, ''],
+    [/y$/g, 'i']
+];
+
+/** Relevance of each kind of match, before the field weight */
+const QUALITY = { exact: 1, prefix: 0.9, wordPrefix: 0.8, substring: 0.7, variant: 0.6, typo: 0.45 };
+
+/**
+ * Lowercase and drop accents
+ * @param {*} text
+ * @returns {string}
+ */
+const normalize = (text) => {
+    const string = String(text ?? '');
+    return /[^\x00-\x7f]/.test(string) ? string.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase() : string.toLowerCase();
+};
+
+/** @param {string} text - Normalized @returns {Array<string>} Words (letters and digits) */
+const splitWords = (text) => text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/** Folded words, since the same names and places recur across contacts */
+const foldedWords = new Map();
+
+/** @param {string} word - Normalized @returns {string} Word with TRANSLITERATIONS applied */
+const fold = (word) => {
+    let folded = foldedWords.get(word);
+    if (folded === undefined) {
+        folded = TRANSLITERATIONS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), word);
+        foldedWords.set(word, folded);
+    }
+    return folded;
+};
+
+/**
+ * Words of a field value, as compared with a term
+ * @param {*} value
+ * @returns {Array<string>} Normalized words
+ */
+export const valueWords = (value) => value === undefined || value === null || value === '' ? [] : splitWords(normalize(value));
+
+/**
+ * A word with TRANSLITERATIONS applied
+ * @param {string} word - From valueWords
+ * @returns {string}
+ */
+export const foldWord = (word) => fold(word);
+
+/** Edits a word of this length may have and still match */
+const allowedTypos = (length) => length < 4 ? 0 : length < 8 ? 1 : 2;
+
+/** Rows reused by editDistance, which runs for every field on every keystroke */
+let rows = [new Int32Array(64), new Int32Array(64), new Int32Array(64)];
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+ * giving up once it exceeds `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} The distance, or max + 1 if larger
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    if (b.length >= rows[0].length) rows = rows.map(() => new Int32Array(b.length * 2));
+    let [before, previous, current] = rows;
+    for (let j = 0; j <= b.length; j++) previous[j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        current[0] = i;
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a.charCodeAt(i - 1) === b.charCodeAt(j - 1) ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a.charCodeAt(i - 1) === b.charCodeAt(j - 2) && a.charCodeAt(i - 2) === b.charCodeAt(j - 1)) {
+                value = Math.min(value, before[j - 2] + 1);
+            }
+            current[j] = value;
+            if (value < rowMin) rowMin = value;
+        }
+        if (rowMin > max) return max + 1;
+        [before, previous, current] = [previous, current, before];
+    }
+    return previous[b.length];
+};
+
+/** Prepared field values by text, so each distinct value is normalized once */
+const prepared = new Map();
+
+/** Entries kept in `prepared` before it and `foldedWords` start over */
+const PREPARED_LIMIT = 200000;
+
+/**
+ * Normalized forms of a field value
+ * @param {string} text
+ * @returns {{ text: string, spaced: string, folded: Array<string>, foldedSpaced: string }}
+ */
+const prepare = (text) => {
+    let entry = prepared.get(text);
+    if (entry) return entry;
+    if (prepared.size >= PREPARED_LIMIT) {
+        prepared.clear();
+        foldedWords.clear();
+    }
+
+    const normalized = normalize(text);
+    const words = splitWords(normalized);
+    const folded = words.map(fold);
+    entry = { text: normalized, spaced: ` ${words.join(' ')}`, folded, foldedSpaced: ` ${folded.join(' ')}` };
+    prepared.set(text, entry);
+    return entry;
+};
+
+/**
+ * How well a term matches a field value
+ * @param {*} value - Field value
+ * @param {SearchTerm} term
+ * @param {boolean} typos - Whether typo matches count
+ * @returns {number} A QUALITY value, or 0 for no match
+ */
+const matchQuality = (value, term, typos) => {
+    if (value === undefined || value === null || value === '') return 0;
+    const text = String(value);
+    const key = typos ? text : `\0${text}`;
+    let quality = term.qualities.get(key);
+    if (quality === undefined) {
+        quality = compareText(prepare(text), term, typos);
+        term.qualities.set(key, quality);
+    }
+    return quality;
+};
+
+/**
+ * Compare a prepared field value with a term (see matchQuality)
+ * @param {Object} field - From prepare
+ * @param {SearchTerm} term
+ * @param {boolean} typos
+ * @returns {number}
+ */
+const compareText = (field, term, typos) => {
+    if (field.text === term.value) return QUALITY.exact;
+    if (field.text.startsWith(term.value)) return QUALITY.prefix;
+    if (term.words.length && field.spaced.includes(` ${term.words.join(' ')}`)) return QUALITY.wordPrefix;
+    if (field.text.includes(term.value)) return QUALITY.substring;
+    if (!term.folded.length) return 0;
+    if (field.foldedSpaced.includes(` ${term.folded.join(' ')}`)) return QUALITY.variant;
+    if (!typos || !term.typos) return 0;
+
+    // Every word of the term is within its typo budget of some word of the
+    // field, or of the start of a longer one ("adbe" → "adobe", "saurab" → "sourabh")
+    let worst = 0;
+    for (const [i, word] of term.folded.entries()) {
+        const max = term.typos[i];
+        let best = max + 1;
+        for (const candidate of field.folded) {
+            best = Math.min(best, editDistance(word, candidate, max));
+            if (best > 0 && candidate.length > word.length) best = Math.min(best, editDistance(word, candidate.slice(0, word.length), max));
+            if (best === 0) break;
+        }
+        if (best > max) return 0;
+        worst = Math.max(worst, best);
+    }
+    return QUALITY.typo - 0.1 * worst;
+};
+
+/**
+ * Field lookup for this query: names and aliases of SEARCH_FIELDS, then
+ * custom fields by key and by label without spaces
+ * @returns {Map<string, Object>} Field name to `{ target, get, weight, highlight? }`
+ */
+const fieldLookup = () => {
+    const lookup = new Map();
+    Object.entries(SEARCH_FIELDS).forEach(([name, field]) => {
+        [name, ...(field.aliases || [])].forEach(alias => lookup.set(alias, { ...field, highlight: name }));
+    });
+    getCustomFields().forEach(custom => {
+        const field = { target: custom.target, weight: CUSTOM_WEIGHT, get: (record) => record[custom.key] };
+        [custom.key.toLowerCase(), custom.label.toLowerCase().replace(/\s+/g, '')].forEach(alias => {
+            if (!lookup.has(alias)) lookup.set(alias, field);
+        });
+    });
+    return lookup;
+};
+
+/** Optional `-`, optional `field:`, then a quoted phrase or a bare word */
+const TOKEN_PATTERN = /(-)?(?:([a-zA-Z][\w]*):)?(?:"([^"]*)"?|(\S+))/g;
+
+/**
+ * Parse a search string
+ * @param {string} text - What the user typed
+ * @returns {SearchQuery} An empty query (no clauses) matches everything
+ */
+export const parseQuery = (text = '') => {
+    const lookup = fieldLookup();
+    const clauses = [];
+    let joinNext = false;
+
+    for (const [raw, minus, fieldName, phrase, word] of String(text).matchAll(TOKEN_PATTERN)) {
+        if (raw === 'OR') {
+            joinNext = clauses.length > 0;
+            continue;
+        }
+        // Half-typed terms, e.g. "-" or "title:", match nothing yet rather than hiding everything
+        if (raw === '-' || (!fieldName && /^-?[a-zA-Z]\w*:$/.test(word || '') && lookup.has(word.replace(/^-|:$/g, '').toLowerCase()))) continue;
+
+        // An unknown field name is part of the text, e.g. "https://..."
+        const field = fieldName && lookup.has(fieldName.toLowerCase()) ? fieldName.toLowerCase() : null;
+        const value = normalize((field ? (phrase ?? word) : (fieldName ? `${fieldName}:` : '') + (phrase ?? word)).trim());
+        if (!value) continue;
+
+        const words = splitWords(value);
+        const folded = words.map(fold);
+        const spec = field && lookup.get(field);
+        const term = {
+            field,
+            value,
+            negate: Boolean(minus),
+            words,
+            folded,
+            typos: folded.some(w => allowedTypos(w.length)) ? folded.map(w => allowedTypos(w.length)) : null,
+            qualities: new Map(),
+            ...(spec && { target: spec.target, get: spec.get, weight: spec.weight, exact: Boolean(spec.exact), highlight: spec.highlight })
+        };
+        if (joinNext) clauses[clauses.length - 1].push(term);
+        else clauses.push([term]);
+        joinNext = false;
+    }
+
+    const contactTerms = clauses.some(clause => clause.some(term => !term.field || term.target === 'employee'));
+    return { clauses, contactTerms };
+};
+
+/**
+ * Every field an unqualified term is looked for in, custom fields included
+ * @param {Object} company
+ * @param {Object|null} contact
+ * @returns {Array<{ value: *, weight: number, exact?: boolean }>}
+ */
+const anyFieldValues = (company, contact) => [
+    ...ANY_FIELDS.map(name => SEARCH_FIELDS[name])
+        .filter(field => field.target === 'company' || contact)
+        .map(field => ({ value: field.get(field.target === 'company' ? company : contact), weight: field.weight, exact: field.exact })),
+    ...getCustomFields('company').map(custom => ({ value: company[custom.key], weight: CUSTOM_WEIGHT })),
+    ...(contact ? getCustomFields('employee').map(custom => ({ value: contact[custom.key], weight: CUSTOM_WEIGHT })) : [])
+];
+
+/**
+ * Relevance of a company and one of its contacts to a query
+ * @param {SearchQuery} query - From parseQuery
+ * @param {Object} company
+ * @param {Object|null} contact - Null to check the company alone; contact terms then see empty values
+ * @returns {number|null} Higher is more relevant; null when they don't match. An empty query scores 0.
+ */
+export const scoreMatch = (query, company, contact) => {
+    const termScore = (term) => {
+        let fields;
+        if (term.field) {
+            const record = term.target === 'company' ? company : contact;
+            fields = record ? [{ value: term.get(record), weight: term.weight, exact: term.exact }] : [];
+        } else {
+            fields = anyFieldValues(company, contact);
+        }
+        const best = Math.max(0, ...fields.map(({ value, weight, exact }) => matchQuality(value, term, !term.negate && !exact) * weight));
+        if (term.negate) return best ? null : 0;
+        return best || null;
+    };
+
+    let total = 0;
+    for (const clause of query.clauses) {
+        const scores = clause.map(termScore).filter(score => score !== null);
+        if (!scores.length) return null;
+        total += Math.max(...scores);
+    }
+    return total;
+};
+
+/**
+ * Test a field word must pass for the field to match a term. Any field the
+ * term matches has at least one word passing it, so records without such a
+ * word can be skipped; the others still have to be scored.
+ * @param {SearchTerm} term
+ * @returns {Function|null} `(word, folded) => boolean`, for a word and its
+ *   foldWord; null when any record may match (negated terms, terms without words)
+ */
+export const termWordTest = (term) => {
+    if (term.negate || !term.words.length) return null;
+
+    // Every word of the term has to be found, so look for the longest, which narrows the most
+    const i = term.words.reduce((longest, word, k) => word.length > term.words[longest].length ? k : longest, 0);
+    const word = term.words[i];
+    const folded = term.folded[i];
+    const max = term.typos?.[i] || 0;
+
+    return (candidate, candidateFolded) => candidate.includes(word) ||
+        candidateFolded.startsWith(folded) ||
+        (max > 0 && (editDistance(folded, candidateFolded, max) <= max ||
+            editDistance(folded, candidateFolded.slice(0, folded.length), max) <= max));
+};
+
+/**
+ * Whether a company and one of its contacts match a query
+ * @param {SearchQuery} query - From parseQuery
+ * @param {Object} company
+ * @param {Object|null} contact
+ * @returns {boolean}
+ */
+export const matchesQuery = (query, company, contact) => scoreMatch(query, company, contact) !== null;
+
+/**
+ * Highlight the parts of a field's text matched by a query
+ * @param {*} text - Field text as displayed
+ * @param {SearchQuery|null} query - From parseQuery
+ * @param {string} field - SEARCH_FIELDS name the text belongs to
+ * @returns {string} Escaped HTML, matches wrapped in `<mark class="search-hit">`
+ */
+export const highlightMatches = (text, query, field) => {
+    const original = String(text ?? '');
+    const terms = (query?.clauses || []).flat().filter(term =>
+        !term.negate && (term.field ? term.highlight === field : ANY_FIELDS.includes(field))
+    );
+    if (!original || !terms.length) return escapeHtml(original);
+    const typos = !SEARCH_FIELDS[field]?.exact;
+
+    // Normalize character by character, so positions map back to the original
+    let normalized = '';
+    const origin = [];
+    let offset = 0;
+    for (const char of original) {
+        const piece = normalize(char);
+        normalized += piece;
+        for (let k = 0; k < piece.length; k++) origin.push(offset);
+        offset += char.length;
+    }
+    origin.push(offset);
+
+    const words = [...normalized.matchAll(/[\p{L}\p{N}]+/gu)]
+        .map(m => ({ start: m.index, end: m.index + m[0].length, folded: fold(m[0]) }));
+    const ranges = [];
+
+    terms.forEach(term => {
+        if (!matchQuality(original, term, typos)) return;
+        let found = false;
+        for (let at = normalized.indexOf(term.value); at !== -1; at = normalized.indexOf(term.value, at + 1)) {
+            ranges.push([at, at + term.value.length]);
+            found = true;
+        }
+        if (found) return;
+
+        // Variant and typo matches highlight the words that matched
+        term.folded.forEach((word, i) => {
+            const max = typos ? term.typos?.[i] ?? 0 : 0;
+            words.filter(w => w.folded.startsWith(word) ||
+                editDistance(word, w.folded, max) <= max ||
+                editDistance(word, w.folded.slice(0, word.length), max) <= max
+            ).forEach(w => ranges.push([w.start, w.end]));
+        });
+    });
+    if (!ranges.length) return escapeHtml(original);
+
+    let html = '';
+    let cursor = 0;
+    ranges.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        const from = Math.max(origin[start], cursor);
+        const to = origin[end];
+        if (to <= from) return;
+        html += `${escapeHtml(original.slice(cursor, from))}<mark class="search-hit">${escapeHtml(original.slice(from, to))}</mark>`;
+        cursor = to;
+    });
+    return html + escapeHtml(original.slice(cursor));
+};
+
+/**
+ * Contacts matching a query, most relevant first, then by name
+ * @param {SearchQuery} query
+ * @param {Object} company
+ * @param {Array} contacts
+ * @returns {Array<{ contact: Object, score: number }>}
+ */
+const rankContacts = (query, company, contacts) => contacts
+    .map(contact => ({ contact, score: scoreMatch(query, company, contact) }))
+    .filter(hit => hit.score !== null)
+    .sort((a, b) => b.score - a.score || fullName(a.contact).localeCompare(fullName(b.contact)));
+
+/**
+ * @typedef {Object} CompanyHit
+ * @property {Object} company
+ * @property {number} score - Best score of the company or any of its contacts
+ * @property {Array<Object>} contacts - Matching contacts, most relevant first
+ * @property {Array<number>} scores - Score of each of `contacts`
+ */
+
+/**
+ * Check one company against a query. It matches when one of its contacts
+ * matches the query together with it, or, for a query about companies only
+ * (or a company without contacts), when it does itself.
+ * @param {SearchQuery} query - From parseQuery, with at least one clause
+ * @param {Object} company - With only live contacts
+ * @param {Array} [candidates] - The contacts worth scoring, when the others are known not to match
+ * @returns {CompanyHit|null}
+ */
+export const matchCompany = (query, company, candidates) => {
+    const contacts = Array.isArray(company.employees) ? company.employees : [];
+    const matched = rankContacts(query, company, candidates || contacts);
+    let score = matched.length ? matched[0].score : null;
+    if (score === null && (!query.contactTerms || !contacts.length)) score = scoreMatch(query, company, null);
+    return score === null ? null : { company, score, contacts: matched.map(hit => hit.contact), scores: matched.map(hit => hit.score) };
+};
+
+/** @param {CompanyHit} a @param {CompanyHit} b @returns {number} By company name */
+const compareNames = (a, b) => (a.company.name || '').localeCompare(b.company.name || '');
+
+/**
+ * Order of search results: most relevant first, then by company name
+ * @param {CompanyHit} a
+ * @param {CompanyHit} b
+ * @returns {number}
+ */
+export const compareHits = (a, b) => b.score - a.score || compareNames(a, b);
+
+/**
+ * Orders the directory can be sorted in. Relevance is alphabetical without
+ * a search; "most contacts" counts the contacts matching the search.
+ */
+export const SORT_ORDERS = {
+    relevance: { label: 'Relevance', compare: compareHits },
+    name: { label: 'Name (A–Z)', compare: compareNames },
+    contacts: { label: 'Most contacts', compare: (a, b) => b.contacts.length - a.contacts.length || compareHits(a, b) }
+};
+
+/**
+ * Comparator of a sort order
+ * @param {string} [sort='relevance'] - Key of SORT_ORDERS; unknown keys sort by relevance
+ * @returns {Function}
+ */
+export const sortOrder = (sort) => (SORT_ORDERS[sort] || SORT_ORDERS.relevance).compare;
+
+/**
+ * Hit for a company under an empty query, with all its contacts
+ * @param {Object} company - With only live contacts
+ * @returns {CompanyHit}
+ */
+export const unranked = (company) => {
+    const contacts = company.employees || [];
+    return { company, score: 0, contacts, scores: contacts.map(() => 0) };
+};
+
+/**
+ * Search companies, most relevant first; alphabetical when the query is empty
+ * (see matchCompany)
+ * @param {Array} companies - Companies with only live contacts (see withoutDeleted)
+ * @param {string} text - Search query
+ * @returns {Array<CompanyHit>}
+ */
+export const searchCompanies = (companies, text) => {
+    const query = parseQuery(text);
+    if (!query.clauses.length) {
+        return companies.map(company => unranked(company)).sort(compareHits);
+    }
+    return companies.map(company => matchCompany(query, company)).filter(Boolean).sort(compareHits);
+};
+
+/**
+ * Contacts of a company matching a query, most relevant first;
+ * alphabetical when the query is empty
+ * @param {Object} company
+ * @param {Array} contacts - Contacts to search (e.g. the live ones)
+ * @param {string} text - Search query; company terms are checked against the company
+ * @returns {Array<Object>}
+ */
+export const searchContacts = (company, contacts, text) => rankContacts(parseQuery(text), company, contacts).map(hit => hit.contact);